@@ -6,20 +6,36 @@
  *   - Outer ring segments start at 0° (3 o'clock)
  *   - Inner labels placed at index * 30° from 12 o'clock (top)
  *   - Outer labels placed at index * 30° + 15° from top
- *   - Touch segment indices + the +3 shift in getNoteFrequency = correct pitch
+ *   - Touch segments map to labels with a +3 shift (see Ring)
  *   - Green indicator always visible (defaults to Do position when idle)
+ *
+ * Note and frequency math comes from the core tuning (core/tuning.js),
+ * rebuilt by retune() whenever its settings change; this file adds the
+ * display names, transposition and ring geometry on top.
  */
+import { createTuning, NOTE_NAMES, GRID_NAMES } from './core/tuning.js';
+import { PITCH_ALGORITHMS } from './core/pitch-detect.js';
+import { Naming } from './core/naming.js';
+import { Comma } from './core/comma.js';
+import { Scales } from './core/scales.js';
+import { Scala } from './core/scala.js';
+import { Settings } from './settings.js';
+import { PitchHistory } from './history.js';
+import { Intonation } from './intonation.js';
+import { Training } from './training.js';
+import { Midi } from './midi.js';
+import { Instruments } from './instruments.js';
+import { AudioEngine } from './audio.js';
+import { Ring } from './ring.js';
+
 (() => {
-  // ── Note data (matching iOS) ──
-  const NOTE_NAMES = ['Do', 'Do#', 'Re', 'Mib', 'Mi', 'Fa', 'Fa#', 'Sol', 'Lab', 'La', 'Sib', 'Si'];
-  const QUARTER_NAMES = ['Do+', 'Re-', 'Re+', 'Mi-', 'Mi+', 'Fa+', 'Sol-', 'Sol+', 'La-', 'La+', 'Si-', 'Si+'];
-  const ALL_24_NAMES = [
-    'Do', 'Do+', 'Do#', 'Re-', 'Re', 'Re+', 'Mib', 'Mi-',
-    'Mi', 'Mi+', 'Fa', 'Fa+', 'Fa#', 'Sol-', 'Sol', 'Sol+',
-    'Lab', 'La-', 'La', 'La+', 'Sib', 'Si-', 'Si', 'Si+'
-  ];
+  // Display names in the selected naming system; the solfège GRID_NAMES
+  // stay the internal ids (see Naming)
+  let gridLabels = GRID_NAMES.slice();
 
-  const MIDDLE_C = 261.63;
+  const DEFAULT_A4 = 440;
+  const MIN_A4 = 415;
+  const MAX_A4 = 466;
   const SEGMENTS = 12;
   const SEG_ANGLE = (Math.PI * 2) / SEGMENTS; // 30° per segment
   const DEG = Math.PI / 180;
@@ -30,12 +46,57 @@
   let detectedOctave = -1;
   let detectedCents = 0;
   let detectedQuarter = '--';
+  let detectedConfidence = 0;
+  let detectedPitch = 0;     // raw Hz of the current frame, 0 = silence
+  let detectedVoices = [];   // polyphonic detection: voice frequencies in Hz, ascending
+
+  // Display mode: 'circle' (rings + indicator) or 'strobe' (fine tuning)
+  let displayView = 'circle';
+  let division = '24';       // '24' quarter-tone grid, '53' commas, 'aeu' AEU subset of the commas
+  let detectedComma = null;  // { step, octave, commas, deviation } in comma mode (see Comma.nearest)
+
+  // Drone: latched tonic (+ voices) that plays hands-free with the mic
+  const drone = {
+    on: false,
+    tonic: 0,          // 24-grid position
+    octave: 3,
+    voices: ['fifth'], // AudioEngine drone voices above the tonic
+    timbre: 'sine',
+    volume: 0.6
+  };
+
+  // Instrument profile: detection settings + open-string targets
+  let activeInstrument = Instruments.get('general');
+  let lockedString = -1;     // -1 = auto-select the closest string
+  let stringMatch = null;    // { index, cents } for the current pitch
   let lastPlayedIndex = -1;
   let lastPlayedType = '';
   let isPlaying = false;
   let micStarted = false;
   let soriCents = 42;   // + offset: 42, 50, or 58
   let koronCents = 42;  // - offset: 42, 50, or 58
+  let measuredSizes = null; // { [odd gridPos]: cents } measured per degree; overrides sori/koron
+  let referenceA4 = DEFAULT_A4; // calibration: 415–466 Hz in 0.1 Hz steps
+
+  // Scale mode: null = plain 24-tone grid with sori/koron offsets
+  let activeScale = null;    // entry from Scales.list()
+  let scaleTonic = 0;        // 24-grid position of the tonic
+  let detectedDegree = null; // degree matched by processPitch in scale mode
+
+  // The settings above as a core tuning (see retune)
+  let tuning = createTuning();
+
+  // Written pitch: names (and octaves) are shown this many grid steps above
+  // concert pitch — +4 for a B♭ clarinet. Movable tonic instead names
+  // everything from the tonic, which reads Do. Sound is always concert.
+  let transposition = 0;     // grid steps (quarter-tones), -48..48
+  let tonicMode = false;
+
+  // Auto-calibration: collects mic pitches until a note is held steadily
+  let calibration = null;    // { samples: [], startTime, timeoutId }
+  const CALIBRATE_HOLD_MS = 1500;
+  const CALIBRATE_TIMEOUT_MS = 10000;
+  const CALIBRATE_TOLERANCE = 15; // cents from the first sample of the hold
 
   // When playing a reference tone, show the played note directly
   // instead of relying on the mic to detect its own output.
@@ -43,6 +104,8 @@
   let playingOctave = -1;
   let playingCents = 0;
   let playingQuarter = null;
+  let playingPos = 0;        // 24-grid position of the tapped label
+  let playingComma = null;   // comma mode: the sounding step, as detectedComma
 
   // ── Canvas setup ──
   const canvas = document.getElementById('tuner-canvas');
@@ -83,46 +146,154 @@
   }
 
   // ── Frequency / note logic (matching iOS TunerModel, +3 shift preserved) ──
-  function getNoteFrequency(noteName, octave) {
-    const idx = NOTE_NAMES.indexOf(noteName);
-    if (idx === -1) return MIDDLE_C;
-    const semitonesFromC4 = ((idx + 3) % 12) + (octave - 4) * 12;
-    return MIDDLE_C * Math.pow(2, semitonesFromC4 / 12);
+
+  /** Rebuild the tuning after the reference, quarter-tone sizes, scale or division change. */
+  function retune() {
+    tuning = createTuning({
+      a4: referenceA4,
+      sori: soriCents,
+      koron: koronCents,
+      measured: measuredSizes,
+      division,
+      scale: activeScale,
+      tonic: scaleTonic
+    });
+  }
+
+  /** Scale tonic, or the drone's without a scale: what movable tonic counts from. */
+  function currentTonic() {
+    return activeScale ? scaleTonic : drone.tonic;
+  }
+
+  /** Grid steps from a concert position to the name shown for it. */
+  function labelShift() {
+    return tonicMode ? -currentTonic() : transposition;
+  }
+
+  /**
+   * Display name of (concert) grid position q in the selected naming system,
+   * shifted for transposition or movable tonic. Tonic pickers pass
+   * `transposition`: they name pitches, not degrees.
+   */
+  function gridLabel(q, shift = labelShift()) {
+    return gridLabels[(((q + shift) % 24) + 24) % 24];
+  }
+
+  /** Octave number shown for grid position q (0–23) of a concert octave. */
+  function shownOctave(q, octave) {
+    return octave + Math.floor((q + labelShift()) / 24);
+  }
+
+  /** Concert grid position and octave of a shown one: keys play what their names say. */
+  function concertPosition(q, octave) {
+    const c = q - labelShift();
+    return { q: ((c % 24) + 24) % 24, octave: octave + Math.floor(c / 24) };
+  }
+
+  /** The label shift in commas, for the comma rings (a whole tone is 9). */
+  function commaShift() {
+    return Math.round(labelShift() * 50 / Comma.KOMA);
+  }
+
+  /**
+   * Display name for a solfège id ('Re-', 'Mib'…); others ('--', '') pass
+   * through. shift as in gridLabel (exports pass 0: they stay at concert pitch).
+   */
+  function displayName(id, shift = labelShift()) {
+    const q = GRID_NAMES.indexOf(id);
+    return q === -1 ? id : gridLabel(q, shift);
+  }
+
+  /** Comma division in use: a division is chosen and no scale overrides it. */
+  function commaMode() {
+    return tuning.commaMode;
+  }
+
+  /**
+   * Display name of a comma step: its natural plus the comma accidental,
+   * and the octave number when one is given (Do♭¹ counts from the next Do).
+   */
+  function commaLabel(step, octave) {
+    const { name, octave: shown } = commaSpelling(step, octave || 0);
+    return octave === undefined ? name : name + Naming.digits(shown);
+  }
+
+  /** Name and octave number shown for a comma step, after the label shift. */
+  function commaSpelling(step, octave) {
+    const shifted = step + commaShift();
+    const spelling = Comma.spell(((shifted % Comma.STEPS) + Comma.STEPS) % Comma.STEPS);
+    return {
+      name: gridLabel(Comma.NATURALS[spelling.natural].gridPos, 0) + Comma.accidental(spelling.komas),
+      octave: octave + Math.floor(shifted / Comma.STEPS) + spelling.octave
+    };
+  }
+
+  /** Nearest step of the comma division to a pitch (Comma.nearest). */
+  function commaOf(pitch) {
+    return tuning.nearestComma(pitch);
+  }
+
+  function commaFrequency(step, octave) {
+    return tuning.commaFrequency(step, octave);
+  }
+
+  /** Scale degree whose label sits at a 24-grid position, or null. */
+  function scaleDegreeAt(gridPos) {
+    return tuning.degreeAt(gridPos);
   }
 
   // ── Pitch detection processing ──
   function processPitch(pitch, amplitude) {
+    detectedPitch = pitch > 0 && amplitude > 0 ? pitch : 0;
     if (pitch <= 0 || amplitude <= 0) {
       detectedNote = '--';
       detectedOctave = -1;
       detectedCents = 0;
       detectedQuarter = '--';
+      detectedDegree = null;
+      detectedComma = null;
       return;
     }
+    const d = describePitch(pitch, AudioEngine.smoothCents);
+    detectedNote = d.note;
+    detectedOctave = d.octave;
+    detectedCents = d.cents;
+    detectedQuarter = d.quarter;
+    detectedDegree = d.degree;
+    detectedComma = d.comma || null;
+  }
+
+  /**
+   * Name a pitch the way the center display does: tuning.describe(), with
+   * quarter the comma step's name in comma mode. smooth(key, cents) filters
+   * the cents per note — AudioEngine.smoothCents live, identity for offline
+   * tracks.
+   */
+  function describePitch(pitch, smooth) {
+    const d = tuning.describe(pitch, smooth);
+    if (d.comma) d.quarter = commaLabel(d.comma.step);
+    return d;
+  }
 
-    const noteNumber = 12 * Math.log2(pitch / MIDDLE_C) + 60;
-    const roundedNote = Math.round(noteNumber);
-    const oct = Math.floor(roundedNote / 12) - 1;
-    let noteIndex = ((roundedNote % 12) + 12) % 12;
+  /** Size in cents of the quarter-tone at odd grid position q (tuning.quarterSize). */
+  function quarterSize(q) {
+    return tuning.quarterSize(q);
+  }
 
-    if (noteIndex >= 0 && noteIndex < NOTE_NAMES.length) {
-      detectedOctave = oct;
-      detectedNote = NOTE_NAMES[noteIndex];
-      let cents = (noteNumber - roundedNote) * 100;
-      if (cents > 50) cents -= 100;
-      // Apply extra smoothing on cents for stable display
-      detectedCents = AudioEngine.smoothCents(noteIndex, cents);
+  function maxQuarterSize() {
+    let max = 0;
+    for (let q = 1; q < 24; q += 2) max = Math.max(max, quarterSize(q));
+    return max;
+  }
 
-      // Use smoothed cents to determine quarter-tone name
-      let totalQ;
-      if (detectedCents >= 0) {
-        totalQ = noteIndex * 2 + (detectedCents >= soriCents / 2 ? 1 : 0);
-      } else {
-        totalQ = noteIndex * 2 + (detectedCents <= -koronCents / 2 ? -1 : 0);
-      }
-      const qIdx = ((totalQ % 24) + 24) % 24;
-      detectedQuarter = ALL_24_NAMES[qIdx];
-    }
+  /**
+   * Nearest target for intonation statistics: a scale degree, a comma step,
+   * or one of the 24 grid positions at the current koron/sori sizes. Returns
+   * { key, label, deviation } with deviation in cents from that target.
+   */
+  function classifyPitch(pitch) {
+    const { key, step, gridPos, deviation } = tuning.classify(pitch);
+    return { key, label: step === undefined ? gridLabel(gridPos) : commaLabel(step), deviation };
   }
 
   // ══════════════════════════════════════════════════════
@@ -152,84 +323,256 @@
   }
 
   /**
-   * Green indicator arc — ALWAYS drawn (matching iOS).
-   * When no pitch detected, defaults to noteIndex 0 / cents 0 (Do position).
+   * Fractional 24-grid position of a note (NOTE_NAMES id, '--' for none),
+   * its cents and its scale degree, where the indicator arc is centred.
    */
-  function drawIndicator(x, y) {
-    // Use playing note when actively tapping, otherwise detected note
-    const activeNote = playingNote || detectedNote;
-    const activeCents = playingNote ? playingCents : detectedCents;
-    const noteIndex = NOTE_NAMES.indexOf(activeNote);
+  function indicatorPosition(note, cents, degree) {
+    const noteIndex = NOTE_NAMES.indexOf(note);
     const idx = noteIndex === -1 ? 0 : noteIndex;
-    const cents = activeNote === '--' ? 0 : activeCents;
+    if (note === '--') cents = 0;
+    // Scale mode: in tune sits on the degree's label
+    if (degree) return degree.gridPos + cents / 50;
+    const { up, down } = tuning.neighbours(idx);
+    return idx * 2 + cents / (cents >= 0 ? up : down);
+  }
 
+  function drawIndicatorArc(x, y, totalQ) {
     // iOS formula: totalQ * 360/24 - 90 - 15 (degrees)
-    let totalQ;
-    if (playingNote) {
-      totalQ = idx * 2 + (cents > 0 ? cents / soriCents : cents / koronCents);
-    } else if (cents >= 0) {
-      totalQ = idx * 2 + cents / soriCents;
-    } else {
-      totalQ = idx * 2 + cents / koronCents;
-    }
     const angleDeg = totalQ * 360 / 24 - 90 - 15;
     const startRad = angleDeg * DEG;
     const spanRad = SEG_ANGLE; // 30° = 1/12 circle
     drawArc(x, y, indicatorR(), startRad, startRad + spanRad, s(14), GREEN);
   }
 
+  /**
+   * Green indicator arc — ALWAYS drawn (matching iOS), one per voice when
+   * polyphonic detection hears several.
+   * When no pitch detected, defaults to noteIndex 0 / cents 0 (Do position).
+   */
+  function drawIndicator(x, y) {
+    if (playingNote) {
+      drawIndicatorArc(x, y, playingPos);
+    } else if (detectedVoices.length > 1) {
+      for (const f of detectedVoices) {
+        const d = describePitch(f);
+        drawIndicatorArc(x, y, indicatorPosition(d.note, d.cents, d.degree));
+      }
+    } else {
+      drawIndicatorArc(x, y, indicatorPosition(detectedNote, detectedCents, detectedDegree));
+    }
+  }
+
   /**
    * Draw a text label at a specific angle on a ring.
-   * angle: canvas angle in radians (0=right, clockwise).
+   * angle: canvas angle in radians (0=right, clockwise). Long names (Arabic
+   * degree names) shrink to fit maxWidth. Radial labels run along the radius
+   * instead of the ring, for closely spaced comma steps.
    */
-  function drawLabelAt(x, y, radius, angle, text, fontSize) {
+  function drawLabelAt(x, y, radius, angle, text, fontSize, color, maxWidth = Infinity, radial = false) {
     const lx = x + radius * Math.cos(angle);
     const ly = y + radius * Math.sin(angle);
 
     ctx.save();
     ctx.translate(lx, ly);
 
-    // Rotate text to follow the circle (like iOS rotationEffect).
-    // Add π/2 so text reads outward along the tangent.
-    let textAngle = angle + Math.PI / 2;
-    // Flip text on bottom half so it's never upside-down.
-    if (angle > 0 && angle < Math.PI) {
-      textAngle += Math.PI;
+    let textAngle;
+    if (radial) {
+      // Read outward on the right half, inward on the left
+      const a = ((angle % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+      textAngle = a > Math.PI / 2 && a < Math.PI * 3 / 2 ? angle + Math.PI : angle;
+    } else {
+      // Rotate text to follow the circle (like iOS rotationEffect).
+      // Add π/2 so text reads outward along the tangent.
+      textAngle = angle + Math.PI / 2;
+      // Flip text on bottom half so it's never upside-down.
+      if (angle > 0 && angle < Math.PI) {
+        textAngle += Math.PI;
+      }
     }
     ctx.rotate(textAngle);
 
-    ctx.fillStyle = TEXT;
+    ctx.fillStyle = color || TEXT;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
+    ctx.direction = Naming.rtl ? 'rtl' : 'ltr';
 
-    // Render accidentals (#, b, +, -) as superscript
-    const match = text.match(/^(.+?)([#b+\-])$/);
-    if (match) {
-      const base = match[1];
-      const acc = match[2];
-      ctx.font = `${fontSize}px Audiowide, sans-serif`;
+    // Render accidentals (#, b, +, -, ♯, 𝄳, sori, koma signs…) as superscript;
+    // right-to-left names carry theirs on the left
+    const { base, accidental } = Naming.split(text);
+    const accRatio = 0.7;
+    ctx.font = `${fontSize}px Audiowide, sans-serif`;
+    const width = ctx.measureText(base).width + (accidental
+      ? (ctx.font = `${fontSize * accRatio}px Audiowide, sans-serif`, ctx.measureText(accidental).width)
+      : 0);
+    const size = width > maxWidth ? fontSize * maxWidth / width : fontSize;
+
+    if (accidental) {
+      const accFontSize = Math.round(size * accRatio);
+      ctx.font = `${size}px Audiowide, sans-serif`;
       const baseW = ctx.measureText(base).width;
-      const accFontSize = Math.round(fontSize * 0.7);
       ctx.font = `${accFontSize}px Audiowide, sans-serif`;
-      const accW = ctx.measureText(acc).width;
+      const accW = ctx.measureText(accidental).width;
       const totalW = baseW + accW;
+      const baseX = Naming.rtl ? totalW / 2 - baseW / 2 : -totalW / 2 + baseW / 2;
+      const accX = Naming.rtl ? -totalW / 2 + accW / 2 : -totalW / 2 + baseW + accW / 2;
 
-      ctx.font = `${fontSize}px Audiowide, sans-serif`;
-      ctx.fillText(base, -totalW / 2 + baseW / 2, 0);
+      ctx.font = `${size}px Audiowide, sans-serif`;
+      ctx.fillText(base, baseX, 0);
       ctx.font = `${accFontSize}px Audiowide, sans-serif`;
-      ctx.fillText(acc, -totalW / 2 + baseW + accW / 2, -fontSize * 0.25);
+      ctx.fillText(accidental, accX, -size * 0.25);
     } else {
-      ctx.font = `${fontSize}px Audiowide, sans-serif`;
+      ctx.font = `${size}px Audiowide, sans-serif`;
       ctx.fillText(text, 0, 0);
     }
 
     ctx.restore();
   }
 
-  function draw() {
+  /**
+   * Scale mode: brighten the ring segments under the scale's degrees.
+   * Even grid positions are inner-ring labels, odd ones outer-ring labels.
+   */
+  function drawScaleHighlights(x, y) {
+    for (const d of tuning.degrees) {
+      const isInner = d.gridPos % 2 === 0;
+      const center = -Math.PI / 2 + d.gridPos * 15 * DEG;
+      const alpha = d.index === 0 ? 0.8 : 0.55;
+      drawArc(x, y, isInner ? innerR() : outerR(), center - SEG_ANGLE / 2, center + SEG_ANGLE / 2,
+        isInner ? innerStroke() : outerStroke(), rgba(ACCENT, alpha));
+    }
+  }
+
+  /** Label color: dimmed when a scale is active and the label is not a degree. */
+  function labelColor(gridPos) {
+    return !activeScale || scaleDegreeAt(gridPos) ? TEXT : rgba(TEXT, 0.25);
+  }
+
+  // ── Comma rings ──
+  // Comma mode replaces the two 12-segment rings: the outer ring has one
+  // segment per target step (all 53, or the 24 AEU steps), reaching halfway
+  // to its neighbours, with accidentals labelled radially; the inner ring
+  // holds the seven naturals. Do is at the top, as on the grid rings.
+
+  const COMMA_ANGLE = Math.PI * 2 / Comma.STEPS;
+
+  function commaAngle(step) {
+    return -Math.PI / 2 + step * COMMA_ANGLE;
+  }
+
+  /** Draw one segment per step of a circular list, each spanning to the midpoints. */
+  function drawStepRing(x, y, radius, strokeW, steps, alpha) {
+    steps.forEach((step, i) => {
+      const prev = i ? steps[i - 1] : steps[steps.length - 1] - Comma.STEPS;
+      const next = i < steps.length - 1 ? steps[i + 1] : steps[0] + Comma.STEPS;
+      drawArc(x, y, radius, commaAngle((prev + step) / 2), commaAngle((step + next) / 2), strokeW,
+        rgba(ACCENT, alpha(step, i)));
+    });
+  }
+
+  function drawCommaRings(x, y) {
+    const steps = Comma.targets(division);
+    const aeu = new Set(Comma.AEU);
+    drawStepRing(x, y, outerR(), outerStroke(), steps, (step, i) => {
+      if (Comma.isNatural(step)) return 0.45;
+      if (division === 'aeu') return i % 2 ? 0.18 : 0.28;
+      return aeu.has(step) ? 0.28 : 0.1;
+    });
+    drawCircle(x, y, outerR() + outerStroke() / 2);
+    drawCircle(x, y, outerR() - outerStroke() / 2);
+
+    const naturals = Comma.NATURALS.map(n => n.step);
+    drawStepRing(x, y, innerR(), innerStroke(), naturals, (step, i) => (i % 2 ? 0.18 : 0.35));
+    drawCircle(x, y, innerR() + innerStroke() / 2);
+    drawCircle(x, y, innerR() - innerStroke() / 2);
+
+    // Indicators: one target wide, centred on the exact position
+    const comma = playingComma || detectedComma;
+    const positions = !playingComma && detectedVoices.length > 1
+      ? detectedVoices.map(f => {
+        const k = commaOf(f);
+        return k.step + k.commas;
+      })
+      : [comma ? comma.step + comma.commas : 0];
+    const span = Math.PI * 2 / steps.length;
+    for (const position of positions) {
+      drawArc(x, y, indicatorR(), commaAngle(position) - span / 2, commaAngle(position) + span / 2, s(14), GREEN);
+    }
+
+    // Outer labels: the AEU accidentals (naturals are named on the inner ring)
+    for (const step of Comma.AEU) {
+      if (Comma.isNatural(step)) continue;
+      drawLabelAt(x, y, outerR(), commaAngle(step), commaLabel(step), s(11), TEXT, outerStroke() * 0.9, true);
+    }
+    for (const n of Comma.NATURALS) {
+      drawLabelAt(x, y, innerR(), commaAngle(n.step), commaLabel(n.step), s(18), TEXT, innerR() * COMMA_ANGLE * 4);
+    }
+  }
+
+  // ── Strobe ──
+  // Bands of alternating segments turn at a speed proportional to the cents
+  // error from the target (sori/koron grid position or scale degree):
+  // clockwise when sharp, counter-clockwise when flat, still when in tune.
+  // Finer bands make small errors visible sooner, like a mechanical strobe.
+
+  const STROBE_DEG_PER_CENT = 4;  // rotation in °/s per cent of error
+  const STROBE_MAX_CENTS = 50;    // faster patterns only alias
+  const STROBE_SMOOTHING = 0.25;  // per-frame follow rate of the error
+  const STROBE_IN_TUNE = 2;       // cents
+  const STROBE_BANDS = [          // radius and width in 340px units
+    { radius: 150, width: 26, segments: 12 },
+    { radius: 121, width: 26, segments: 24 },
+    { radius: 92, width: 26, segments: 48 }
+  ];
+  const strobe = { phase: 0, error: 0, active: false, lastTime: 0 };
+
+  /** Cents error driving the strobe, or null when there is nothing to track. */
+  function strobeError() {
+    if (playingNote || playingComma) return 0; // a reference tone is exactly on its target
+    if (detectedPitch <= 0) return null;
+    return classifyPitch(detectedPitch).deviation;
+  }
+
+  function drawStrobe(x, y, now) {
+    const dt = strobe.lastTime ? Math.min(0.1, (now - strobe.lastTime) / 1000) : 0;
+    strobe.lastTime = now;
+    const error = strobeError();
+    strobe.active = error !== null;
+    if (strobe.active) {
+      const clamped = Math.max(-STROBE_MAX_CENTS, Math.min(STROBE_MAX_CENTS, error));
+      strobe.error += STROBE_SMOOTHING * (clamped - strobe.error);
+      strobe.phase = (strobe.phase + strobe.error * STROBE_DEG_PER_CENT * DEG * dt) % (Math.PI * 2);
+    }
+
+    const inTune = strobe.active && Math.abs(strobe.error) <= STROBE_IN_TUNE;
+    const color = inTune ? GREEN : rgba(ACCENT, strobe.active ? 0.85 : 0.3);
+    for (const band of STROBE_BANDS) {
+      const step = Math.PI * 2 / band.segments;
+      for (let i = 0; i < band.segments; i += 2) {
+        const a0 = -Math.PI / 2 + strobe.phase + i * step;
+        drawArc(x, y, s(band.radius), a0, a0 + step, s(band.width), color);
+      }
+      drawCircle(x, y, s(band.radius) + s(band.width) / 2);
+    }
+    drawCircle(x, y, s(STROBE_BANDS[STROBE_BANDS.length - 1].radius) - s(STROBE_BANDS[0].width) / 2);
+  }
+
+  function draw(now = performance.now()) {
     const x = cx(), y = cy();
     ctx.clearRect(0, 0, canvasSize, canvasSize);
 
+    if (displayView === 'strobe') {
+      drawStrobe(x, y, now);
+      requestAnimationFrame(draw);
+      return;
+    }
+    strobe.lastTime = 0;
+
+    if (commaMode()) {
+      drawCommaRings(x, y);
+      requestAnimationFrame(draw);
+      return;
+    }
+
     // ── Outer ring (quarter-tones) ──
     // iOS: net rotation = 0 (segments start at 3 o'clock)
     drawRing(x, y, outerR(), outerStroke(), 0);
@@ -242,6 +585,8 @@
     drawCircle(x, y, innerR() + innerStroke() / 2);
     drawCircle(x, y, innerR() - innerStroke() / 2);
 
+    if (activeScale) drawScaleHighlights(x, y);
+
     // ── Green indicator (always visible) ──
     drawIndicator(x, y);
 
@@ -249,14 +594,14 @@
     // iOS: index * 30° + 15° from top
     for (let i = 0; i < SEGMENTS; i++) {
       const angle = -Math.PI / 2 + (i * 30 + 15) * DEG;
-      drawLabelAt(x, y, outerR(), angle, QUARTER_NAMES[i], s(14));
+      drawLabelAt(x, y, outerR(), angle, gridLabel(i * 2 + 1), s(14), labelColor(i * 2 + 1), outerR() * SEG_ANGLE * 0.9);
     }
 
     // ── Inner labels ──
     // iOS: index * 30° from top (the +15 and -15 rotations cancel)
     for (let i = 0; i < SEGMENTS; i++) {
       const angle = -Math.PI / 2 + i * 30 * DEG;
-      drawLabelAt(x, y, innerR(), angle, NOTE_NAMES[i], s(18));
+      drawLabelAt(x, y, innerR(), angle, gridLabel(i * 2), s(18), labelColor(i * 2), innerR() * SEG_ANGLE * 0.9);
     }
 
     requestAnimationFrame(draw);
@@ -275,22 +620,185 @@
     const activeNote = playingNote || detectedNote;
     const activeOctave = playingNote ? playingOctave : detectedOctave;
     const activeQuarter = playingNote ? (playingQuarter || activeNote) : detectedQuarter;
-    const activeCents = playingNote ? playingCents : detectedCents;
-
-    const octStr = activeOctave === -1 ? '-' : String(activeOctave);
-    noteEl.textContent = activeNote + octStr;
-    quarterEl.textContent = activeQuarter;
-    const maxCents = Math.max(soriCents, koronCents);
-    const clampedCents = Math.max(-maxCents, Math.min(maxCents, activeCents));
-    centsEl.textContent = Math.round(clampedCents) + ' cents';
-    if (Math.abs(activeCents) <= 5 && activeNote !== '--') {
+    // The strobe's cents are from its target (the quarter-tone or degree shown)
+    const strobeCents = displayView === 'strobe' && !playingNote && strobe.active;
+    const activeCents = playingNote ? playingCents : strobeCents ? strobe.error : detectedCents;
+
+    const octStr = activeOctave === -1 ? '-' : Naming.digits(shownOctave(GRID_NAMES.indexOf(activeNote), activeOctave));
+    const comma = commaMode() && (playingComma || (!playingNote && detectedComma));
+    let shownCents = activeCents;
+    if (comma) {
+      // Comma mode: the step's name, its number, and the deviation in commas and cents
+      shownCents = playingComma ? playingComma.deviation : strobeCents ? strobe.error : comma.deviation;
+      const sign = shownCents > 0 ? '+' : '';
+      noteEl.textContent = commaLabel(comma.step, comma.octave);
+      quarterEl.textContent = `koma ${Naming.digits(comma.step)}`;
+      centsEl.textContent = `${sign}${(shownCents / Comma.KOMA).toFixed(2)} k · ${sign}${Math.round(shownCents)} cents`;
+    } else {
+      noteEl.textContent = displayName(activeNote) + octStr;
+      quarterEl.textContent = displayName(activeQuarter);
+      // Scale degrees can be further apart than a quarter-tone; only the
+      // plain grid clamps to the sori/koron range.
+      const maxCents = activeScale ? 600 : maxQuarterSize();
+      const clampedCents = Math.max(-maxCents, Math.min(maxCents, activeCents));
+      centsEl.textContent = Math.round(clampedCents) + ' cents';
+    }
+    if (Math.abs(shownCents) <= 5 && activeNote !== '--') {
       centsEl.classList.add('in-tune');
     } else {
       centsEl.classList.remove('in-tune');
     }
+    document.getElementById('confidence-display').textContent = detectedNote === '--'
+      ? 'Confidence --'
+      : `Confidence ${Math.round(detectedConfidence * 100)}%`;
+    updateStringDisplay();
+    updateVoiceDisplay();
+    updateInputMeter();
+    updateNonVisualFeedback();
     requestAnimationFrame(updateDisplay);
   }
 
+  /** Name, octave and cents of one polyphonic voice, as the center display shows them. */
+  function voiceLabel(pitch) {
+    const d = describePitch(pitch);
+    const name = d.comma
+      ? commaLabel(d.comma.step, d.comma.octave)
+      : displayName(d.quarter) + Naming.digits(shownOctave(GRID_NAMES.indexOf(d.note), d.octave));
+    const cents = Math.round(d.comma ? d.comma.deviation : classifyPitch(pitch).deviation);
+    return `${name} ${cents > 0 ? '+' : ''}${cents}¢`;
+  }
+
+  /** Polyphonic detection: each voice and the intervals between neighbours. */
+  function updateVoiceDisplay() {
+    const readout = document.getElementById('voice-readout');
+    readout.hidden = AudioEngine.detection.voices < 2;
+    if (readout.hidden) return;
+    readout.textContent = '';
+    if (!detectedVoices.length) {
+      readout.textContent = 'Voices --';
+      return;
+    }
+    detectedVoices.forEach((f, i) => {
+      if (i) {
+        const interval = document.createElement('span');
+        interval.className = 'voice-interval';
+        interval.textContent = ` ‹${Math.round(1200 * Math.log2(f / detectedVoices[i - 1]))}¢› `;
+        readout.appendChild(interval);
+      }
+      readout.appendChild(document.createTextNode(voiceLabel(f)));
+    });
+  }
+
+  // ══════════════════════════════════════════════════════
+  // Non-visual feedback: spoken readout + in-tune cue
+  // ══════════════════════════════════════════════════════
+
+  const ANNOUNCE_INTERVAL_MS = 2000;
+  const CUE_IN_TUNE_CENTS = 5;   // as the display's in-tune colour
+  const CUE_REARM_CENTS = 10;    // drift this far (or change note) for another cue
+  const CUE_HOLD_MS = 250;       // in tune this long before the cue
+  const CUE_VIBRATE_MS = 80;
+  const SPOKEN_ACCIDENTALS = {
+    '#': 'sharp', '♯': 'sharp', b: 'flat', '♭': 'flat',
+    '+': 'quarter sharp', '𝄲': 'quarter sharp', '-': 'quarter flat', '𝄳': 'quarter flat',
+    '\u{1D1E9}': 'sori', '\u{1D1EA}': 'koron'
+  };
+  const SUPERSCRIPT_DIGITS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+
+  // announce: live-region readout on; cue: 'off' | 'tone' | 'vibrate' | 'both'
+  const access = { announce: true, cue: 'off' };
+  let lastAnnounced = '';
+  let lastAnnounceTime = 0;
+  let cueTarget = null;   // classifyPitch key of the note being tuned
+  let cueArmed = true;
+  let inTuneSince = 0;
+
+  /** A display name with its accidental in words, for screen readers. */
+  function spokenName(name) {
+    const { base, accidental } = Naming.split(name);
+    if (!accidental) return base;
+    const [sign] = accidental; // first code point (𝄲 and the sori sign are two UTF-16 units)
+    const komas = accidental.slice(sign.length).replace(/./gu, c => SUPERSCRIPT_DIGITS.indexOf(c));
+    return `${base} ${SPOKEN_ACCIDENTALS[sign] || sign}${komas ? ` ${komas} koma` : ''}`;
+  }
+
+  /** The live region's words for a pitch: target, octave, and cents (or "in tune"). */
+  function spokenPitch(pitch) {
+    const d = describePitch(pitch);
+    const { name, octave } = d.comma
+      ? commaSpelling(d.comma.step, d.comma.octave)
+      : { name: displayName(d.quarter), octave: shownOctave(GRID_NAMES.indexOf(d.note), d.octave) };
+    const deviation = d.comma ? d.comma.deviation : classifyPitch(pitch).deviation;
+    // Steps of 5 cents, so the readout doesn't chatter
+    const cents = Math.max(5, Math.round(Math.abs(deviation) / 5) * 5);
+    const tuning = Math.abs(deviation) <= CUE_IN_TUNE_CENTS
+      ? 'in tune'
+      : `${deviation > 0 ? 'plus' : 'minus'} ${cents} cents`;
+    return `${spokenName(name)} ${octave}, ${tuning}`;
+  }
+
+  function playInTuneCue() {
+    if (access.cue === 'tone' || access.cue === 'both') AudioEngine.playCue();
+    if ((access.cue === 'vibrate' || access.cue === 'both') && navigator.vibrate) navigator.vibrate(CUE_VIBRATE_MS);
+  }
+
+  /**
+   * Per display frame: the cue sounds once a note has been held in tune
+   * with its nearest target, and the live region reads out the note at most
+   * every ANNOUNCE_INTERVAL_MS, when what it would say has changed.
+   */
+  function updateNonVisualFeedback() {
+    const now = performance.now();
+    const pitch = isPlaying ? 0 : detectedPitch;
+    if (pitch <= 0) {
+      cueTarget = null;
+      inTuneSince = 0;
+      lastAnnounced = '';
+      return;
+    }
+
+    if (access.cue !== 'off') {
+      const target = classifyPitch(pitch);
+      if (target.key !== cueTarget || Math.abs(target.deviation) > CUE_REARM_CENTS) {
+        cueTarget = target.key;
+        cueArmed = true;
+      }
+      if (Math.abs(target.deviation) > CUE_IN_TUNE_CENTS) {
+        inTuneSince = 0;
+      } else if (!inTuneSince) {
+        inTuneSince = now;
+      } else if (cueArmed && now - inTuneSince >= CUE_HOLD_MS) {
+        cueArmed = false;
+        playInTuneCue();
+      }
+    }
+
+    if (!access.announce || now - lastAnnounceTime < ANNOUNCE_INTERVAL_MS) return;
+    const text = spokenPitch(pitch);
+    if (text === lastAnnounced) return;
+    lastAnnounced = text;
+    lastAnnounceTime = now;
+    document.getElementById('announcer').textContent = text;
+  }
+
+  /** Apply accessibility settings: { announce, cue }. */
+  function setAccess(settings) {
+    Object.assign(access, settings);
+    const announceBtn = document.getElementById('announce-toggle');
+    announceBtn.classList.toggle('selected', access.announce);
+    announceBtn.setAttribute('aria-pressed', access.announce);
+    document.getElementById('cue-select').value = access.cue;
+    if (!access.announce) document.getElementById('announcer').textContent = '';
+    scheduleSave();
+  }
+
+  document.getElementById('announce-toggle').addEventListener('click', () => setAccess({ announce: !access.announce }));
+  document.getElementById('cue-select').addEventListener('change', (e) => {
+    setAccess({ cue: e.target.value });
+    // Sample the choice (a tap also lets iOS play the tone later)
+    playInTuneCue();
+  });
+
   // ══════════════════════════════════════════════════════
   // Touch / click interaction
   // ══════════════════════════════════════════════════════
@@ -315,6 +823,7 @@
    *          which simplifies to raw angle (no offset)
    */
   function handlePointerOnCanvas(x, y) {
+    if (displayView === 'strobe') return; // no labels to tap
     const ccx = cx(), ccy = cy();
     const dx = x - ccx;
     const dy = y - ccy;
@@ -328,27 +837,43 @@
     const innerOuter = innerR() + innerStroke() / 2;
     const innerInner = innerR() - innerStroke() / 2;
 
-    if (radius >= outerInner && radius <= outerOuter) {
+    if (commaMode()) {
+      // Comma rings: nearest target step on the outer ring, nearest natural on the inner
+      let steps = null;
+      if (radius >= outerInner && radius <= outerOuter) steps = Comma.targets(division);
+      else if (radius >= innerInner && radius <= innerOuter) steps = Comma.NATURALS.map(n => n.step);
+      if (!steps) {
+        stopPlaying();
+        return;
+      }
+      const position = (angleDeg + 90) / 360 * Comma.STEPS;
+      const distance = step => {
+        const d = ((position - step) % Comma.STEPS + Comma.STEPS) % Comma.STEPS;
+        return Math.min(d, Comma.STEPS - d);
+      };
+      const step = steps.reduce((a, b) => (distance(b) < distance(a) ? b : a));
+      if (lastPlayedIndex !== step || lastPlayedType !== 'comma') {
+        playComma(step, selectedOctave - Math.floor((step + commaShift()) / Comma.STEPS));
+        lastPlayedIndex = step;
+        lastPlayedType = 'comma';
+        isPlaying = true;
+      }
+    } else if (radius >= outerInner && radius <= outerOuter) {
       // ── Outer ring (quarter-tones) ──
-      // iOS: outerAngle = raw angle normalized to 0..360
-      let outerAngle = angleDeg;
-      if (outerAngle < 0) outerAngle += 360;
-      const segment = Math.floor(outerAngle / 30) % 12;
+      const segment = Ring.quarterSegment(angleDeg);
       if (lastPlayedIndex !== segment || lastPlayedType !== 'quarter') {
-        playQuarterTone(segment, selectedOctave);
+        const q = Ring.quarterPosition(segment);
+        playQuarterTone(q, tapOctave(q));
         lastPlayedIndex = segment;
         lastPlayedType = 'quarter';
         isPlaying = true;
       }
     } else if (radius >= innerInner && radius <= innerOuter) {
       // ── Inner ring (semitones) ──
-      // iOS: normAngle = (angle < -15 ? angle+360 : angle) + 15
-      let normAngle = angleDeg;
-      if (normAngle < -15) normAngle += 360;
-      normAngle += 15;
-      const segment = Math.floor(normAngle / 30) % 12;
+      const segment = Ring.semitoneSegment(angleDeg);
       if (lastPlayedIndex !== segment || lastPlayedType !== 'semitone') {
-        tunerStartPlayingNote(segment, selectedOctave);
+        const q = Ring.semitonePosition(segment);
+        tunerStartPlayingNote(q, tapOctave(q));
         lastPlayedIndex = segment;
         lastPlayedType = 'semitone';
         isPlaying = true;
@@ -358,50 +883,56 @@
     }
   }
 
-  /** Play a semitone by segment index (matching iOS inner ring touch). */
-  function tunerStartPlayingNote(segment, octave) {
-    const freq = getNoteFrequency(NOTE_NAMES[segment], octave);
-    AudioEngine.startTone(freq);
+  /** Concert octave to play a tapped grid position in, so that it shows the Octave setting. */
+  function tapOctave(q) {
+    return selectedOctave - Math.floor((q + labelShift()) / 24);
+  }
 
-    // Display the LABEL note (segment→label uses +3 shift, same as freq calc)
-    const displayNote = NOTE_NAMES[(segment + 3) % 12];
-    playingNote = displayNote;
+  /**
+   * Play the semitone at even grid position q (an inner ring label, see
+   * Ring); a scale degree plays at its own offset from the grid.
+   */
+  function tunerStartPlayingNote(q, octave) {
+    AudioEngine.startTone(gridFrequency(q, octave));
+    playingNote = GRID_NAMES[q];
     playingOctave = octave;
     playingCents = 0;
-    playingQuarter = displayNote;
+    playingQuarter = playingNote;
+    playingPos = q;
   }
 
   /**
-   * Play a quarter-tone by segment index (matching iOS outer ring touch).
-   * iOS: visualIndex = (quarterIndex + 3) % 12
+   * Play the quarter-tone at odd grid position q (an outer ring label). The
+   * display shows it as the semitone it modifies and its offset in cents;
+   * a scale degree, shown as its deviation, reads 0.
    */
-  function playQuarterTone(quarterIndex, octave) {
-    const visualIndex = (quarterIndex + 3) % 12;
-    const name = QUARTER_NAMES[visualIndex];
+  function playQuarterTone(q, octave) {
+    const name = GRID_NAMES[q];
     const isPlus = name.endsWith('+');
-    const isMinus = name.endsWith('-');
-
-    let baseNoteIndex, quarterOffset;
-    if (isPlus) {
-      baseNoteIndex = quarterIndex % 12;
-      quarterOffset = soriCents;
-    } else if (isMinus) {
-      baseNoteIndex = (quarterIndex + 1) % 12;
-      quarterOffset = -koronCents;
+    AudioEngine.startTone(gridFrequency(q, octave));
+    playingPos = q;
+    playingOctave = octave;
+    playingQuarter = name;
+    if (scaleDegreeAt(q)) {
+      playingNote = GRID_NAMES[q - 1];
+      playingCents = 0;
     } else {
-      baseNoteIndex = quarterIndex % 12;
-      quarterOffset = 0;
+      playingNote = GRID_NAMES[isPlus ? q - 1 : q + 1];
+      playingCents = isPlus ? quarterSize(q) : -quarterSize(q);
     }
+  }
 
-    const baseFreq = getNoteFrequency(NOTE_NAMES[baseNoteIndex], octave);
-    const freq = baseFreq * Math.pow(2, quarterOffset / 1200);
-    AudioEngine.startTone(freq);
-
-    // Display the LABEL note (+3 shift maps segment index to visual label)
-    playingNote = NOTE_NAMES[(baseNoteIndex + 3) % 12];
-    playingOctave = octave;
-    playingCents = quarterOffset;
-    playingQuarter = name;
+  /** Play a comma step (comma rings); the display shows it like a tapped label. */
+  function playComma(step, octave) {
+    AudioEngine.startTone(commaFrequency(step, octave));
+    const spelling = Comma.spell(step);
+    const gridPos = Comma.NATURALS[spelling.natural].gridPos;
+    playingNote = GRID_NAMES[gridPos];
+    playingOctave = octave + spelling.octave;
+    playingCents = 0;
+    playingQuarter = null;
+    playingPos = gridPos;
+    playingComma = { step, octave, commas: 0, deviation: 0 };
   }
 
   function stopPlaying() {
@@ -415,6 +946,8 @@
       playingOctave = -1;
       playingCents = 0;
       playingQuarter = null;
+      playingPos = 0;
+      playingComma = null;
     }
   }
 
@@ -452,73 +985,2113 @@
   canvas.addEventListener('touchcancel', stopPlaying);
 
   // ══════════════════════════════════════════════════════
-  // Controls
+  // Keyboard shortcuts
   // ══════════════════════════════════════════════════════
 
-  document.getElementById('octave-down').addEventListener('click', () => {
-    if (selectedOctave > 0) {
-      selectedOctave--;
-      document.getElementById('octave-value').textContent = selectedOctave;
+  // Tracker layout by physical key (KeyboardEvent.code, so any keyboard
+  // layout works): the bottom rows play the 12 semitones from Do, the rows
+  // above them the quarter-tone above each semitone (Do+, Re-, Re+…).
+  const SEMITONE_KEYS = ['KeyZ', 'KeyS', 'KeyX', 'KeyD', 'KeyC', 'KeyV', 'KeyG', 'KeyB', 'KeyH', 'KeyN', 'KeyJ', 'KeyM'];
+  const QUARTER_KEYS = ['KeyQ', 'Digit2', 'KeyW', 'Digit3', 'KeyE', 'KeyR', 'Digit5', 'KeyT', 'Digit6', 'KeyY', 'Digit7', 'KeyU'];
+  let keysHeld = []; // grid positions of held note keys, newest last
+
+  function keyGridPosition(code) {
+    const semitone = SEMITONE_KEYS.indexOf(code);
+    if (semitone !== -1) return semitone * 2;
+    const quarter = QUARTER_KEYS.indexOf(code);
+    return quarter === -1 ? -1 : quarter * 2 + 1;
+  }
+
+  /** Keys are named as shown, so they follow transposition and movable tonic. */
+  function playKey(q) {
+    const position = concertPosition(q, selectedOctave);
+    playGridPosition(position.q, position.octave);
+  }
+
+  function isTyping(target) {
+    return target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName);
+  }
+
+  document.addEventListener('keydown', (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target)) return;
+    if (e.code === 'Minus' || e.code === 'Equal') {
+      setOctave(selectedOctave + (e.code === 'Equal' ? 1 : -1));
+      e.preventDefault();
+      return;
     }
+    const q = keyGridPosition(e.code);
+    if (q === -1) return;
+    e.preventDefault();
+    if (e.repeat) return;
+    AudioEngine.getContext();
+    keysHeld = keysHeld.filter(k => k !== q).concat(q);
+    playKey(q);
   });
-  document.getElementById('octave-up').addEventListener('click', () => {
-    if (selectedOctave < 8) {
-      selectedOctave++;
-      document.getElementById('octave-value').textContent = selectedOctave;
-    }
+
+  document.addEventListener('keyup', (e) => {
+    const q = keyGridPosition(e.code);
+    if (q === -1 || !keysHeld.includes(q)) return;
+    keysHeld = keysHeld.filter(k => k !== q);
+    // Last-key priority, as with MIDI input
+    if (keysHeld.length) playKey(keysHeld[keysHeld.length - 1]);
+    else stopPlaying();
   });
 
-  document.querySelectorAll('.sound-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      document.querySelectorAll('.sound-btn').forEach(b => b.classList.remove('selected'));
-      btn.classList.add('selected');
-      AudioEngine.setWaveform(btn.dataset.sound);
+  window.addEventListener('blur', () => {
+    if (!keysHeld.length) return;
+    keysHeld = [];
+    stopPlaying();
+  });
+
+  // ══════════════════════════════════════════════════════
+  // Controls
+  // ══════════════════════════════════════════════════════
+
+  function setOctave(octave) {
+    selectedOctave = Math.max(0, Math.min(8, octave));
+    document.getElementById('octave-value').textContent = selectedOctave;
+    scheduleSave();
+  }
+
+  function setDisplayView(view) {
+    displayView = view;
+    document.querySelectorAll('.view-btn').forEach(b => {
+      b.classList.toggle('selected', b.dataset.view === view);
+    });
+    scheduleSave();
+  }
+
+  function setDivision(value) {
+    division = value;
+    retune();
+    detectedComma = null;
+    document.querySelectorAll('.division-btn').forEach(b => {
+      b.classList.toggle('selected', b.dataset.division === value);
+    });
+    if (analysis) renderAnalysisSummary();
+    scheduleSave();
+  }
+
+  function setWaveform(type) {
+    document.querySelectorAll('.sound-btn').forEach(b => {
+      b.classList.toggle('selected', b.dataset.sound === type);
+    });
+    AudioEngine.setWaveform(type);
+    scheduleSave();
+  }
+
+  /**
+   * group: 'sori' or 'koron'; cents: 42, 50 or 58. Replaces any measured
+   * sizes for that group's degrees.
+   */
+  function setQuarterTone(group, cents) {
+    if (group === 'sori') soriCents = cents;
+    else koronCents = cents;
+    if (measuredSizes) {
+      const suffix = group === 'sori' ? '+' : '-';
+      const kept = {};
+      for (const q in measuredSizes) if (!GRID_NAMES[q].endsWith(suffix)) kept[q] = measuredSizes[q];
+      setMeasuredSizes(Object.keys(kept).length ? kept : null);
+    } else {
+      quarterSizesChanged();
+    }
+  }
+
+  /** Per-degree sizes from intonation stats ({ [odd gridPos]: cents }), or null. */
+  function setMeasuredSizes(sizes) {
+    measuredSizes = sizes;
+    quarterSizesChanged();
+  }
+
+  function quarterSizesChanged() {
+    retune();
+    const measuredIn = suffix => !!measuredSizes &&
+      Object.keys(measuredSizes).some(q => GRID_NAMES[q].endsWith(suffix));
+    ['sori', 'koron'].forEach(group => {
+      const value = group === 'sori' ? soriCents : koronCents;
+      const measured = measuredIn(group === 'sori' ? '+' : '-');
+      document.querySelectorAll(`.qt-btn[data-qt="${group}"]`).forEach(b => {
+        b.classList.toggle('selected', !measured && parseInt(b.dataset.val, 10) === value);
+      });
+    });
+    const measuredBtn = document.getElementById('qt-measured');
+    measuredBtn.hidden = !measuredSizes;
+    measuredBtn.classList.toggle('selected', !!measuredSizes);
+    if (drone.tonic % 2) retuneDrone();
+    namesChanged(); // Turkish AEU spellings follow the sizes
+    scheduleSave();
+  }
+
+  function setNaming(id) {
+    Naming.set(id);
+    document.getElementById('naming-select').value = Naming.current;
+    namesChanged();
+    scheduleSave();
+  }
+
+  /** Transposition in grid steps as shown: 'Concert', '+2 st', '-1½ st'. */
+  function formatTransposition(steps) {
+    if (!steps) return 'Concert';
+    const abs = Math.abs(steps);
+    return `${steps > 0 ? '+' : '-'}${Math.floor(abs / 2) || ''}${abs % 2 ? '½' : ''} st`;
+  }
+
+  function setTransposition(steps) {
+    transposition = Math.max(-48, Math.min(48, steps));
+    document.getElementById('transpose-value').textContent = formatTransposition(transposition);
+    namesChanged();
+    scheduleSave();
+  }
+
+  function setTonicMode(on) {
+    tonicMode = on;
+    const btn = document.getElementById('tonic-mode');
+    btn.classList.toggle('selected', on);
+    btn.setAttribute('aria-pressed', on);
+    // Transposition has no effect on names counted from the tonic
+    document.getElementById('transpose-down').disabled = on;
+    document.getElementById('transpose-up').disabled = on;
+    namesChanged();
+    scheduleSave();
+  }
+
+  /** Relabel everything showing grid names after a naming, quarter-size, transposition or tonic change. */
+  function namesChanged() {
+    gridLabels = Naming.labels(gridCents());
+    document.getElementById('center-display').dir = Naming.rtl ? 'rtl' : 'ltr';
+    ['tonic-select', 'drone-tonic'].forEach(id => {
+      Array.from(document.getElementById(id).options).forEach((o, i) => { o.textContent = gridLabel(i, transposition); });
     });
+    document.querySelectorAll('.string-chip').forEach((chip, i) => {
+      chip.textContent = midiName(activeInstrument.strings[i]);
+    });
+    if (analysis) renderAnalysisSummary();
+    if (document.getElementById('stats-panel').open) renderStats();
+  }
+
+  document.getElementById('octave-down').addEventListener('click', () => setOctave(selectedOctave - 1));
+  document.getElementById('octave-up').addEventListener('click', () => setOctave(selectedOctave + 1));
+  document.getElementById('transpose-down').addEventListener('click', () => setTransposition(transposition - 1));
+  document.getElementById('transpose-up').addEventListener('click', () => setTransposition(transposition + 1));
+  document.getElementById('tonic-mode').addEventListener('click', () => setTonicMode(!tonicMode));
+
+  document.querySelectorAll('.sound-btn').forEach(btn => {
+    btn.addEventListener('click', () => setWaveform(btn.dataset.sound));
+  });
+
+  const namingSelect = document.getElementById('naming-select');
+  Naming.list().forEach(n => namingSelect.appendChild(new Option(n.label, n.id)));
+  namingSelect.addEventListener('change', () => setNaming(namingSelect.value));
+
+  document.querySelectorAll('.division-btn').forEach(btn => {
+    btn.addEventListener('click', () => setDivision(btn.dataset.division));
+  });
+
+  document.querySelectorAll('.view-btn').forEach(btn => {
+    btn.addEventListener('click', () => setDisplayView(btn.dataset.view));
   });
 
   document.querySelectorAll('.qt-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const group = btn.dataset.qt; // 'sori' or 'koron'
-      const val = parseInt(btn.dataset.val, 10);
-      document.querySelectorAll(`.qt-btn[data-qt="${group}"]`).forEach(b => b.classList.remove('selected'));
-      btn.classList.add('selected');
-      if (group === 'sori') soriCents = val;
-      else koronCents = val;
-    });
+    btn.addEventListener('click', () => setQuarterTone(btn.dataset.qt, parseInt(btn.dataset.val, 10)));
   });
+  // Shown while measured sizes are in use; tapping returns to the presets
+  document.getElementById('qt-measured').addEventListener('click', () => setMeasuredSizes(null));
 
   // ══════════════════════════════════════════════════════
-  // Microphone startup
+  // Scale (maqam / dastgah / makam)
   // ══════════════════════════════════════════════════════
 
-  async function startMic() {
-    if (micStarted) return;
-    micStarted = true;
-    document.getElementById('mic-prompt').style.display = 'none';
-    await AudioEngine.startMicrophone((pitch, amplitude) => {
-      processPitch(pitch, amplitude);
-    });
+  /** (Re)build the scale picker's family groups, e.g. after an import. */
+  function populateScaleSelect() {
+    const scaleSelect = document.getElementById('scale-select');
+    scaleSelect.querySelectorAll('optgroup').forEach(g => g.remove());
+    for (const family of Scales.FAMILIES) {
+      const scales = Scales.list().filter(sc => sc.family === family.id);
+      if (!scales.length) continue;
+      const group = document.createElement('optgroup');
+      group.label = family.label;
+      scales.forEach(sc => group.appendChild(new Option(sc.name, sc.id)));
+      scaleSelect.appendChild(group);
+    }
+    scaleSelect.value = activeScale ? activeScale.id : '';
   }
 
-  function initMic() {
-    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-      micStarted = true;
-      return;
+  function populateTonicSelect() {
+    const tonicSelect = document.getElementById('tonic-select');
+    GRID_NAMES.forEach((name, i) => tonicSelect.appendChild(new Option(gridLabel(i, transposition), i)));
+  }
+
+  function setScale(id, tonic) {
+    activeScale = Scales.get(id);
+    document.getElementById('scale-select').value = activeScale ? activeScale.id : '';
+    const tonicSelect = document.getElementById('tonic-select');
+    if (activeScale) {
+      scaleTonic = tonic === undefined ? activeScale.tonic : tonic;
+      tonicSelect.value = scaleTonic;
     }
-    document.getElementById('mic-prompt').style.display = 'flex';
-    const handler = () => {
-      startMic();
-      document.removeEventListener('click', handler);
-      document.removeEventListener('touchstart', handler);
+    retune();
+    tonicSelect.disabled = !activeScale;
+    detectedDegree = null;
+    // Drone follows the scale's tonic; it can still be changed afterwards
+    if (activeScale) setDrone({ tonic: scaleTonic });
+    if (tonicMode) namesChanged();
+    else if (analysis) renderAnalysisSummary();
+    scheduleSave();
+  }
+
+  populateScaleSelect();
+  populateTonicSelect();
+  document.getElementById('scale-select').addEventListener('change', (e) => {
+    setScale(e.target.value);
+  });
+  document.getElementById('tonic-select').addEventListener('change', (e) => {
+    if (activeScale) setScale(activeScale.id, parseInt(e.target.value, 10));
+  });
+
+  // ══════════════════════════════════════════════════════
+  // Drone
+  // ══════════════════════════════════════════════════════
+
+  const DRONE_RETUNE_MS = 150;
+  let droneRetuneTimer = null;
+
+  /** Drone tonic frequency, including an imported scale's tonic offset. */
+  function droneFrequency() {
+    const offset = activeScale && drone.tonic === scaleTonic ? activeScale.tonicOffset || 0 : 0;
+    const cents = gridCents()[drone.tonic] + offset;
+    return tuning.frequencyOf((drone.octave - 4) * 1200 + cents);
+  }
+
+  function startDrone() {
+    clearTimeout(droneRetuneTimer);
+    AudioEngine.startDrone({
+      frequency: droneFrequency(),
+      voices: drone.voices,
+      waveform: drone.timbre,
+      volume: drone.volume
+    });
+  }
+
+  /** Restart a running drone after a change, coalescing slider drags. */
+  function retuneDrone() {
+    if (!drone.on) return;
+    clearTimeout(droneRetuneTimer);
+    droneRetuneTimer = setTimeout(startDrone, DRONE_RETUNE_MS);
+  }
+
+  function syncDroneControls() {
+    const toggle = document.getElementById('drone-toggle');
+    toggle.classList.toggle('selected', drone.on);
+    toggle.textContent = drone.on ? 'On' : 'Off';
+    document.getElementById('drone-tonic').value = drone.tonic;
+    document.getElementById('drone-octave').value = drone.octave;
+    document.getElementById('drone-timbre').value = drone.timbre;
+    document.getElementById('drone-volume').value = Math.round(drone.volume * 100);
+    document.querySelectorAll('.drone-voice').forEach(b => {
+      b.classList.toggle('selected', drone.voices.includes(b.dataset.voice));
+    });
+  }
+
+  /** Change drone settings (any of tonic, octave, voices, timbre, volume). */
+  function setDrone(changes) {
+    Object.assign(drone, changes);
+    // Without a scale, movable tonic counts from the drone
+    if (tonicMode && !activeScale && changes.tonic !== undefined) namesChanged();
+    syncDroneControls();
+    retuneDrone();
+    scheduleSave();
+  }
+
+  function toggleDrone() {
+    drone.on = !drone.on;
+    // Start inside the click handler: mobile browsers only allow playback from a gesture
+    if (drone.on) startDrone();
+    else {
+      clearTimeout(droneRetuneTimer);
+      AudioEngine.stopDrone();
+    }
+    syncDroneControls();
+  }
+
+  function initDroneControls() {
+    const tonicSelect = document.getElementById('drone-tonic');
+    GRID_NAMES.forEach((name, i) => tonicSelect.appendChild(new Option(gridLabel(i, transposition), i)));
+    const octaveSelect = document.getElementById('drone-octave');
+    for (let o = 1; o <= 5; o++) octaveSelect.appendChild(new Option(`Octave ${o}`, o));
+    syncDroneControls();
+
+    document.getElementById('drone-toggle').addEventListener('click', toggleDrone);
+    tonicSelect.addEventListener('change', () => setDrone({ tonic: parseInt(tonicSelect.value, 10) }));
+    octaveSelect.addEventListener('change', () => setDrone({ octave: parseInt(octaveSelect.value, 10) }));
+    document.getElementById('drone-timbre').addEventListener('change', (e) => setDrone({ timbre: e.target.value }));
+    document.getElementById('drone-volume').addEventListener('input', (e) => {
+      setDrone({ volume: parseInt(e.target.value, 10) / 100 });
+    });
+    document.querySelectorAll('.drone-voice').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const id = btn.dataset.voice;
+        const voices = drone.voices.includes(id) ? drone.voices.filter(v => v !== id) : drone.voices.concat(id);
+        setDrone({ voices });
+      });
+    });
+  }
+
+  initDroneControls();
+
+  // ══════════════════════════════════════════════════════
+  // Tuning files (Scala .scl / .kbm)
+  // ══════════════════════════════════════════════════════
+
+  function showTuningStatus(message, isError) {
+    const el = document.getElementById('tuning-status');
+    el.textContent = message;
+    el.classList.toggle('error', !!isError);
+  }
+
+  function downloadText(fileName, text, type) {
+    downloadBlob(fileName, new Blob([text], { type }));
+  }
+
+  function downloadBlob(fileName, blob) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /** An imported .scl becomes a custom scale on the current tonic. */
+  function importScl(text, fileName) {
+    const scl = Scala.parseScl(text, fileName);
+    const scale = Scales.register({
+      id: 'scl:' + fileName,
+      name: scl.description || fileName,
+      tonic: activeScale ? scaleTonic : 0,
+      tonicOffset: 0,
+      cents: scl.cents,
+      period: scl.period
+    });
+    populateScaleSelect();
+    setScale(scale.id);
+    // Loaded all the same: the tuning itself is exact, only the labels fall short
+    const warnings = Scala.warnings(scl);
+    const notes = `Loaded ${fileName}: ${scl.cents.length} notes`;
+    showTuningStatus(warnings.length ? `${notes}. Note: ${warnings.join('; ')}.` : notes, warnings.length > 0);
+  }
+
+  /**
+   * A .kbm places the active imported scale at an absolute pitch: its
+   * reference note sets A4 (when in range) and its middle note the tonic.
+   */
+  function importKbm(text, fileName) {
+    if (!activeScale || activeScale.family !== 'custom') {
+      throw new Error(`${fileName}: load a .scl file before its .kbm mapping`);
+    }
+    const kbm = Scala.parseKbm(text, fileName);
+    const tonicFreq = Scala.tonicFrequency(activeScale, kbm, fileName);
+
+    const a4 = kbm.frequency * Math.pow(2, (69 - kbm.reference) / 12);
+    if (a4 >= MIN_A4 && a4 <= MAX_A4) setReferenceA4(a4);
+
+    const centsFromC4 = tuning.centsOf(tonicFreq);
+    const within = ((centsFromC4 % 1200) + 1200) % 1200;
+    const step = Math.round(within / 50);
+    const scale = Scales.register(Object.assign({}, activeScale, {
+      tonic: step % 24,
+      tonicOffset: within - step * 50
+    }));
+    setScale(scale.id);
+    showTuningStatus(`Mapped with ${fileName}: degree 0 = ${tonicFreq.toFixed(2)} Hz`);
+  }
+
+  async function importTuningFiles(files) {
+    // Scales before mappings, so a dropped .scl + .kbm pair applies in order
+    const isKbm = f => /\.kbm$/i.test(f.name);
+    const sorted = Array.from(files).sort((a, b) => isKbm(a) - isKbm(b));
+    try {
+      for (const file of sorted) {
+        const text = await file.text();
+        if (/\.scl$/i.test(file.name)) importScl(text, file.name);
+        else if (isKbm(file)) importKbm(text, file.name);
+        else throw new Error(`${file.name}: not a .scl or .kbm file`);
+      }
+    } catch (e) {
+      showTuningStatus(e.message, true);
+    }
+  }
+
+  /** Cents of the plain 24-tone grid under the current sori/koron sizes. */
+  function gridCents() {
+    return tuning.gridCents();
+  }
+
+  function exportScl() {
+    const a4 = `A4 = ${referenceA4.toFixed(1)} Hz`;
+    let description, cents, period, slug;
+    if (activeScale) {
+      description = `${activeScale.name} on ${gridLabel(scaleTonic, 0)}, ${a4}`;
+      cents = activeScale.cents;
+      period = activeScale.period || 1200;
+      slug = activeScale.id.replace(/^scl:/, '').replace(/\.scl$/i, '');
+    } else {
+      description = measuredSizes
+        ? `Qtone 24-tone, measured koron/sori sizes, ${a4}`
+        : `Qtone 24-tone, koron ${koronCents} / sori ${soriCents} cents, ${a4}`;
+      cents = gridCents();
+      period = 1200;
+      slug = measuredSizes ? '24-measured' : `24-k${koronCents}-s${soriCents}`;
+    }
+    const fileName = `qtone-${slug.replace(/[^\w-]+/g, '-')}.scl`;
+    downloadText(fileName, Scala.toScl(description, cents, period, fileName), 'text/plain');
+  }
+
+  document.getElementById('tuning-file').addEventListener('change', (e) => {
+    importTuningFiles(e.target.files);
+    e.target.value = '';
+  });
+  document.getElementById('tuning-export').addEventListener('click', exportScl);
+
+  document.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    document.body.classList.add('drag-over');
+  });
+  document.addEventListener('dragleave', (e) => {
+    if (!e.relatedTarget) document.body.classList.remove('drag-over');
+  });
+  document.addEventListener('drop', (e) => {
+    e.preventDefault();
+    document.body.classList.remove('drag-over');
+    const files = Array.from(e.dataTransfer.files);
+    const audio = files.find(isAudioFile);
+    if (audio) analyzeAudioFile(audio);
+    const tuning = files.filter(f => !isAudioFile(f));
+    if (tuning.length) importTuningFiles(tuning);
+  });
+
+  // ══════════════════════════════════════════════════════
+  // Detection settings
+  // ══════════════════════════════════════════════════════
+
+  function syncThresholdSlider() {
+    const { algorithm, threshold } = AudioEngine.detection;
+    const range = PITCH_ALGORITHMS[algorithm].threshold;
+    const slider = document.getElementById('threshold-slider');
+    slider.min = range.min;
+    slider.max = range.max;
+    slider.step = range.step;
+    slider.value = threshold === undefined ? range.value : threshold;
+    document.getElementById('threshold-value').textContent = Number(slider.value).toFixed(2);
+  }
+
+  /** Show the engine's current detection settings in the panel. */
+  function syncDetectionControls() {
+    const current = AudioEngine.detection;
+    document.getElementById('algo-select').value = current.algorithm;
+    document.getElementById('window-select').value = current.windowSize;
+    document.getElementById('min-freq').value = current.minFreq;
+    document.getElementById('max-freq').value = current.maxFreq;
+    document.getElementById('voices-select').value = current.voices;
+    syncThresholdSlider();
+    syncGateSlider();
+  }
+
+  function initDetectionControls() {
+    const algoSelect = document.getElementById('algo-select');
+    for (const id in PITCH_ALGORITHMS) algoSelect.appendChild(new Option(PITCH_ALGORITHMS[id].label, id));
+    const windowSelect = document.getElementById('window-select');
+    AudioEngine.WINDOW_SIZES.forEach(n => windowSelect.appendChild(new Option(`${n} samples`, n)));
+    syncDetectionControls();
+
+    algoSelect.addEventListener('change', () => {
+      // Each algorithm's threshold means something different — start from its default
+      AudioEngine.setDetection({ algorithm: algoSelect.value, threshold: undefined });
+      syncThresholdSlider();
+      scheduleSave();
+    });
+    windowSelect.addEventListener('change', () => {
+      AudioEngine.setDetection({ windowSize: parseInt(windowSelect.value, 10) });
+      scheduleSave();
+    });
+    document.getElementById('voices-select').addEventListener('change', (e) => {
+      AudioEngine.setDetection({ voices: parseInt(e.target.value, 10) });
+      detectedVoices = [];
+      scheduleSave();
+    });
+    document.getElementById('threshold-slider').addEventListener('input', (e) => {
+      AudioEngine.setDetection({ threshold: parseFloat(e.target.value) });
+      document.getElementById('threshold-value').textContent = Number(e.target.value).toFixed(2);
+      scheduleSave();
+    });
+
+    const minInput = document.getElementById('min-freq');
+    const maxInput = document.getElementById('max-freq');
+    const applyRange = () => {
+      const { minFreq, maxFreq } = AudioEngine.detection;
+      const lo = parseFloat(minInput.value);
+      const hi = parseFloat(maxInput.value);
+      if (lo >= 20 && hi <= 5000 && lo < hi) {
+        AudioEngine.setDetection({ minFreq: lo, maxFreq: hi });
+        scheduleSave();
+      } else {
+        // Invalid range — restore the values in effect
+        minInput.value = minFreq;
+        maxInput.value = maxFreq;
+      }
+    };
+    minInput.addEventListener('change', applyRange);
+    maxInput.addEventListener('change', applyRange);
+  }
+
+  initDetectionControls();
+
+  // ══════════════════════════════════════════════════════
+  // Input device, gain, noise gate + level meter
+  // ══════════════════════════════════════════════════════
+
+  const METER_FLOOR_DB = -70; // left end of the meter (dBFS RMS)
+
+  function toDb(rms) {
+    return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+  }
+
+  /** Position of a level on the meter, 0–1. */
+  function meterFraction(db) {
+    return Math.min(1, Math.max(0, 1 - db / METER_FLOOR_DB));
+  }
+
+  function syncGateSlider() {
+    const db = Math.round(toDb(AudioEngine.detection.amplitudeThreshold));
+    document.getElementById('input-gate').value = db;
+    document.getElementById('input-gate-value').textContent = `${db} dB`;
+  }
+
+  function syncGainSlider() {
+    const db = AudioEngine.inputGain;
+    document.getElementById('input-gain').value = db;
+    document.getElementById('input-gain-value').textContent = `+${db} dB`;
+  }
+
+  function showInputStatus(message, isError) {
+    const el = document.getElementById('input-status');
+    el.textContent = message;
+    el.classList.toggle('error', !!isError);
+  }
+
+  /** List the inputs; labels only appear once microphone access is granted. */
+  async function populateInputs() {
+    const select = document.getElementById('input-select');
+    let inputs = [];
+    try {
+      inputs = await AudioEngine.listInputs();
+    } catch (e) {
+      console.warn('Could not list audio inputs:', e);
+    }
+    const current = AudioEngine.inputDevice;
+    select.textContent = '';
+    select.appendChild(new Option('Default input', ''));
+    inputs.forEach(d => select.appendChild(new Option(d.label, d.id)));
+    // A saved input that is unplugged keeps its place until it is back
+    if (current && !inputs.some(d => d.id === current)) select.appendChild(new Option('Saved input (not connected)', current));
+    select.value = current;
+  }
+
+  async function setInputDevice(id) {
+    try {
+      await AudioEngine.setInputDevice(id);
+      showInputStatus('');
+    } catch (e) {
+      showInputStatus(e.message, true);
+    }
+    document.getElementById('input-select').value = AudioEngine.inputDevice;
+    scheduleSave();
+  }
+
+  /** Apply saved input settings: { device, gain }. */
+  function setInput({ device, gain }) {
+    if (gain !== undefined) {
+      AudioEngine.setInputGain(gain);
+      syncGainSlider();
+    }
+    if (device !== undefined && device !== AudioEngine.inputDevice) {
+      setInputDevice(device).then(populateInputs);
+    }
+  }
+
+  function updateInputMeter() {
+    const { rms, clipping } = AudioEngine.level;
+    const gate = AudioEngine.detection.amplitudeThreshold;
+    const level = document.getElementById('input-level');
+    level.style.width = `${meterFraction(toDb(rms)) * 100}%`;
+    level.classList.toggle('gated', rms < gate);
+    document.getElementById('input-gate-mark').style.left = `${meterFraction(toDb(gate)) * 100}%`;
+    document.getElementById('input-clip').classList.toggle('on', clipping);
+  }
+
+  function showMicError(message, canRetry = true) {
+    document.getElementById('mic-error').hidden = !message;
+    document.getElementById('mic-error-text').textContent = message || '';
+    document.getElementById('mic-retry').hidden = !canRetry;
+  }
+
+  function initInputControls() {
+    syncGainSlider();
+    syncGateSlider();
+    populateInputs();
+
+    document.getElementById('input-select').addEventListener('change', (e) => setInputDevice(e.target.value));
+    document.getElementById('input-gain').addEventListener('input', (e) => {
+      AudioEngine.setInputGain(parseInt(e.target.value, 10));
+      syncGainSlider();
+      scheduleSave();
+    });
+    document.getElementById('input-gate').addEventListener('input', (e) => {
+      AudioEngine.setDetection({ amplitudeThreshold: Math.pow(10, parseInt(e.target.value, 10) / 20) });
+      syncGateSlider();
+      scheduleSave();
+    });
+    document.getElementById('mic-retry').addEventListener('click', () => {
+      if (micStarted) stopListening();
+      startMic();
+    });
+
+    AudioEngine.onInputs = (lost, error) => {
+      populateInputs();
+      if (!lost) return;
+      if (error) {
+        // No input left to fall back to: listening is over until a retry
+        stopListening();
+        showMicError(`The input was disconnected. ${error.message}`);
+      } else {
+        showInputStatus('The input was disconnected; now using the default input.', true);
+        scheduleSave();
+      }
+    };
+  }
+
+  initInputControls();
+
+  // ══════════════════════════════════════════════════════
+  // Instrument profiles + string targets
+  // ══════════════════════════════════════════════════════
+
+  function midiName(midi) {
+    const q = (midi % 12) * 2;
+    return gridLabel(q) + Naming.digits(shownOctave(q, Math.floor(midi / 12) - 1));
+  }
+
+  function setInstrument(id) {
+    activeInstrument = Instruments.get(id);
+    instrumentSelect.value = activeInstrument.id;
+    lockedString = -1;
+    stringMatch = null;
+    // Polyphony is the player's choice, not the instrument's — it carries over
+    const settings = Instruments.detectionSettings(activeInstrument, AudioEngine.DETECTION_DEFAULTS);
+    AudioEngine.setDetection(Object.assign(settings, { voices: AudioEngine.detection.voices }));
+    syncDetectionControls();
+
+    const row = document.getElementById('string-row');
+    const chips = document.getElementById('string-chips');
+    chips.textContent = '';
+    activeInstrument.strings.forEach((midi, i) => {
+      const chip = document.createElement('button');
+      chip.className = 'string-chip';
+      chip.textContent = midiName(midi);
+      chip.addEventListener('click', () => {
+        // Tap to lock onto one string, tap again to return to auto-select
+        lockedString = lockedString === i ? -1 : i;
+      });
+      chips.appendChild(chip);
+    });
+    row.hidden = !activeInstrument.strings.length;
+    scheduleSave();
+  }
+
+  /** Match the detected pitch to the locked string, or the closest one. */
+  function matchString(pitch) {
+    if (!activeInstrument.strings.length || pitch <= 0) {
+      stringMatch = null;
+    } else if (lockedString >= 0) {
+      const target = Instruments.stringFrequency(activeInstrument.strings[lockedString], referenceA4);
+      stringMatch = { index: lockedString, cents: 1200 * Math.log2(pitch / target) };
+    } else {
+      stringMatch = Instruments.nearestString(activeInstrument, pitch, referenceA4);
+    }
+  }
+
+  function updateStringDisplay() {
+    if (!activeInstrument.strings.length) return;
+    const activeIndex = stringMatch ? stringMatch.index : lockedString;
+    document.querySelectorAll('.string-chip').forEach((chip, i) => {
+      chip.classList.toggle('active', i === activeIndex);
+      chip.classList.toggle('locked', i === lockedString);
+    });
+    const readout = document.getElementById('string-readout');
+    if (stringMatch) {
+      const c = Math.round(stringMatch.cents);
+      readout.textContent = `${midiName(activeInstrument.strings[stringMatch.index])} ${c > 0 ? '+' : ''}${c} cents`;
+    } else {
+      readout.textContent = lockedString >= 0 ? 'Locked' : 'Auto';
+    }
+    readout.classList.toggle('in-tune', !!stringMatch && Math.abs(stringMatch.cents) <= 5);
+  }
+
+  const instrumentSelect = document.getElementById('instrument-select');
+  Instruments.list().forEach(p => instrumentSelect.appendChild(new Option(p.name, p.id)));
+  instrumentSelect.addEventListener('change', () => setInstrument(instrumentSelect.value));
+
+  // ══════════════════════════════════════════════════════
+  // Reference pitch (A4 calibration)
+  // ══════════════════════════════════════════════════════
+
+  function setReferenceA4(hz) {
+    const clamped = Math.max(MIN_A4, Math.min(MAX_A4, hz));
+    referenceA4 = Math.round(clamped * 10) / 10;
+    retune();
+    document.getElementById('a4-value').textContent = referenceA4.toFixed(1);
+    document.getElementById('a4-slider').value = referenceA4;
+    retuneDrone();
+    if (analysis) renderAnalysisSummary();
+    scheduleSave();
+  }
+
+  /** Call fn on press, then repeatedly while the button is held. */
+  function bindRepeat(btn, fn) {
+    let delayId = null;
+    let repeatId = null;
+    const stop = () => {
+      clearTimeout(delayId);
+      clearInterval(repeatId);
+      delayId = repeatId = null;
+    };
+    btn.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      stop();
+      fn();
+      delayId = setTimeout(() => { repeatId = setInterval(fn, 60); }, 400);
+    });
+    btn.addEventListener('pointerup', stop);
+    btn.addEventListener('pointerleave', stop);
+    btn.addEventListener('pointercancel', stop);
+  }
+
+  bindRepeat(document.getElementById('a4-down'), () => setReferenceA4(referenceA4 - 0.1));
+  bindRepeat(document.getElementById('a4-up'), () => setReferenceA4(referenceA4 + 0.1));
+  document.getElementById('a4-slider').addEventListener('input', (e) => {
+    setReferenceA4(parseFloat(e.target.value));
+  });
+
+  /**
+   * Auto-calibrate: wait for a note held within ±CALIBRATE_TOLERANCE cents
+   * for CALIBRATE_HOLD_MS, then move A4 so that note reads 0 cents.
+   */
+  function startCalibration() {
+    const btn = document.getElementById('a4-auto');
+    if (calibration) {
+      stopCalibration();
+      return;
+    }
+    calibration = {
+      samples: [],
+      startTime: 0,
+      timeoutId: setTimeout(stopCalibration, CALIBRATE_TIMEOUT_MS)
+    };
+    btn.classList.add('selected');
+    btn.textContent = 'Listening';
+  }
+
+  function stopCalibration() {
+    if (!calibration) return;
+    clearTimeout(calibration.timeoutId);
+    calibration = null;
+    const btn = document.getElementById('a4-auto');
+    btn.classList.remove('selected');
+    btn.textContent = 'Auto';
+  }
+
+  function feedCalibration(pitch) {
+    if (!calibration) return;
+    const now = performance.now();
+    const samples = calibration.samples;
+    const drift = samples.length ? Math.abs(1200 * Math.log2(pitch / samples[0])) : 0;
+    if (pitch <= 0 || drift > CALIBRATE_TOLERANCE) {
+      // Hold broken — start a new window from this sample
+      calibration.samples = pitch > 0 ? [pitch] : [];
+      calibration.startTime = now;
+      return;
+    }
+    if (!samples.length) calibration.startTime = now;
+    samples.push(pitch);
+    if (now - calibration.startTime < CALIBRATE_HOLD_MS) return;
+
+    const sorted = samples.slice().sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    // Nearest equal-tempered note relative to La4, then solve for A4
+    const semitonesFromA4 = Math.round(12 * Math.log2(median / DEFAULT_A4));
+    setReferenceA4(median / Math.pow(2, semitonesFromA4 / 12));
+    stopCalibration();
+  }
+
+  document.getElementById('a4-auto').addEventListener('click', startCalibration);
+
+  // ══════════════════════════════════════════════════════
+  // Pitch history graph
+  // ══════════════════════════════════════════════════════
+
+  /** Guide lines between lo and hi (cents from Do4): scale degrees or the 24-grid. */
+  function historyGuides(lo, hi) {
+    const out = [];
+    if (activeScale) {
+      const period = activeScale.period || 1200;
+      const tonicCents = scaleTonic * 50 + (activeScale.tonicOffset || 0);
+      const first = Math.floor((lo - tonicCents) / period) - 1;
+      const last = Math.ceil((hi - tonicCents) / period);
+      for (let n = first; n <= last; n++) {
+        tuning.degrees.forEach(d => {
+          const c = tonicCents + n * period + d.cents;
+          if (c >= lo && c <= hi) out.push({ cents: c, label: gridLabel(d.gridPos), strong: d.index === 0 });
+        });
+      }
+      return out;
+    }
+    if (commaMode()) {
+      for (let oct = Math.floor(lo / 1200); oct <= Math.ceil(hi / 1200); oct++) {
+        Comma.targets(division).forEach(step => {
+          const c = oct * 1200 + step * Comma.KOMA;
+          if (c < lo || c > hi) return;
+          const isDo = (step + commaShift()) % Comma.STEPS === 0;
+          out.push({ cents: c, label: commaLabel(step, isDo ? oct + 4 : undefined), strong: Comma.isNatural(step) });
+        });
+      }
+      return out;
+    }
+    const grid = gridCents();
+    for (let oct = Math.floor(lo / 1200); oct <= Math.ceil(hi / 1200); oct++) {
+      grid.forEach((gc, q) => {
+        const c = oct * 1200 + gc;
+        if (c < lo || c > hi) return;
+        const semitone = q % 2 === 0;
+        // The octave number goes on whichever position reads Do
+        const isDo = (((q + labelShift()) % 24) + 24) % 24 === 0;
+        out.push({ cents: c, label: gridLabel(q) + (isDo ? Naming.digits(shownOctave(q, oct + 4)) : ''), strong: semitone });
+      });
+    }
+    return out;
+  }
+
+  function syncHistoryControls() {
+    const pause = document.getElementById('history-pause');
+    pause.textContent = PitchHistory.paused ? 'Live' : 'Pause';
+    pause.classList.toggle('selected', PitchHistory.paused);
+    pause.disabled = PitchHistory.replaying;
+    document.getElementById('history-zoom-value').textContent = `${PitchHistory.zoomCents}¢`;
+    document.getElementById('history-zoom-in').disabled = !PitchHistory.canZoomIn;
+    document.getElementById('history-zoom-out').disabled = !PitchHistory.canZoomOut;
+  }
+
+  PitchHistory.init({
+    canvas: document.getElementById('history-canvas'),
+    centsOf: hz => tuning.centsOf(hz),
+    guides: historyGuides,
+    onChange: syncHistoryControls
+  });
+  syncHistoryControls();
+  document.getElementById('history-pause').addEventListener('click', () => {
+    PitchHistory.setPaused(!PitchHistory.paused);
+  });
+  document.getElementById('history-zoom-in').addEventListener('click', () => PitchHistory.zoom(1));
+  document.getElementById('history-zoom-out').addEventListener('click', () => PitchHistory.zoom(-1));
+  document.getElementById('history-clear').addEventListener('click', () => PitchHistory.clear());
+  window.addEventListener('resize', () => PitchHistory.resize());
+
+  // ══════════════════════════════════════════════════════
+  // Session recording
+  // ══════════════════════════════════════════════════════
+
+  // Frames collected while recording: { time (ms from start), freq, note,
+  // octave, quarter, cents } — what the display showed at that moment
+  let recordFrames = null;
+  let recordStart = 0;
+  let recordTimer = null;
+  let take = null;          // last finished take: { recordedAt, samples, sampleRate, a4, scale, frames }
+  let review = null;        // { audio, url, frameIndex } while a take plays back
+
+  function formatTime(sec) {
+    const s = Math.floor(sec);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+  }
+
+  function showRecordStatus(message, isError) {
+    const el = document.getElementById('record-status');
+    el.textContent = message;
+    el.classList.toggle('error', !!isError);
+  }
+
+  function syncRecordControls() {
+    const recording = !!recordFrames;
+    const recBtn = document.getElementById('record-toggle');
+    recBtn.textContent = recording ? 'Stop' : 'Record';
+    recBtn.classList.toggle('selected', recording);
+    recBtn.disabled = !!review;
+    const playBtn = document.getElementById('record-play');
+    playBtn.textContent = review ? 'Stop' : 'Play';
+    playBtn.classList.toggle('selected', !!review);
+    playBtn.disabled = !take || recording || analyzing;
+    document.querySelectorAll('.record-export').forEach(b => { b.disabled = !take || recording; });
+  }
+
+  /** Log the current display state while recording. */
+  function recordFrame(pitch) {
+    if (!recordFrames) return;
+    // The estimate describes the middle of the analysis window, not its end
+    const latency = AudioEngine.detection.windowSize / 2 / AudioEngine.getContext().sampleRate * 1000;
+    const voiced = pitch > 0 && detectedNote !== '--';
+    recordFrames.push({
+      time: Math.max(0, performance.now() - recordStart - latency),
+      freq: voiced ? pitch : 0,
+      note: voiced ? detectedNote : '',
+      octave: voiced ? detectedOctave : null,
+      quarter: voiced ? detectedQuarter : '',
+      cents: voiced ? Math.round(detectedCents * 10) / 10 : null
+    });
+  }
+
+  /** A track frame for an offline pitch (no display smoothing). */
+  function trackFrame(time, pitch) {
+    if (!(pitch > 0)) return { time, freq: 0, note: '', octave: null, quarter: '', cents: null };
+    const d = describePitch(pitch);
+    return { time, freq: pitch, note: d.note, octave: d.octave, quarter: d.quarter, cents: Math.round(d.cents * 10) / 10 };
+  }
+
+  async function startRecording() {
+    if (!micStarted) await startMic();
+    try {
+      await AudioEngine.startRecording();
+    } catch (e) {
+      showRecordStatus(e.message, true);
+      return;
+    }
+    recordFrames = [];
+    recordStart = performance.now();
+    recordTimer = setInterval(() => {
+      const sec = AudioEngine.recordedSeconds;
+      showRecordStatus(`Recording ${formatTime(sec)}`);
+      if (sec >= AudioEngine.MAX_RECORD_SECONDS) stopRecording();
+    }, 250);
+    showRecordStatus('Recording 0:00');
+    syncRecordControls();
+  }
+
+  function stopRecording() {
+    clearInterval(recordTimer);
+    const audio = AudioEngine.stopRecording();
+    const frames = recordFrames;
+    recordFrames = null;
+    if (audio && audio.samples.length) {
+      take = {
+        recordedAt: new Date(Date.now() - audio.samples.length / audio.sampleRate * 1000),
+        samples: audio.samples,
+        sampleRate: audio.sampleRate,
+        a4: referenceA4,
+        scale: activeScale ? `${activeScale.name} on ${gridLabel(scaleTonic, 0)}` : 'Chromatic (24)',
+        frames
+      };
+      showRecordStatus(`Take: ${formatTime(audio.samples.length / audio.sampleRate)}`);
+    } else {
+      showRecordStatus('Nothing was recorded', true);
+    }
+    syncRecordControls();
+  }
+
+  /** Play the take back; the circle, display and history follow the recorded pitch. */
+  function startReview() {
+    const blob = new Blob([AudioEngine.encodeWav(take.samples, take.sampleRate)], { type: 'audio/wav' });
+    const url = URL.createObjectURL(blob);
+    const audio = new Audio(url);
+    review = { audio, url, frameIndex: -1 };
+    detectedVoices = []; // the take has a single pitch track
+    audio.addEventListener('ended', stopReview);
+    audio.play();
+    PitchHistory.replay(take.frames, () => audio.currentTime * 1000);
+    requestAnimationFrame(reviewLoop);
+    syncRecordControls();
+  }
+
+  function stopReview() {
+    if (!review) return;
+    review.audio.pause();
+    URL.revokeObjectURL(review.url);
+    review = null;
+    PitchHistory.endReplay();
+    processPitch(0, 0);
+    showRecordStatus(`Take: ${formatTime(take.samples.length / take.sampleRate)}`);
+    syncRecordControls();
+  }
+
+  function reviewLoop() {
+    if (!review) return;
+    const t = review.audio.currentTime * 1000;
+    const frames = take.frames;
+    let i = review.frameIndex;
+    if (i >= 0 && frames[i].time > t) i = -1; // seeked back
+    while (i + 1 < frames.length && frames[i + 1].time <= t) i++;
+    if (i !== review.frameIndex && i >= 0) processPitch(frames[i].freq, frames[i].freq > 0 ? 1 : 0);
+    review.frameIndex = i;
+    showRecordStatus(`Playing ${formatTime(review.audio.currentTime)} / ${formatTime(take.samples.length / take.sampleRate)}`);
+    requestAnimationFrame(reviewLoop);
+  }
+
+  function takeFileName(ext) {
+    if (take.name) return `qtone-${take.name}.${ext}`;
+    const d = take.recordedAt;
+    const pad = n => String(n).padStart(2, '0');
+    const stamp = `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+    return `qtone-take-${stamp}.${ext}`;
+  }
+
+  function exportTakeCsv() {
+    const rows = ['time_s,frequency_hz,note,octave,quarter,cents'];
+    take.frames.forEach(f => {
+      rows.push([
+        (f.time / 1000).toFixed(3),
+        f.freq > 0 ? f.freq.toFixed(2) : '',
+        displayName(f.note, 0),
+        f.octave === null ? '' : f.octave,
+        displayName(f.quarter, 0),
+        f.cents === null ? '' : f.cents
+      ].join(','));
+    });
+    downloadText(takeFileName('csv'), rows.join('\n') + '\n', 'text/csv');
+  }
+
+  function exportTakeJson() {
+    const data = {
+      app: 'qtone',
+      version: 1,
+      recordedAt: take.recordedAt.toISOString(),
+      duration: take.samples.length / take.sampleRate,
+      a4: take.a4,
+      scale: take.scale,
+      naming: Naming.current,
+      frames: take.frames.map(f => Object.assign({}, f, {
+        time: Math.round(f.time) / 1000,
+        note: displayName(f.note, 0),
+        quarter: displayName(f.quarter, 0)
+      }))
+    };
+    downloadText(takeFileName('json'), JSON.stringify(data, null, 2), 'application/json');
+  }
+
+  // ══════════════════════════════════════════════════════
+  // Audio file analysis
+  // ══════════════════════════════════════════════════════
+
+  let analysis = null;      // { fileName, frames } — engine frames of the last analyzed file
+  let analyzing = false;
+
+  function isAudioFile(file) {
+    return /^audio\//.test(file.type) || /\.(wav|mp3|ogg|oga|flac|m4a|aac|opus|webm)$/i.test(file.name);
+  }
+
+  function showAnalysisStatus(message, isError) {
+    const el = document.getElementById('analysis-status');
+    el.textContent = message;
+    el.classList.toggle('error', !!isError);
+  }
+
+  async function analyzeAudioFile(file) {
+    if (analyzing) return;
+    if (recordFrames) stopRecording();
+    stopReview();
+    analyzing = true;
+    syncRecordControls();
+    document.getElementById('analysis-panel').open = true;
+    showAnalysisStatus(`Decoding ${file.name}…`);
+    try {
+      const result = await AudioEngine.analyzeFile(file, (fraction) => {
+        showAnalysisStatus(`Analyzing ${file.name}… ${Math.round(fraction * 100)}%`);
+      });
+      analysis = { fileName: file.name, frames: result.frames };
+      // The track becomes the current take: Play and the CSV/JSON exports work on it
+      take = {
+        name: file.name.replace(/\.[^.]+$/, '').replace(/[^\w-]+/g, '-'),
+        recordedAt: new Date(file.lastModified || Date.now()),
+        samples: result.samples,
+        sampleRate: result.sampleRate,
+        a4: referenceA4,
+        scale: activeScale ? `${activeScale.name} on ${gridLabel(scaleTonic, 0)}` : 'Chromatic (24)',
+        frames: result.frames.map(f => trackFrame(f.time * 1000, f.frequency))
+      };
+      const duration = result.samples.length / result.sampleRate;
+      showAnalysisStatus(`${file.name}: ${formatTime(duration)}, ${result.frames.length} frames`);
+      showRecordStatus(`Take: ${file.name}`);
+      renderAnalysisSummary();
+    } catch (e) {
+      showAnalysisStatus(e.message, true);
+    } finally {
+      analyzing = false;
+      syncRecordControls();
+    }
+  }
+
+  /** Summary of the analyzed file against the current scale / koron / sori / A4. */
+  function renderAnalysisSummary() {
+    const table = document.getElementById('analysis-summary');
+    const body = table.querySelector('tbody');
+    body.textContent = '';
+    if (!analysis) {
+      table.hidden = true;
+      return;
+    }
+    const frames = analysis.frames;
+    const spacing = frames.length > 1 ? frames[1].time - frames[0].time : 0;
+    const classified = frames
+      .filter(f => f.frequency > 0)
+      .map(f => Object.assign({ time: f.time }, classifyPitch(f.frequency)));
+    const rows = Intonation.summarize(classified, spacing);
+    rows.forEach(r => {
+      const tr = document.createElement('tr');
+      const sign = r.mean > 0 ? '+' : '';
+      [r.label, `${r.seconds.toFixed(1)} s`, `${sign}${r.mean.toFixed(1)}`, `±${r.spread.toFixed(1)}`].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      tr.classList.toggle('in-tune', Math.abs(r.mean) <= 5);
+      body.appendChild(tr);
+    });
+    table.hidden = !rows.length;
+    if (!rows.length) showAnalysisStatus(`${analysis.fileName}: no steady notes found`, true);
+  }
+
+  document.getElementById('analysis-file').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) analyzeAudioFile(file);
+  });
+
+  document.getElementById('record-toggle').addEventListener('click', () => {
+    if (recordFrames) stopRecording();
+    else startRecording();
+  });
+  document.getElementById('record-play').addEventListener('click', () => {
+    if (review) stopReview();
+    else if (take) startReview();
+  });
+  document.getElementById('record-wav').addEventListener('click', () => {
+    const wav = AudioEngine.encodeWav(take.samples, take.sampleRate);
+    downloadBlob(takeFileName('wav'), new Blob([wav], { type: 'audio/wav' }));
+  });
+  document.getElementById('record-csv').addEventListener('click', exportTakeCsv);
+  document.getElementById('record-json').addEventListener('click', exportTakeJson);
+  syncRecordControls();
+
+  // ══════════════════════════════════════════════════════
+  // Intonation stats (measured koron/sori sizes)
+  // ══════════════════════════════════════════════════════
+
+  const MIN_MEASURE_SECONDS = 1; // steady time a degree needs to be measured
+  const statsAccumulator = Intonation.createAccumulator();
+  let statsCollecting = false;
+  let statsTimer = null;
+
+  function feedStats(pitch) {
+    if (!statsCollecting) return;
+    if (pitch > 0) statsAccumulator.add(performance.now() / 1000, tuning.centsOf(pitch));
+    else statsAccumulator.gap();
+  }
+
+  /**
+   * The player's quarter-tone sizes from the session so far:
+   * [{ gridPos, seconds, size, spread }] for every quarter position, with
+   * size null until it has MIN_MEASURE_SECONDS of steady tone.
+   */
+  function measuredQuarterSizes() {
+    return statsAccumulator.positions()
+      .filter(p => p.gridPos % 2 === 1)
+      .map(p => {
+        const enough = p.seconds >= MIN_MEASURE_SECONDS;
+        const position = p.gridPos * 50 + (p.mean || 0);
+        const isPlus = GRID_NAMES[p.gridPos].endsWith('+');
+        const size = isPlus ? position - (p.gridPos - 1) * 50 : (p.gridPos + 1) * 50 - position;
+        return {
+          gridPos: p.gridPos,
+          seconds: p.seconds,
+          size: enough ? Math.round(size * 10) / 10 : null,
+          spread: enough ? p.spread : null
+        };
+      });
+  }
+
+  function drawStatsHistogram() {
+    const canvas = document.getElementById('stats-canvas');
+    const w = canvas.clientWidth;
+    const h = canvas.clientHeight;
+    if (!w || !h) return;
+    const dprStats = window.devicePixelRatio || 1;
+    canvas.width = w * dprStats;
+    canvas.height = h * dprStats;
+    const g = canvas.getContext('2d');
+    g.setTransform(dprStats, 0, 0, dprStats, 0, 0);
+    g.clearRect(0, 0, w, h);
+
+    const labelH = 12;
+    const plotH = h - labelH;
+    const x = cents => cents / 1200 * w;
+    const hist = statsAccumulator.histogram();
+    const peak = Math.max(...hist);
+
+    // Current targets: semitones strong, quarter-tones at their sizes
+    gridCents().forEach((c, q) => {
+      g.strokeStyle = rgba(ACCENT, q % 2 ? 0.35 : 0.7);
+      g.beginPath();
+      g.moveTo(Math.round(x(c)) + 0.5, 0);
+      g.lineTo(Math.round(x(c)) + 0.5, plotH);
+      g.stroke();
+    });
+
+    if (peak > 0) {
+      const binW = w / hist.length;
+      g.fillStyle = GREEN;
+      hist.forEach((v, i) => {
+        if (!v) return;
+        const barH = v / peak * (plotH - 2);
+        g.fillRect(i * binW, plotH - barH, Math.max(1, binW - 0.5), barH);
+      });
+    }
+
+    g.fillStyle = rgba(TEXT, 0.7);
+    g.font = `9px 'Audiowide', sans-serif`;
+    g.textAlign = 'center';
+    g.textBaseline = 'bottom';
+    for (let q = 0; q < 24; q += 2) g.fillText(gridLabel(q), x(q * 50) + (q === 0 ? 8 : 0), h);
+  }
+
+  function renderStats() {
+    drawStatsHistogram();
+    const rows = measuredQuarterSizes();
+    const table = document.getElementById('stats-table');
+    const body = table.querySelector('tbody');
+    body.textContent = '';
+    rows.filter(r => r.seconds > 0).forEach(r => {
+      const tr = document.createElement('tr');
+      const cells = [
+        gridLabel(r.gridPos),
+        `${r.seconds.toFixed(1)} s`,
+        r.size === null ? '…' : `${r.size.toFixed(1)} ±${r.spread.toFixed(1)}`,
+        quarterSize(r.gridPos).toFixed(1)
+      ];
+      cells.forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      body.appendChild(tr);
+    });
+    table.hidden = !body.children.length;
+    document.getElementById('stats-apply').disabled = !rows.some(r => r.size !== null);
+    document.getElementById('stats-status').textContent = statsAccumulator.seconds
+      ? `${statsAccumulator.seconds.toFixed(1)} s of steady notes`
+      : (statsCollecting ? 'Listening… play steady notes' : '');
+  }
+
+  function setStatsCollecting(on) {
+    statsCollecting = on;
+    clearInterval(statsTimer);
+    if (on) {
+      if (!micStarted) startMic();
+      statsTimer = setInterval(renderStats, 500);
+    } else {
+      statsAccumulator.gap();
+    }
+    const btn = document.getElementById('stats-toggle');
+    btn.textContent = on ? 'Stop' : 'Collect';
+    btn.classList.toggle('selected', on);
+    renderStats();
+  }
+
+  /** Measured sizes replace the presets for degrees with enough data. */
+  function applyMeasuredSizes() {
+    const sizes = Object.assign({}, measuredSizes);
+    let applied = 0;
+    measuredQuarterSizes().forEach(r => {
+      // Outside 10–90 cents the degree was really a neighbouring semitone
+      if (r.size === null || r.size < 10 || r.size > 90) return;
+      sizes[r.gridPos] = r.size;
+      applied++;
+    });
+    if (!applied) return;
+    setMeasuredSizes(sizes);
+    renderStats();
+    document.getElementById('stats-status').textContent =
+      `Applied measured sizes for ${applied} degree${applied === 1 ? '' : 's'}`;
+  }
+
+  document.getElementById('stats-toggle').addEventListener('click', () => setStatsCollecting(!statsCollecting));
+  document.getElementById('stats-clear').addEventListener('click', () => {
+    statsAccumulator.clear();
+    renderStats();
+  });
+  document.getElementById('stats-apply').addEventListener('click', applyMeasuredSizes);
+  document.getElementById('stats-panel').addEventListener('toggle', renderStats);
+
+  // ══════════════════════════════════════════════════════
+  // Ear training
+  // ══════════════════════════════════════════════════════
+
+  const TRAINING_NOTE_SECONDS = 1.2;
+  const TRAINING_LISTEN_DELAY_MS = 300; // let the prompt's tail die away first
+  const TRAINING_LISTEN_MS = 8000;
+  const TRAINING_MODES = {
+    match: 'Pitch Match',
+    seconds: 'Intervals: Seconds',
+    thirds: 'Intervals: Thirds',
+    augmented: 'Intervals: Augmented'
+  };
+
+  // { mode, label, notes, interval?, match?, done } for the current prompt
+  let exercise = null;
+  let trainingTimer = null;
+
+  /** Prompt notes in the selected octave: scale degrees, or the 24-tone grid. */
+  function trainingTargets() {
+    if (activeScale) {
+      const tonicCents = scaleTonic * 50 + (activeScale.tonicOffset || 0);
+      return tuning.degrees.map(d => ({ label: gridLabel(d.gridPos), cents: tonicCents + d.cents }));
+    }
+    return gridCents().map((cents, q) => ({ label: gridLabel(q), cents }));
+  }
+
+  function trainingFrequency(cents) {
+    return tuning.frequencyOf((selectedOctave - 4) * 1200 + cents);
+  }
+
+  function showTrainingPrompt(message) {
+    document.getElementById('training-prompt').textContent = message;
+  }
+
+  function showTrainingResult(message, isError) {
+    const el = document.getElementById('training-result');
+    el.textContent = message;
+    el.classList.toggle('error', !!isError);
+  }
+
+  function newExercise() {
+    const mode = document.getElementById('training-mode').value;
+    const target = Training.pick(trainingTargets());
+    if (mode === 'match') {
+      exercise = {
+        mode,
+        label: `${target.label}${Naming.digits(selectedOctave)}`,
+        notes: [{ frequency: trainingFrequency(target.cents), duration: TRAINING_NOTE_SECONDS }]
+      };
+    } else {
+      const interval = Training.pick(Training.INTERVAL_SETS[mode]);
+      const base = trainingFrequency(target.cents);
+      exercise = {
+        mode,
+        label: interval.name,
+        interval,
+        notes: [
+          { frequency: base, duration: TRAINING_NOTE_SECONDS * 0.75 },
+          { frequency: base * Math.pow(2, interval.cents / 1200), duration: TRAINING_NOTE_SECONDS * 0.75 }
+        ]
+      };
+    }
+    renderTrainingAnswers();
+    showTrainingResult('');
+    playExercise();
+  }
+
+  /** Play the prompt; pitch matching starts listening once it has finished. */
+  function playExercise() {
+    clearTimeout(trainingTimer);
+    stopPlaying();
+    if (!micStarted) startMic();
+    exercise.match = null;
+    const seconds = AudioEngine.playPhrase(exercise.notes);
+    if (exercise.mode === 'match') {
+      exercise.done = false;
+      showTrainingPrompt(`Listen: ${exercise.label}`);
+      trainingTimer = setTimeout(startListening, seconds * 1000 + TRAINING_LISTEN_DELAY_MS);
+    } else if (!exercise.done) {
+      showTrainingPrompt('Which interval?');
+    }
+    syncTrainingControls();
+  }
+
+  function startListening() {
+    exercise.match = Training.createMatch(exercise.notes[0].frequency);
+    showTrainingPrompt(`Now sing or play ${exercise.label} and hold it`);
+    trainingTimer = setTimeout(finishMatch, TRAINING_LISTEN_MS);
+  }
+
+  function feedTraining(pitch) {
+    if (!exercise || !exercise.match) return;
+    exercise.match.add(performance.now() / 1000, pitch);
+    if (exercise.match.held >= Training.HOLD_SECONDS) finishMatch();
+  }
+
+  function finishMatch() {
+    clearTimeout(trainingTimer);
+    const r = exercise.match.result();
+    exercise.match = null;
+    exercise.done = true;
+    Training.record({
+      mode: 'match',
+      target: exercise.label,
+      score: r.score,
+      error: r.error === null ? null : Math.round(r.error * 10) / 10,
+      held: Math.round(r.held * 100) / 100
+    });
+    showTrainingPrompt(`Target: ${exercise.label}`);
+    if (r.error === null) {
+      showTrainingResult(`No steady note within ${Training.MATCH_TOLERANCE}¢ — 0 points`, true);
+    } else {
+      const sign = r.error > 0 ? '+' : '';
+      showTrainingResult(`${r.score} points: ${sign}${r.error.toFixed(1)}¢, held ${r.held.toFixed(1)} s`);
+    }
+    renderTrainingHistory();
+    syncTrainingControls();
+  }
+
+  function answerInterval(choice) {
+    if (!exercise || exercise.done) return;
+    exercise.done = true;
+    const correct = choice.id === exercise.interval.id;
+    Training.record({
+      mode: exercise.mode,
+      target: exercise.interval.name,
+      answer: choice.name,
+      correct,
+      score: correct ? 100 : 0
+    });
+    document.querySelectorAll('#training-answers .pill-btn').forEach(btn => {
+      btn.classList.toggle('selected', btn.dataset.id === exercise.interval.id);
+      btn.classList.toggle('wrong', !correct && btn.dataset.id === choice.id);
+    });
+    showTrainingPrompt(`${exercise.interval.name} (${exercise.interval.cents}¢)`);
+    showTrainingResult(correct ? 'Correct' : `Not quite — you answered ${choice.name}`, !correct);
+    renderTrainingHistory();
+    syncTrainingControls();
+  }
+
+  function renderTrainingAnswers() {
+    const row = document.getElementById('training-answers');
+    row.textContent = '';
+    const set = exercise && Training.INTERVAL_SETS[exercise.mode];
+    row.hidden = !set;
+    if (!set) return;
+    set.forEach(choice => {
+      const btn = document.createElement('button');
+      btn.className = 'pill-btn';
+      btn.dataset.id = choice.id;
+      btn.textContent = choice.name;
+      btn.addEventListener('click', () => answerInterval(choice));
+      row.appendChild(btn);
+    });
+  }
+
+  function cancelExercise() {
+    clearTimeout(trainingTimer);
+    exercise = null;
+    renderTrainingAnswers();
+    showTrainingPrompt('');
+    showTrainingResult('');
+    syncTrainingControls();
+  }
+
+  function renderTrainingHistory() {
+    const table = document.getElementById('training-history');
+    const body = table.querySelector('tbody');
+    body.textContent = '';
+    const summary = Training.summary();
+    for (const mode in TRAINING_MODES) {
+      const s = summary[mode];
+      if (!s) continue;
+      const tr = document.createElement('tr');
+      // Interval scores are 0 or 100, so their average reads as percent correct
+      const unit = mode === 'match' ? '' : '%';
+      [TRAINING_MODES[mode], s.count, `${Math.round(s.average)}${unit}`, `${s.last}${unit}`].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      body.appendChild(tr);
+    }
+    table.hidden = !body.children.length;
+    document.getElementById('training-history-row').hidden = table.hidden;
+  }
+
+  function syncTrainingControls() {
+    const listening = !!(exercise && exercise.mode === 'match' && !exercise.done);
+    document.getElementById('training-next').textContent = exercise ? 'Next' : 'Start';
+    document.getElementById('training-replay').disabled = !exercise || listening;
+  }
+
+  document.getElementById('training-next').addEventListener('click', newExercise);
+  document.getElementById('training-replay').addEventListener('click', () => {
+    if (exercise) playExercise();
+  });
+  document.getElementById('training-mode').addEventListener('change', cancelExercise);
+  document.getElementById('training-clear').addEventListener('click', () => {
+    Training.clearHistory();
+    renderTrainingHistory();
+  });
+  document.getElementById('training-panel').addEventListener('toggle', (e) => {
+    if (!e.target.open) cancelExercise();
+  });
+  renderTrainingHistory();
+
+  // ══════════════════════════════════════════════════════
+  // MIDI
+  // ══════════════════════════════════════════════════════
+
+  const MIDI_RELEASE_FRAMES = 3;     // silent frames before note-off
+  const MIDI_GLIDE_CENTS = 70;       // exact pitch: bend this far before retriggering
+  const MIDI_FULL_AMPLITUDE = 0.3;   // boosted mic RMS that sends velocity 127
+  const MIDI_RETUNE_MS = 100;        // coalesce tone restarts from input pitch bends
+
+  const midi = {
+    snap: false,  // output the nearest target instead of the exact pitch
+    map: '24'     // input: '24' keys per octave from Do4 = 60, or '12' keys + bend
+  };
+  let midiSilence = 0;
+  let midiHeld = [];                        // held input keys [{ note, channel }], newest last
+  const midiBends = new Array(16).fill(0);  // input pitch bend per channel, cents
+  let midiRetuneTimer = null;
+
+  function showMidiStatus(message, isError) {
+    const el = document.getElementById('midi-status');
+    el.textContent = message;
+    el.classList.toggle('error', !!isError);
+  }
+
+  /** Send the current frame; reference tones pause output so they aren't echoed. */
+  function feedMidi(pitch, amplitude) {
+    if (!Midi.output) return;
+    if (pitch <= 0 || isPlaying) {
+      if (++midiSilence >= MIDI_RELEASE_FRAMES) Midi.release();
+      return;
+    }
+    midiSilence = 0;
+    // Snapped: the grid position or scale degree the tuner is showing
+    const frequency = midi.snap ? pitch * Math.pow(2, -classifyPitch(pitch).deviation / 1200) : pitch;
+    const velocity = 30 + 97 * Math.min(1, amplitude / MIDI_FULL_AMPLITUDE);
+    Midi.play(Midi.noteOf(frequency), velocity, midi.snap ? 0 : MIDI_GLIDE_CENTS);
+  }
+
+  /** Frequency of grid position q: a scale degree's exact pitch, else the sori/koron grid. */
+  function gridFrequency(q, octave) {
+    return tuning.frequency(q, octave);
+  }
+
+  /**
+   * Concert grid position and octave of an input key under the current
+   * mapping. Keys are named as shown (key 60 plays whatever reads Do4).
+   */
+  function midiKeyPosition(note) {
+    const perOctave = midi.map === '24' ? 24 : 12;
+    const steps = note - 60;
+    const octave = 4 + Math.floor(steps / perOctave);
+    const index = ((steps % perOctave) + perOctave) % perOctave;
+    return concertPosition(perOctave === 24 ? index : index * 2, octave);
+  }
+
+  /** Sound the newest held key (last-note priority), or stop. */
+  function playMidiKey() {
+    clearTimeout(midiRetuneTimer);
+    const key = midiHeld[midiHeld.length - 1];
+    if (!key) {
+      stopPlaying();
+      return;
+    }
+    const { q, octave } = midiKeyPosition(key.note);
+    playGridPosition(q, octave, midiBends[key.channel]);
+  }
+
+  /**
+   * Sound grid position q (bent by `bend` cents) for a MIDI or computer key,
+   * and show it the way a tapped label is shown.
+   */
+  function playGridPosition(q, octave, bend = 0) {
+    AudioEngine.startTone(gridFrequency(q, octave) * Math.pow(2, bend / 1200));
+    isPlaying = true;
+    lastPlayedIndex = -1;
+    lastPlayedType = '';
+
+    const name = GRID_NAMES[q];
+    const semitone = name.endsWith('-') ? (q + 1) / 2 : Math.floor(q / 2);
+    let offset = 0;
+    if (!scaleDegreeAt(q) && q % 2) offset = name.endsWith('+') ? quarterSize(q) : -quarterSize(q);
+    playingNote = NOTE_NAMES[semitone % 12];
+    playingOctave = octave;
+    playingCents = offset + bend;
+    playingQuarter = name;
+    playingPos = q;
+    playingComma = commaMode() ? commaOf(gridFrequency(q, octave) * Math.pow(2, bend / 1200)) : null;
+  }
+
+  function handleMidiInput(msg) {
+    if (msg.type === 'on') {
+      midiHeld = midiHeld.filter(k => k.note !== msg.note);
+      midiHeld.push({ note: msg.note, channel: msg.channel });
+      playMidiKey();
+    } else if (msg.type === 'off') {
+      const wasTop = midiHeld.length && midiHeld[midiHeld.length - 1].note === msg.note;
+      midiHeld = midiHeld.filter(k => k.note !== msg.note);
+      if (wasTop) playMidiKey();
+    } else if (msg.type === 'bend') {
+      midiBends[msg.channel] = msg.cents;
+      const key = midiHeld[midiHeld.length - 1];
+      if (key && key.channel === msg.channel) {
+        clearTimeout(midiRetuneTimer);
+        midiRetuneTimer = setTimeout(playMidiKey, MIDI_RETUNE_MS);
+      }
+    }
+  }
+
+  function populateMidiPorts() {
+    [['midi-output', Midi.outputs(), Midi.output], ['midi-input', Midi.inputs(), Midi.input]].forEach(([id, ports, current]) => {
+      const select = document.getElementById(id);
+      select.textContent = '';
+      select.appendChild(new Option('None', ''));
+      ports.forEach(p => select.appendChild(new Option(p.name, p.id)));
+      select.value = current;
+      select.disabled = !Midi.connected;
+    });
+  }
+
+  function syncMidiControls() {
+    const config = Midi.config;
+    document.getElementById('midi-mode').value = config.mode;
+    document.getElementById('midi-channel').value = config.channel;
+    document.getElementById('midi-channel').disabled = config.mode === 'mpe';
+    document.getElementById('midi-bend-range').value = config.bendRange;
+    document.getElementById('midi-pitch').value = midi.snap ? 'snap' : 'exact';
+    document.getElementById('midi-map').value = midi.map;
+  }
+
+  /** Apply { mode, channel, bendRange, snap, map } (any subset). */
+  function setMidi(changes) {
+    const { mode, channel, bendRange } = changes;
+    const config = {};
+    if (mode !== undefined) config.mode = mode;
+    if (channel !== undefined) config.channel = channel;
+    if (bendRange !== undefined) config.bendRange = bendRange;
+    if (Object.keys(config).length) Midi.configure(config);
+    if (changes.snap !== undefined) midi.snap = changes.snap;
+    if (changes.map !== undefined) {
+      midi.map = changes.map;
+      midiHeld = [];
+      if (isPlaying) stopPlaying();
+    }
+    syncMidiControls();
+    scheduleSave();
+  }
+
+  function initMidiControls() {
+    const channelSelect = document.getElementById('midi-channel');
+    for (let ch = 1; ch <= 16; ch++) channelSelect.appendChild(new Option(`Ch ${ch}`, ch));
+    syncMidiControls();
+    populateMidiPorts();
+
+    Midi.onInput = handleMidiInput;
+    Midi.onPorts = populateMidiPorts;
+
+    document.getElementById('midi-connect').addEventListener('click', async () => {
+      try {
+        await Midi.connect();
+        populateMidiPorts();
+        const count = Midi.outputs().length + Midi.inputs().length;
+        showMidiStatus(count ? 'Connected — choose the ports' : 'Connected, but no MIDI ports were found');
+        document.getElementById('midi-connect').disabled = true;
+      } catch (e) {
+        showMidiStatus(e.message, true);
+      }
+    });
+    document.getElementById('midi-output').addEventListener('change', (e) => Midi.setOutput(e.target.value));
+    document.getElementById('midi-input').addEventListener('change', (e) => {
+      Midi.setInput(e.target.value);
+      midiHeld = [];
+      if (isPlaying) stopPlaying();
+    });
+    document.getElementById('midi-mode').addEventListener('change', (e) => setMidi({ mode: e.target.value }));
+    channelSelect.addEventListener('change', () => setMidi({ channel: parseInt(channelSelect.value, 10) }));
+    document.getElementById('midi-pitch').addEventListener('change', (e) => setMidi({ snap: e.target.value === 'snap' }));
+    document.getElementById('midi-map').addEventListener('change', (e) => setMidi({ map: e.target.value }));
+    const rangeInput = document.getElementById('midi-bend-range');
+    rangeInput.addEventListener('change', () => {
+      const range = parseInt(rangeInput.value, 10);
+      if (range >= 1 && range <= 96) setMidi({ bendRange: range });
+      else rangeInput.value = Midi.config.bendRange; // restore the range in effect
+    });
+  }
+
+  initMidiControls();
+
+  // ══════════════════════════════════════════════════════
+  // Settings persistence + presets
+  // ══════════════════════════════════════════════════════
+
+  const SAVE_DELAY_MS = 300;
+  let saveTimer = null;
+  let restoring = false; // applySettings in progress — save once at the end
+
+  function currentSettings() {
+    const { algorithm, windowSize, minFreq, maxFreq, threshold, amplitudeThreshold, voices } = AudioEngine.detection;
+    const s = {
+      view: displayView,
+      naming: Naming.current,
+      division,
+      transpose: transposition,
+      tonicMode,
+      octave: selectedOctave,
+      waveform: AudioEngine.selectedWaveform,
+      sori: soriCents,
+      koron: koronCents,
+      measured: measuredSizes,
+      a4: referenceA4,
+      instrument: activeInstrument.id,
+      scale: activeScale ? activeScale.id : '',
+      tonic: scaleTonic,
+      drone: {
+        tonic: drone.tonic,
+        octave: drone.octave,
+        voices: drone.voices,
+        timbre: drone.timbre,
+        volume: drone.volume
+      },
+      midi: Object.assign({ snap: midi.snap, map: midi.map }, Midi.config),
+      input: { device: AudioEngine.inputDevice, gain: AudioEngine.inputGain },
+      access: Object.assign({}, access),
+      detection: { algorithm, windowSize, minFreq, maxFreq, threshold, amplitudeThreshold, voices }
+    };
+    if (activeScale && activeScale.family === 'custom') {
+      // Imported scales live only in memory — carry the definition along
+      const { id, name, tonic, tonicOffset, period, cents } = activeScale;
+      s.scaleDef = { id, name, tonic, tonicOffset, period, cents };
+    }
+    return s;
+  }
+
+  /** Apply a (partial) settings object; missing fields keep their values. */
+  function applySettings(settings) {
+    const s = Settings.sanitize(settings);
+    restoring = true;
+    // Instrument first: its profile resets the detection settings below
+    if (s.instrument !== undefined) setInstrument(s.instrument);
+    if (s.detection) {
+      const d = Object.assign({}, s.detection);
+      if (d.algorithm !== undefined && !PITCH_ALGORITHMS[d.algorithm]) delete d.algorithm;
+      if (d.windowSize !== undefined && !AudioEngine.WINDOW_SIZES.includes(d.windowSize)) delete d.windowSize;
+      const min = d.minFreq !== undefined ? d.minFreq : AudioEngine.detection.minFreq;
+      const max = d.maxFreq !== undefined ? d.maxFreq : AudioEngine.detection.maxFreq;
+      if (min >= max) {
+        delete d.minFreq;
+        delete d.maxFreq;
+      }
+      AudioEngine.setDetection(d);
+      syncDetectionControls();
+    }
+    if (s.view !== undefined) setDisplayView(s.view);
+    if (s.naming !== undefined) setNaming(s.naming);
+    if (s.division !== undefined) setDivision(s.division);
+    if (s.transpose !== undefined) setTransposition(s.transpose);
+    if (s.tonicMode !== undefined) setTonicMode(s.tonicMode);
+    if (s.octave !== undefined) setOctave(s.octave);
+    if (s.waveform !== undefined) setWaveform(s.waveform);
+    if (s.sori !== undefined) setQuarterTone('sori', s.sori);
+    if (s.koron !== undefined) setQuarterTone('koron', s.koron);
+    // After sori/koron, which clear measured sizes
+    if (s.measured !== undefined) setMeasuredSizes(s.measured);
+    if (s.a4 !== undefined) setReferenceA4(s.a4);
+    if (s.scaleDef) {
+      Scales.register(s.scaleDef);
+      populateScaleSelect();
+    }
+    if (s.scale !== undefined) setScale(s.scale, Scales.get(s.scale) ? s.tonic : undefined);
+    // After the scale, which moves the drone to its tonic
+    if (s.drone) setDrone(s.drone);
+    if (s.midi) setMidi(s.midi);
+    if (s.input) setInput(s.input);
+    if (s.access) setAccess(s.access);
+    restoring = false;
+    saveSettings();
+  }
+
+  function saveSettings() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    Settings.save(currentSettings());
+  }
+
+  /** Coalesce bursts (slider drags, held +/- buttons) into one write. */
+  function scheduleSave() {
+    if (restoring) return;
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(saveSettings, SAVE_DELAY_MS);
+  }
+
+  function showPresetStatus(message, isError) {
+    const el = document.getElementById('preset-status');
+    el.textContent = message;
+    el.classList.toggle('error', !!isError);
+  }
+
+  function populatePresetSelect(selected) {
+    const select = document.getElementById('preset-select');
+    select.textContent = '';
+    select.appendChild(new Option('Presets…', ''));
+    Settings.presets().forEach(p => select.appendChild(new Option(p.name, p.name)));
+    select.value = selected || '';
+    const hasSelection = !!select.value;
+    document.getElementById('preset-rename').disabled = !hasSelection;
+    document.getElementById('preset-delete').disabled = !hasSelection;
+  }
+
+  function selectedPreset() {
+    return document.getElementById('preset-select').value;
+  }
+
+  /** Run a preset action, reporting thrown errors in the panel. */
+  function presetAction(fn) {
+    try {
+      fn();
+    } catch (e) {
+      showPresetStatus(e.message, true);
+    }
+  }
+
+  document.getElementById('preset-select').addEventListener('change', () => {
+    const name = selectedPreset();
+    populatePresetSelect(name);
+    if (!name) return;
+    applySettings(Settings.getPreset(name));
+    showPresetStatus(`Loaded "${name}"`);
+  });
+
+  document.getElementById('preset-save').addEventListener('click', () => presetAction(() => {
+    const name = prompt('Preset name', selectedPreset());
+    if (name === null) return;
+    const existing = Settings.getPreset(name.trim());
+    if (existing && name.trim() !== selectedPreset() && !confirm(`Replace preset "${name.trim()}"?`)) return;
+    const saved = Settings.savePreset(name, currentSettings());
+    populatePresetSelect(saved);
+    showPresetStatus(`Saved "${saved}"`);
+  }));
+
+  document.getElementById('preset-rename').addEventListener('click', () => presetAction(() => {
+    const oldName = selectedPreset();
+    const name = prompt('Rename preset', oldName);
+    if (name === null) return;
+    const renamed = Settings.renamePreset(oldName, name);
+    populatePresetSelect(renamed);
+    showPresetStatus(`Renamed to "${renamed}"`);
+  }));
+
+  document.getElementById('preset-delete').addEventListener('click', () => presetAction(() => {
+    const name = selectedPreset();
+    if (!confirm(`Delete preset "${name}"?`)) return;
+    Settings.deletePreset(name);
+    populatePresetSelect();
+    showPresetStatus(`Deleted "${name}"`);
+  }));
+
+  document.getElementById('preset-export').addEventListener('click', () => presetAction(() => {
+    if (!Settings.presets().length) throw new Error('No saved presets to export');
+    downloadText('qtone-presets.json', Settings.exportPresets(), 'application/json');
+  }));
+
+  document.getElementById('preset-file').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const text = await file.text();
+    presetAction(() => {
+      const names = Settings.importPresets(text, file.name);
+      populatePresetSelect();
+      showPresetStatus(`Imported ${names.length} preset${names.length === 1 ? '' : 's'} from ${file.name}`);
+    });
+  });
+
+  document.getElementById('preset-share').addEventListener('click', async () => {
+    const url = `${location.origin}${location.pathname}?${Settings.toQuery(currentSettings())}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      showPresetStatus('Link copied to the clipboard');
+    } catch (e) {
+      // Clipboard blocked (insecure context, permissions) — let the user copy it
+      prompt('Copy this link', url);
+    }
+  });
+
+  /** Stored settings, then any shared-link query on top. */
+  function restoreSettings() {
+    applySettings(Settings.load());
+    const shared = Settings.fromQuery(location.search);
+    if (shared) {
+      applySettings(shared);
+      // Drop the query so a reload uses the (now saved) settings
+      history.replaceState(null, '', location.pathname + location.hash);
+      showPresetStatus('Settings loaded from a shared link');
+    }
+  }
+
+  // ══════════════════════════════════════════════════════
+  // Microphone startup
+  // ══════════════════════════════════════════════════════
+
+  async function startMic() {
+    if (micStarted) return;
+    micStarted = true;
+    document.getElementById('mic-prompt').style.display = 'none';
+    showMicError('');
+    try {
+      await listen();
+    } catch (e) {
+      micStarted = false;
+      showMicError(e.message);
+      return;
+    }
+    document.getElementById('input-meter').hidden = false;
+    keepAwake();
+    // The saved input may have been replaced by the default one
+    populateInputs();
+    scheduleSave();
+  }
+
+  function stopListening() {
+    AudioEngine.stopMicrophone();
+    micStarted = false;
+    releaseWakeLock();
+  }
+
+  /** Start the microphone, feeding each analysis frame to the display and tools. */
+  function listen() {
+    return AudioEngine.startMicrophone((pitch, amplitude, confidence, voices) => {
+      // During playback the mic hears the take; the display follows the recording
+      if (review) return;
+      detectedConfidence = confidence || 0;
+      detectedVoices = amplitude > 0 && voices ? voices : [];
+      processPitch(pitch, amplitude);
+      recordFrame(amplitude > 0 ? pitch : 0);
+      feedStats(amplitude > 0 ? pitch : 0);
+      feedTraining(amplitude > 0 ? pitch : 0);
+      feedMidi(amplitude > 0 ? pitch : 0, amplitude);
+      matchString(amplitude > 0 ? pitch : 0);
+      PitchHistory.push(amplitude > 0 ? pitch : 0);
+      feedCalibration(amplitude > 0 ? pitch : 0);
+    });
+  }
+
+  function initMic() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      micStarted = true;
+      showMicError('Microphone input is not available here: it needs a secure (https) page in a current browser.', false);
+      return;
+    }
+    document.getElementById('mic-prompt').style.display = 'flex';
+    const handler = () => {
+      startMic();
+      document.removeEventListener('click', handler);
+      document.removeEventListener('touchstart', handler);
     };
     document.addEventListener('click', handler);
     document.addEventListener('touchstart', handler);
   }
 
+  // ══════════════════════════════════════════════════════
+  // Offline support (service worker) + screen wake lock
+  // ══════════════════════════════════════════════════════
+
+  /**
+   * Register sw.js, which precaches the app and stages changed files in the
+   * background. A staged update, or a new worker waiting to take over,
+   * raises the banner, which lets the player reload when it suits them
+   * rather than mid-performance.
+   */
+  function initOffline() {
+    // Service workers need https (or localhost); elsewhere the app runs online-only
+    if (!('serviceWorker' in navigator)) return;
+    let waiting = null;
+    let reloading = false;
+    const showBanner = () => { document.getElementById('update-banner').hidden = false; };
+    const offer = (worker) => {
+      // Only an update: with no controller this is the first install
+      if (!worker || !navigator.serviceWorker.controller) return;
+      waiting = worker;
+      showBanner();
+    };
+
+    navigator.serviceWorker.register('sw.js').then(reg => {
+      offer(reg.waiting);
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'installed') offer(worker);
+        });
+      });
+      // Long sessions: look for a new version whenever the page comes back
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState !== 'visible') return;
+        reg.update().catch(() => {});
+        if (navigator.serviceWorker.controller) navigator.serviceWorker.controller.postMessage({ type: 'check' });
+      });
+    }).catch(e => console.warn('Offline support unavailable:', e));
+
+    navigator.serviceWorker.addEventListener('message', (e) => {
+      if (!e.data) return;
+      if (e.data.type === 'updated') showBanner();
+      // Another window applied the update: this one offers the reload too
+      if (e.data.type === 'applied') {
+        if (reloading) location.reload();
+        else showBanner();
+      }
+    });
+
+    document.getElementById('update-reload').addEventListener('click', () => {
+      reloading = true;
+      // A new worker reloads on controllerchange; staged files once moved in
+      if (waiting) waiting.postMessage({ type: 'skipWaiting' });
+      else if (navigator.serviceWorker.controller) navigator.serviceWorker.controller.postMessage({ type: 'applyUpdate' });
+      else location.reload();
+    });
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (reloading) location.reload();
+    });
+  }
+
+  let wakeLock = null;
+
+  /** Keep the screen on while listening (released by the browser when hidden). */
+  async function keepAwake() {
+    if (!('wakeLock' in navigator) || wakeLock || !AudioEngine.listening || document.visibilityState !== 'visible') return;
+    try {
+      wakeLock = await navigator.wakeLock.request('screen');
+      wakeLock.addEventListener('release', () => { wakeLock = null; });
+    } catch (e) {
+      // Refused (battery saver, no user gesture yet): the screen dims as usual
+    }
+  }
+
+  /** Let the screen dim again once the tuner stops listening. */
+  function releaseWakeLock() {
+    if (wakeLock) wakeLock.release().catch(() => {});
+    wakeLock = null;
+  }
+
+  document.addEventListener('visibilitychange', keepAwake);
+
   // ── Init ──
+  populatePresetSelect();
+  restoreSettings();
   resizeCanvas();
   window.addEventListener('resize', resizeCanvas);
   requestAnimationFrame(draw);
   requestAnimationFrame(updateDisplay);
   initMic();
+  initOffline();
 })();
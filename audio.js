@@ -1,7 +1,23 @@
 /**
- * Audio engine: microphone input + pitch detection + reference tone playback.
+ * Audio engine: microphone input + pitch detection + reference tone and
+ * drone playback.
+ *
+ * Detection normally runs off the main thread: an AudioWorklet cuts the mic
+ * signal into HOP_SIZE chunks and a Worker feeds them to a core detector
+ * (createDetector), so pitch arrives at a fixed rate even when the page is
+ * busy or hidden. Where worklets or module workers are unavailable it falls
+ * back to polling an AnalyserNode per frame. Either way the frames are
+ * smoothed by a core tracker (createTracker) here.
+ *
+ * The mic passes through a user-set gain (dB) before the noise gate and the
+ * detector; the level meter reads the gated signal, and clipping is judged
+ * on the raw input.
  */
-const AudioEngine = (() => {
+import { analyzeFrames, frameCount } from './core/pitch-detect.js';
+import { DETECTION_DEFAULTS, createDetector, createTracker, createDroneFilter } from './core/detector.js';
+import { Synth } from './synth.js';
+
+export const AudioEngine = (() => {
   let audioCtx = null;
   let analyser = null;
   let micStream = null;
@@ -10,25 +26,69 @@ const AudioEngine = (() => {
   let dataBuffer = null;
   let isListening = false;
   let animFrameId = null;
+  let captureNode = null;   // AudioWorkletNode (worklet pipeline)
+  let pitchWorker = null;   // Worker running the detector
+  let detector = null;      // fallback pipeline: the detector on the main thread
+  let captureModule = null; // addModule promise for capture-worklet.js
+  let recorder = null;      // { node, port, chunks, length } while recording
 
-  // Pitch detection state
-  let smoothedPitch = 0;
-  let smoothedCentsNote = -1;
-  let smoothedCents = 0;
-  let jumpCount = 0;
-  let jumpCandidate = 0;
+  const tracker = createTracker();
   let onPitchDetected = null;
 
-  // Reference tone state
-  let selectedWaveform = 'triangle';
+  // Input device ('' = system default), gain and the level meter's reading
+  let inputDevice = '';
+  let inputGainDb = 12;     // ≈4×: phone mics are quiet without it
+  let inputRms = 0;
+  let clipUntil = 0;        // clip indicator stays lit until this time (ms)
+  let watchingDevices = false;
+  // onInputs(lost, error): inputs were plugged or unplugged (lost false), or
+  // the one in use went away and the default took over (lost true; error
+  // set if that failed too)
+  let onInputs = null;
+
+  // Detection settings: the core DETECTION_DEFAULTS keys (analyzePitch
+  // options, analysis window, noise gate, smoothing and octave-jump
+  // handling). Instrument profiles replace the whole set.
+  let detection = Object.assign({}, DETECTION_DEFAULTS);
 
-  const AMPLITUDE_THRESHOLD = 0.005;
-  const PITCH_SMOOTHING = 0.7;
-  const CENTS_SMOOTHING = 0.88;
-  const CENTS_DEADZONE = 1.5;
-  const BUFFER_SIZE = 4096;
-  const JUMP_CONFIRM = 3;
-  const MIC_BOOST = 4.0;
+  // Reference tone state
+  let selectedWaveform = 'triangle'; // a Synth timbre id
+  const toneCache = new Map();       // 'timbre|Hz' → WAV data URI, oldest first
+  const TONE_CACHE_SIZE = 24;
+  const ENVELOPE_STEP_MS = 10;
+
+  // Drone state
+  let droneAudioEl = null;
+  let droneFreqs = [];   // sounding voice frequencies, empty when off
+  const droneFilter = createDroneFilter();
+
+  // Drone voices above the tonic (just intervals) and their mix levels
+  const DRONE_VOICES = {
+    fourth: { ratio: 4 / 3, gain: 0.6 },
+    fifth:  { ratio: 3 / 2, gain: 0.6 },
+    octave: { ratio: 2,     gain: 0.5 }
+  };
+  const HEADPHONE_LABEL = /head(phone|set)|ear(phone|bud)|airpods|buds/i;
+
+  const HOP_SIZE = DETECTION_DEFAULTS.hopSize; // worklet chunk: one estimate per hop
+  const WINDOW_SIZES = [4096, 8192, 16384];
+  const INPUT_GAIN_RANGE = [0, 30]; // dB
+  const CLIP_LEVEL = 0.99;          // raw sample magnitude counted as clipping
+  const CLIP_HOLD_MS = 1000;
+  const MISSING_INPUT = ['NotFoundError', 'OverconstrainedError'];
+  const MIC_ERRORS = {
+    NotAllowedError: 'Microphone access was denied. Allow it in the browser\'s site settings, then retry.',
+    SecurityError: 'Microphone access was denied. Allow it in the browser\'s site settings, then retry.',
+    NotFoundError: 'No microphone was found. Connect one, then retry.',
+    OverconstrainedError: 'The selected input is not available.',
+    NotReadableError: 'The microphone could not be opened; another app may be using it.',
+    AbortError: 'The microphone could not be opened; another app may be using it.'
+  };
+  const CUE_FREQUENCY = 3000;
+  const CUE_SECONDS = 0.08;
+  const CUE_LEVEL = 0.3;
+  const RECORD_CHUNK = 4096;
+  const MAX_RECORD_SECONDS = 600;
 
   function getContext() {
     if (!audioCtx) {
@@ -40,36 +100,211 @@ const AudioEngine = (() => {
     return audioCtx;
   }
 
+  function gainFactor() {
+    return Math.pow(10, inputGainDb / 20);
+  }
+
+  /**
+   * Start listening on the selected input (the default one if a saved input
+   * has gone). Rejects with a readable Error — its name the getUserMedia
+   * error's, e.g. NotAllowedError — when no microphone can be opened.
+   */
   async function startMicrophone(callback) {
     onPitchDetected = callback;
     const ctx = getContext();
+    watchDevices();
 
+    micGain = ctx.createGain();
+    micGain.gain.value = gainFactor();
     try {
-      micStream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: false,
-          noiseSuppression: false,
-          autoGainControl: false
-        }
+      await openInput(ctx, inputDevice).catch(e => {
+        if (!inputDevice || !MISSING_INPUT.includes(e.name)) throw e;
+        inputDevice = '';
+        return openInput(ctx, '');
       });
-      micSource = ctx.createMediaStreamSource(micStream);
+    } catch (e) {
+      micGain = null;
+      isListening = false;
+      throw e;
+    }
 
-      micGain = ctx.createGain();
-      micGain.gain.value = MIC_BOOST;
+    isListening = true;
+    if (!(await startWorkletPipeline(ctx))) startAnalyserPipeline(ctx);
+  }
 
-      analyser = ctx.createAnalyser();
-      analyser.fftSize = BUFFER_SIZE * 2;
-      dataBuffer = new Float32Array(analyser.fftSize);
+  /**
+   * Open an input device and route it into micGain (and the recorder),
+   * replacing the current stream. The old stream is kept if this fails.
+   */
+  async function openInput(ctx, deviceId) {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      throw new Error('Microphone input is not available here: it needs a secure (https) page in a current browser.');
+    }
+    const audio = { echoCancellation: false, noiseSuppression: false, autoGainControl: false };
+    if (deviceId) audio.deviceId = { exact: deviceId };
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio });
+    } catch (e) {
+      const error = new Error(MIC_ERRORS[e.name] || `The microphone could not be started (${e.message || e.name}).`);
+      error.name = e.name;
+      throw error;
+    }
+
+    if (micSource) micSource.disconnect();
+    if (micStream) releaseStream(micStream);
+    micStream = stream;
+    micSource = ctx.createMediaStreamSource(stream);
+    micSource.connect(micGain);
+    if (recorder) micSource.connect(recorder.node);
+
+    // Unplugged mid-session: carry on with the default input
+    const track = stream.getAudioTracks()[0];
+    if (track) track.onended = () => {
+      if (stream !== micStream || !isListening) return;
+      inputDevice = '';
+      openInput(ctx, '').then(
+        () => { if (onInputs) onInputs(true); },
+        (e) => { if (onInputs) onInputs(true, e); }
+      );
+    };
+  }
+
+  function releaseStream(stream) {
+    stream.getTracks().forEach(t => {
+      t.onended = null;
+      t.stop();
+    });
+  }
 
-      micSource.connect(micGain);
-      micGain.connect(analyser);
+  /** Report plugged and unplugged devices through onInputs(). */
+  function watchDevices() {
+    const media = navigator.mediaDevices;
+    if (watchingDevices || !media || !media.addEventListener) return;
+    watchingDevices = true;
+    media.addEventListener('devicechange', () => {
+      if (onInputs) onInputs(false);
+    });
+  }
+
+  /**
+   * Audio inputs as [{ id, label }], without the browser's 'default'
+   * aliases. Labels stay empty until microphone access is granted, so
+   * unnamed inputs are numbered.
+   */
+  async function listInputs() {
+    const media = navigator.mediaDevices;
+    if (!media || !media.enumerateDevices) return [];
+    const devices = await media.enumerateDevices();
+    return devices
+      .filter(d => d.kind === 'audioinput' && d.deviceId && d.deviceId !== 'default' && d.deviceId !== 'communications')
+      .map((d, i) => ({ id: d.deviceId, label: d.label || `Input ${i + 1}` }));
+  }
 
-      isListening = true;
-      detectLoop();
+  /**
+   * Select the input device ('' for the system default). A running
+   * microphone switches over at once; rejects with a readable Error, still
+   * on the old input, if the device cannot be opened.
+   */
+  async function setInputDevice(id) {
+    if (isListening) await openInput(getContext(), id);
+    inputDevice = id;
+  }
+
+  /** Set the input gain in dB (clamped to INPUT_GAIN_RANGE). */
+  function setInputGain(db) {
+    inputGainDb = Math.min(INPUT_GAIN_RANGE[1], Math.max(INPUT_GAIN_RANGE[0], db));
+    if (micGain) micGain.gain.value = gainFactor();
+  }
+
+  /**
+   * Level meter input, once per analysis frame: rms after the gain (what the
+   * noise gate sees) and the frame's peak, which is scaled back to the raw
+   * input to detect clipping.
+   */
+  function reportLevel(rms, peak) {
+    // level getter: { rms, clipping }, clipping held for CLIP_HOLD_MS
+    inputRms = rms;
+    if (peak / gainFactor() >= CLIP_LEVEL) clipUntil = performance.now() + CLIP_HOLD_MS;
+  }
+
+  /**
+   * Worklet → Worker pipeline. The worklet posts chunks straight to the
+   * worker over a MessageChannel; only pitch results reach the main thread.
+   * Resolves false if this browser or page cannot run it.
+   */
+  async function startWorkletPipeline(ctx) {
+    if (!ctx.audioWorklet || typeof Worker === 'undefined') return false;
+    try {
+      await loadCaptureModule(ctx);
+      captureNode = new AudioWorkletNode(ctx, 'qtone-capture', {
+        numberOfInputs: 1,
+        numberOfOutputs: 0,
+        channelCount: 1,
+        processorOptions: { hopSize: HOP_SIZE }
+      });
+      pitchWorker = new Worker('pitch-worker.js', { type: 'module' });
     } catch (e) {
-      console.error('Microphone access denied:', e);
-      isListening = false;
+      console.warn('AudioWorklet pipeline unavailable, using main-thread detection:', e);
+      teardownWorkletPipeline();
+      return false;
+    }
+
+    const channel = new MessageChannel();
+    pitchWorker.postMessage({
+      type: 'init',
+      port: channel.port1,
+      sampleRate: ctx.sampleRate,
+      detection
+    }, [channel.port1]);
+    captureNode.port.postMessage({ type: 'connect', port: channel.port2 }, [channel.port2]);
+
+    pitchWorker.onmessage = (e) => {
+      if (!isListening) return;
+      reportLevel(e.data.amplitude, e.data.peak);
+      handleDetection(e.data);
+    };
+    pitchWorker.onerror = (e) => {
+      // e.g. the worker script failed to load — switch to the fallback
+      console.warn('Pitch worker failed, using main-thread detection:', e.message);
+      e.preventDefault();
+      if (micGain && captureNode) micGain.disconnect(captureNode);
+      teardownWorkletPipeline();
+      if (isListening) startAnalyserPipeline(ctx);
+    };
+
+    micGain.connect(captureNode);
+    return true;
+  }
+
+  /** Load capture-worklet.js once; shared by detection and recording. */
+  function loadCaptureModule(ctx) {
+    if (!captureModule) {
+      captureModule = ctx.audioWorklet.addModule('capture-worklet.js');
+      captureModule.catch(() => { captureModule = null; });
     }
+    return captureModule;
+  }
+
+  function teardownWorkletPipeline() {
+    if (captureNode) {
+      captureNode.port.close();
+      captureNode = null;
+    }
+    if (pitchWorker) {
+      pitchWorker.terminate();
+      pitchWorker = null;
+    }
+  }
+
+  /** Fallback: poll an AnalyserNode and detect on the main thread. */
+  function startAnalyserPipeline(ctx) {
+    analyser = ctx.createAnalyser();
+    analyser.fftSize = detection.windowSize;
+    dataBuffer = new Float32Array(analyser.fftSize);
+    detector = createDetector(Object.assign({ sampleRate: ctx.sampleRate }, detection));
+    micGain.connect(analyser);
+    detectLoop();
   }
 
   function detectLoop() {
@@ -77,71 +312,47 @@ const AudioEngine = (() => {
     animFrameId = requestAnimationFrame(detectLoop);
 
     analyser.getFloatTimeDomainData(dataBuffer);
+    const frame = detector.analyze(dataBuffer);
+    reportLevel(frame.amplitude, frame.peak);
+    handleDetection(frame);
+  }
 
-    let sumSq = 0;
-    for (let i = 0; i < dataBuffer.length; i++) {
-      sumSq += dataBuffer[i] * dataBuffer[i];
-    }
-    const amplitude = Math.sqrt(sumSq / dataBuffer.length);
-
-    if (amplitude < AMPLITUDE_THRESHOLD) {
-      smoothedPitch = 0;
-      smoothedCentsNote = -1;
+  /**
+   * Smooth detector frames with the tracker (octave-jump confirmation +
+   * exponential smoothing) and report them through onPitchDetected(pitch,
+   * amplitude, confidence, voices). Shared by both pipelines, called once per
+   * analysis frame; voices (Hz, ascending) is empty unless polyphonic
+   * detection is on. The drone leaking into the mic counts as silence.
+   */
+  function handleDetection(frame) {
+    if (frame.amplitude >= detection.amplitudeThreshold && droneFilter.isDrone(frame, performance.now())) {
+      tracker.reset();
       if (onPitchDetected) onPitchDetected(0, 0);
       return;
     }
-
-    const ctx = getContext();
-    const pitch = detectPitch(dataBuffer, ctx.sampleRate);
-    if (pitch > 0 && pitch < 5000) {
-      if (smoothedPitch > 0) {
-        const ratio = pitch / smoothedPitch;
-        const isJump = ratio > 1.8 || ratio < 0.55;
-
-        if (isJump) {
-          const candRatio = jumpCandidate > 0 ? pitch / jumpCandidate : 0;
-          const nearCandidate = candRatio > 0.9 && candRatio < 1.1;
-
-          if (nearCandidate) {
-            jumpCount++;
-          } else {
-            jumpCandidate = pitch;
-            jumpCount = 1;
-          }
-
-          if (jumpCount >= JUMP_CONFIRM) {
-            smoothedPitch = pitch;
-            jumpCount = 0;
-            jumpCandidate = 0;
-          } else {
-            if (onPitchDetected) onPitchDetected(smoothedPitch, amplitude);
-            return;
-          }
-        } else {
-          jumpCount = 0;
-          jumpCandidate = 0;
-          smoothedPitch = PITCH_SMOOTHING * smoothedPitch + (1 - PITCH_SMOOTHING) * pitch;
-        }
-      } else {
-        smoothedPitch = pitch;
-      }
-      if (onPitchDetected) onPitchDetected(smoothedPitch, amplitude);
-    } else {
-      smoothedPitch = 0;
-      smoothedCentsNote = -1;
-      jumpCount = 0;
-      jumpCandidate = 0;
-      if (onPitchDetected) onPitchDetected(0, 0);
-    }
+    const { pitch, voices } = tracker.update(frame);
+    if (!onPitchDetected) return;
+    if (pitch > 0) onPitchDetected(pitch, frame.amplitude, frame.confidence, voices);
+    else onPitchDetected(0, 0);
   }
 
   function stopMicrophone() {
+    stopRecording();
     isListening = false;
     if (animFrameId) cancelAnimationFrame(animFrameId);
+    teardownWorkletPipeline();
+    tracker.reset();
+    if (analyser) {
+      analyser.disconnect();
+      analyser = null;
+      detector = null;
+    }
     if (micStream) {
-      micStream.getTracks().forEach(t => t.stop());
+      releaseStream(micStream);
       micStream = null;
     }
+    inputRms = 0;
+    clipUntil = 0;
     if (micGain) {
       micGain.disconnect();
       micGain = null;
@@ -152,50 +363,104 @@ const AudioEngine = (() => {
     }
   }
 
+  /**
+   * Update detection settings: any keys of DETECTION_DEFAULTS but hopSize
+   * (fixed by the worklet's chunks).
+   * threshold: undefined means the algorithm's default. Applies to the
+   * running pipeline immediately.
+   */
+  function setDetection(settings) {
+    const next = Object.assign({}, detection, settings, { hopSize: HOP_SIZE });
+    if (!WINDOW_SIZES.includes(next.windowSize)) next.windowSize = detection.windowSize;
+    detection = next;
+    tracker.configure(detection);
+
+    if (pitchWorker) {
+      pitchWorker.postMessage({ type: 'config', detection });
+    } else if (analyser) {
+      detector.configure(detection);
+      if (analyser.fftSize !== detection.windowSize) {
+        analyser.fftSize = detection.windowSize;
+        dataBuffer = new Float32Array(detection.windowSize);
+      }
+    }
+  }
+
   function setWaveform(type) {
     selectedWaveform = type;
   }
 
   let toneAudioEl = null; // <audio> element for tone playback
 
+  // iOS fixes media element volume at 1 (reads back 1 after a change); there
+  // the envelope of looped tones is left out and they start and stop hard
+  const canRampVolume = (() => {
+    const probe = new Audio();
+    probe.volume = 0.5;
+    return probe.volume === 0.5;
+  })();
+
   /**
-   * Generate a WAV blob for a loopable tone.
-   * Uses <audio> element playback which goes through iOS media pipeline
-   * at full volume (unlike Web Audio OscillatorNode which is quiet on iOS).
+   * Rendered tone for a timbre and frequency, as a WAV data URI. Tones play
+   * through an <audio> element, which goes through the iOS media pipeline at
+   * full volume (unlike Web Audio OscillatorNode, which is quiet on iOS).
+   * Re-tapping a note reuses its rendering.
    */
-  function generateToneWav(frequency, waveform, sampleRate, durationSec) {
-    const numSamples = Math.round(sampleRate * durationSec);
-    // Snap duration to whole cycles to avoid click at loop point
-    const samplesPerCycle = sampleRate / frequency;
-    const wholeCycles = Math.max(1, Math.round(numSamples / samplesPerCycle));
-    const actualSamples = Math.round(wholeCycles * samplesPerCycle);
-
-    const buffer = new Float32Array(actualSamples);
-    for (let i = 0; i < actualSamples; i++) {
-      const t = i / sampleRate;
-      const phase = (frequency * t) % 1;
-      const p2 = 2 * Math.PI * phase;
-      switch (waveform) {
-        case 'sine':
-          // Add subtle odd harmonics so phone speakers can reproduce it.
-          // Pure sine has no high-frequency energy → inaudible on tiny speakers.
-          // Mix: fundamental 85% + 3rd harmonic 10% + 5th harmonic 5%
-          buffer[i] = 0.85 * Math.sin(p2)
-                    + 0.10 * Math.sin(3 * p2)
-                    + 0.05 * Math.sin(5 * p2);
-          break;
-        case 'triangle':
-          buffer[i] = 4 * Math.abs(phase - 0.5) - 1;
-          break;
-        case 'square':
-          buffer[i] = phase < 0.5 ? 1 : -1;
-          break;
-        default:
-          buffer[i] = Math.sin(p2);
+  function toneUri(timbre, frequency) {
+    const key = `${timbre}|${frequency.toFixed(3)}`;
+    let uri = toneCache.get(key);
+    if (uri) {
+      toneCache.delete(key); // re-insert as most recent
+    } else {
+      const buffer = Synth.isDecaying(timbre)
+        ? Synth.renderNote(timbre, frequency)
+        : Synth.renderLoop(timbre, frequency);
+      uri = wavDataUri(buffer, Synth.SAMPLE_RATE);
+      if (toneCache.size >= TONE_CACHE_SIZE) toneCache.delete(toneCache.keys().next().value);
+    }
+    toneCache.set(key, uri);
+    return uri;
+  }
+
+  /** Fade an element's volume linearly, then call done. */
+  function rampVolume(el, to, seconds, done) {
+    const from = el.volume;
+    const steps = Math.max(1, Math.round(seconds * 1000 / ENVELOPE_STEP_MS));
+    let step = 0;
+    const timer = setInterval(() => {
+      step++;
+      el.volume = from + (to - from) * Math.min(1, step / steps);
+      if (step >= steps) {
+        clearInterval(timer);
+        if (done) done();
       }
+    }, ENVELOPE_STEP_MS);
+    return timer;
+  }
+
+  /** One sample of a drone waveform at phase 0..1. */
+  function waveSample(waveform, phase) {
+    const p2 = 2 * Math.PI * phase;
+    switch (waveform) {
+      case 'sine':
+        // Add subtle odd harmonics so phone speakers can reproduce it.
+        // Pure sine has no high-frequency energy → inaudible on tiny speakers.
+        // Mix: fundamental 85% + 3rd harmonic 10% + 5th harmonic 5%
+        return 0.85 * Math.sin(p2)
+             + 0.10 * Math.sin(3 * p2)
+             + 0.05 * Math.sin(5 * p2);
+      case 'triangle':
+        return 4 * Math.abs(phase - 0.5) - 1;
+      case 'square':
+        return phase < 0.5 ? 1 : -1;
+      default:
+        return Math.sin(p2);
     }
+  }
 
-    // Encode as 16-bit PCM WAV
+  /** Encode mono samples (-1..1) as a 16-bit PCM WAV file. */
+  function encodeWav(buffer, sampleRate) {
+    const actualSamples = buffer.length;
     const bitsPerSample = 16;
     const byteRate = sampleRate * bitsPerSample / 8;
     const dataSize = actualSamples * (bitsPerSample / 8);
@@ -225,10 +490,14 @@ const AudioEngine = (() => {
       const sample = Math.max(-1, Math.min(1, buffer[i]));
       view.setInt16(headerSize + i * 2, sample * 0x7FFF, true);
     }
+    return wav;
+  }
 
-    // Convert to base64 data URI (blob URLs don't always work on iOS).
+  /** encodeWav as a data URI, for <audio> tone playback. */
+  function wavDataUri(buffer, sampleRate) {
+    // Base64 data URI (blob URLs don't always work on iOS).
     // Process in chunks to avoid O(n²) string concatenation.
-    const bytes = new Uint8Array(wav);
+    const bytes = new Uint8Array(encodeWav(buffer, sampleRate));
     const chunkSize = 8192;
     const parts = [];
     for (let i = 0; i < bytes.length; i += chunkSize) {
@@ -237,44 +506,347 @@ const AudioEngine = (() => {
     return 'data:audio/wav;base64,' + btoa(parts.join(''));
   }
 
+  /**
+   * Play a reference tone in the selected timbre until stopTone(). Sustained
+   * timbres loop, fading in over the timbre's attack; pluck rings out once.
+   */
   function startTone(frequency) {
     stopTone();
-    const dataUri = generateToneWav(frequency, selectedWaveform, 44100, 10.0);
+    const el = new Audio(toneUri(selectedWaveform, frequency));
+    const envelope = Synth.timbre(selectedWaveform);
+    el.loop = !Synth.isDecaying(selectedWaveform);
+    el.volume = el.loop && canRampVolume ? 0 : 1.0;
+    el.play();
+    if (el.loop && canRampVolume) el.envelopeTimer = rampVolume(el, 1, envelope.attack);
+    toneAudioEl = el;
+  }
 
-    toneAudioEl = new Audio(dataUri);
-    toneAudioEl.loop = true;
+  /** Stop the tone, fading out over the timbre's release where possible. */
+  function stopTone() {
+    const el = toneAudioEl;
+    if (!el) return;
+    toneAudioEl = null;
+    clearInterval(el.envelopeTimer);
+    if (!canRampVolume || el.paused) {
+      el.pause();
+      return;
+    }
+    rampVolume(el, 0, Synth.timbre(selectedWaveform).release, () => el.pause());
+  }
+
+  /**
+   * Play notes one after another, once, on the tone element: notes is
+   * [{ frequency, duration (s) }] with gap seconds of silence between them.
+   * Rendered into a single WAV so one user gesture starts the whole phrase
+   * (iOS blocks play() from timers). Returns the phrase length in seconds.
+   */
+  function playPhrase(notes, gap = 0.25) {
+    stopTone();
+    const sampleRate = Synth.SAMPLE_RATE;
+    const gapSamples = Math.round(gap * sampleRate);
+    const lengths = notes.map(n => Math.round(n.duration * sampleRate));
+    const total = lengths.reduce((sum, n) => sum + n, 0) + gapSamples * Math.max(0, notes.length - 1);
+    const buffer = new Float32Array(total);
+    let offset = 0;
+    notes.forEach((note, k) => {
+      buffer.set(Synth.renderNote(selectedWaveform, note.frequency, note.duration, sampleRate), offset);
+      offset += lengths[k] + gapSamples;
+    });
+
+    toneAudioEl = new Audio(wavDataUri(buffer, sampleRate));
     toneAudioEl.volume = 1.0;
     toneAudioEl.play();
+    return total / sampleRate;
   }
 
-  function stopTone() {
-    if (toneAudioEl) {
-      toneAudioEl.pause();
-      toneAudioEl = null;
+  // ══════════════════════════════════════════════════════
+  // In-tune cue
+  // ══════════════════════════════════════════════════════
+
+  let cueAudioEl = null;
+
+  /**
+   * A short, soft tick for the in-tune cue, on its own <audio> element like
+   * the tones. At 3 kHz it stays above the detection range of every
+   * instrument profile.
+   */
+  function playCue() {
+    if (!cueAudioEl) {
+      const sampleRate = Synth.SAMPLE_RATE;
+      const length = Math.round(CUE_SECONDS * sampleRate);
+      const buffer = new Float32Array(length);
+      for (let i = 0; i < length; i++) {
+        buffer[i] = CUE_LEVEL * Math.sin(2 * Math.PI * CUE_FREQUENCY * i / sampleRate) * Math.exp(-5 * i / length);
+      }
+      cueAudioEl = new Audio(wavDataUri(buffer, sampleRate));
     }
+    cueAudioEl.currentTime = 0;
+    cueAudioEl.play().catch(() => {});
   }
 
-  function smoothCents(noteIndex, rawCents) {
-    if (noteIndex !== smoothedCentsNote) {
-      smoothedCentsNote = noteIndex;
-      smoothedCents = rawCents;
-    } else {
-      if (Math.abs(rawCents - smoothedCents) < CENTS_DEADZONE) {
-        return smoothedCents;
+  // ══════════════════════════════════════════════════════
+  // Session recording
+  // ══════════════════════════════════════════════════════
+
+  /**
+   * Record the raw mic signal (before the input gain) through a second capture
+   * worklet node. Needs a running microphone and AudioWorklet support;
+   * rejects with a readable Error otherwise.
+   */
+  async function startRecording() {
+    if (recorder) return;
+    if (!micSource) throw new Error('Microphone is not running');
+    const ctx = getContext();
+    if (!ctx.audioWorklet) throw new Error('Recording is not supported in this browser');
+    try {
+      await loadCaptureModule(ctx);
+    } catch (e) {
+      throw new Error('Recording could not start: the audio capture module failed to load');
+    }
+
+    const node = new AudioWorkletNode(ctx, 'qtone-capture', {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      channelCount: 1,
+      processorOptions: { hopSize: RECORD_CHUNK }
+    });
+    const channel = new MessageChannel();
+    recorder = { node, port: channel.port1, chunks: [], length: 0, sampleRate: ctx.sampleRate };
+    const rec = recorder;
+    channel.port1.onmessage = (e) => {
+      if (rec.length >= MAX_RECORD_SECONDS * rec.sampleRate) return;
+      rec.chunks.push(e.data);
+      rec.length += e.data.length;
+    };
+    node.port.postMessage({ type: 'connect', port: channel.port2 }, [channel.port2]);
+    micSource.connect(node);
+  }
+
+  /**
+   * Stop recording. Returns { samples: Float32Array, sampleRate } or null
+   * if nothing was being recorded.
+   */
+  function stopRecording() {
+    if (!recorder) return null;
+    const { node, port, chunks, length, sampleRate } = recorder;
+    recorder = null;
+    if (micSource) micSource.disconnect(node);
+    node.port.close();
+    port.close();
+
+    const samples = new Float32Array(length);
+    let offset = 0;
+    for (const c of chunks) {
+      samples.set(c, offset);
+      offset += c.length;
+    }
+    return { samples, sampleRate };
+  }
+
+  // ══════════════════════════════════════════════════════
+  // Audio file analysis
+  // ══════════════════════════════════════════════════════
+
+  /** Decode an audio file (anything the browser plays) to mono samples. */
+  async function decodeFile(file) {
+    const data = await file.arrayBuffer();
+    let decoded;
+    try {
+      // Callback form as well: older Safari has no promise-returning decodeAudioData
+      decoded = await new Promise((resolve, reject) => {
+        const p = getContext().decodeAudioData(data, resolve, reject);
+        if (p && p.catch) p.catch(reject);
+      });
+    } catch (e) {
+      throw new Error(`${file.name}: not a supported audio file`);
+    }
+    const samples = new Float32Array(decoded.length);
+    for (let ch = 0; ch < decoded.numberOfChannels; ch++) {
+      const channel = decoded.getChannelData(ch);
+      for (let i = 0; i < samples.length; i++) samples[i] += channel[i] / decoded.numberOfChannels;
+    }
+    return { samples, sampleRate: decoded.sampleRate };
+  }
+
+  /**
+   * Run the current detection settings over a whole file, in a worker when
+   * possible. onProgress(fraction) is called as frames complete.
+   * Resolves { samples, sampleRate, frames } where frames are analyzeFrames()
+   * output, one per HOP_SIZE samples.
+   */
+  async function analyzeFile(file, onProgress) {
+    const { samples, sampleRate } = await decodeFile(file);
+    // Live input passes the input gain before the gate; match that level
+    const options = Object.assign({}, detection, {
+      hopSize: HOP_SIZE,
+      amplitudeThreshold: detection.amplitudeThreshold / gainFactor()
+    });
+    if (frameCount(samples.length, options.windowSize, HOP_SIZE) === 0) {
+      throw new Error(`${file.name}: too short to analyze`);
+    }
+    let frames;
+    try {
+      frames = await analyzeInWorker(samples, sampleRate, options, onProgress);
+    } catch (e) {
+      console.warn('Analysis worker unavailable, analyzing on the main thread:', e.message);
+      frames = await analyzeOnMainThread(samples, sampleRate, options, onProgress);
+    }
+    return { samples, sampleRate, frames };
+  }
+
+  function analyzeInWorker(samples, sampleRate, options, onProgress) {
+    return new Promise((resolve, reject) => {
+      let worker;
+      try {
+        worker = new Worker('pitch-worker.js', { type: 'module' });
+      } catch (e) {
+        reject(e);
+        return;
       }
-      smoothedCents = CENTS_SMOOTHING * smoothedCents + (1 - CENTS_SMOOTHING) * rawCents;
+      worker.onmessage = (e) => {
+        if (e.data.type === 'progress') {
+          if (onProgress) onProgress(e.data.done / e.data.total);
+        } else if (e.data.type === 'track') {
+          worker.terminate();
+          resolve(e.data.frames);
+        }
+      };
+      worker.onerror = (e) => {
+        e.preventDefault();
+        worker.terminate();
+        reject(new Error(e.message || 'worker failed to load'));
+      };
+      // Transfer a copy: the caller keeps the samples for playback
+      const copy = samples.slice();
+      worker.postMessage({ type: 'analyze', samples: copy, sampleRate, detection: options }, [copy.buffer]);
+    });
+  }
+
+  /** Fallback: analyze in batches, yielding so the page stays responsive. */
+  async function analyzeOnMainThread(samples, sampleRate, options, onProgress) {
+    const BATCH = 32;
+    const total = frameCount(samples.length, options.windowSize, options.hopSize);
+    const frames = [];
+    for (let from = 0; from < total; from += BATCH) {
+      const to = Math.min(total, from + BATCH);
+      frames.push(...analyzeFrames(samples, sampleRate, options, from, to));
+      if (onProgress) onProgress(to / total);
+      await new Promise(r => setTimeout(r, 0));
+    }
+    return frames;
+  }
+
+  // ══════════════════════════════════════════════════════
+  // Drone
+  // ══════════════════════════════════════════════════════
+
+  /**
+   * Latched drone on its own <audio> element, independent of the held
+   * reference tone. Voices are just intervals above the tonic; with ratios
+   * over 2 and 3, six tonic cycles hold a whole number of cycles of every
+   * voice, so the loop is seamless.
+   */
+  function generateDroneWav(frequency, voices, waveform, volume, sampleRate, durationSec) {
+    const LOOP_CYCLES = 6;
+    const cycles = Math.max(LOOP_CYCLES, Math.round(durationSec * frequency / LOOP_CYCLES) * LOOP_CYCLES);
+    const numSamples = Math.round(cycles * sampleRate / frequency);
+    const f = cycles * sampleRate / numSamples; // exact loop frequency (<0.01 cent off)
+
+    const buffer = new Float32Array(numSamples);
+    let peak = 0;
+    for (let i = 0; i < numSamples; i++) {
+      let s = 0;
+      for (const v of voices) s += v.gain * waveSample(waveform, (f * v.ratio * i / sampleRate) % 1);
+      buffer[i] = s;
+      peak = Math.max(peak, Math.abs(s));
+    }
+    const scale = peak > 0 ? volume / peak : 0;
+    for (let i = 0; i < numSamples; i++) buffer[i] *= scale;
+    return wavDataUri(buffer, sampleRate);
+  }
+
+  /**
+   * Start (or retune) the drone.
+   * options: { frequency, voices: ids from DRONE_VOICES besides 'tonic',
+   *            waveform, volume: 0..1 }
+   */
+  function startDrone(options) {
+    stopDrone();
+    const voices = [{ ratio: 1, gain: 1 }].concat(
+      (options.voices || []).filter(id => DRONE_VOICES[id]).map(id => DRONE_VOICES[id])
+    );
+    const volume = Math.max(0, Math.min(1, options.volume === undefined ? 0.6 : options.volume));
+    const dataUri = generateDroneWav(options.frequency, voices, options.waveform || 'sine', volume, 44100, 10.0);
+
+    droneFreqs = voices.map(v => options.frequency * v.ratio);
+    const freqs = droneFreqs;
+    droneAudioEl = new Audio(dataUri);
+    droneAudioEl.loop = true;
+    droneAudioEl.volume = 1.0; // level is baked into the samples (iOS ignores .volume)
+    // Learn the drone's level at the mic once it is actually sounding, unless
+    // it plays through headphones and cannot reach the mic
+    droneAudioEl.addEventListener('playing', async () => {
+      const audible = !(await outputIsHeadphones());
+      if (droneFreqs === freqs) droneFilter.start(freqs, performance.now(), { audible });
+    });
+    droneAudioEl.play();
+  }
+
+  /** Whether the default audio output is named as headphones (best effort: labels need mic access). */
+  async function outputIsHeadphones() {
+    const media = navigator.mediaDevices;
+    if (!media || !media.enumerateDevices) return false;
+    try {
+      const outputs = (await media.enumerateDevices()).filter(d => d.kind === 'audiooutput');
+      const output = outputs.find(d => d.deviceId === 'default') || outputs[0];
+      return !!output && HEADPHONE_LABEL.test(output.label);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function stopDrone() {
+    if (droneAudioEl) {
+      droneAudioEl.pause();
+      droneAudioEl = null;
     }
-    return smoothedCents;
+    droneFreqs = [];
+    droneFilter.stop();
   }
 
   return {
     getContext,
     startMicrophone,
     stopMicrophone,
+    setDetection,
+    listInputs,
+    setInputDevice,
+    setInputGain,
     setWaveform,
     startTone,
     stopTone,
-    smoothCents,
-    get selectedWaveform() { return selectedWaveform; }
+    playPhrase,
+    playCue,
+    startDrone,
+    stopDrone,
+    startRecording,
+    stopRecording,
+    analyzeFile,
+    encodeWav,
+    smoothCents: tracker.smoothCents,
+    get listening() { return isListening; },
+    get selectedWaveform() { return selectedWaveform; },
+    get droneActive() { return droneFreqs.length > 0; },
+    get recording() { return !!recorder; },
+    get recordedSeconds() { return recorder ? recorder.length / recorder.sampleRate : 0; },
+    get detection() { return Object.assign({}, detection); },
+    get inputDevice() { return inputDevice; },
+    get inputGain() { return inputGainDb; },
+    get level() { return { rms: isListening ? inputRms : 0, clipping: performance.now() < clipUntil }; },
+    set onInputs(fn) { onInputs = fn; },
+    DETECTION_DEFAULTS,
+    WINDOW_SIZES,
+    INPUT_GAIN_RANGE,
+    MAX_RECORD_SECONDS
   };
 })();
@@ -0,0 +1,41 @@
+/**
+ * AudioWorklet processor: collects mic input into fixed hop-size chunks and
+ * posts them over a MessagePort handed in by AudioEngine — to the pitch
+ * worker, or to the main thread for session recording. Runs on the audio
+ * rendering thread, so capture never waits on the UI.
+ */
+class CaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.hopSize = options.processorOptions.hopSize;
+    this.chunk = new Float32Array(this.hopSize);
+    this.filled = 0;
+    this.target = null; // MessagePort to the consumer
+
+    this.port.onmessage = (e) => {
+      if (e.data.type === 'connect') this.target = e.data.port;
+    };
+  }
+
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+    if (!channel || !this.target) return true;
+
+    let offset = 0;
+    while (offset < channel.length) {
+      const n = Math.min(channel.length - offset, this.hopSize - this.filled);
+      this.chunk.set(channel.subarray(offset, offset + n), this.filled);
+      this.filled += n;
+      offset += n;
+      if (this.filled === this.hopSize) {
+        // Transfer the full chunk and start a fresh one
+        this.target.postMessage(this.chunk, [this.chunk.buffer]);
+        this.chunk = new Float32Array(this.hopSize);
+        this.filled = 0;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor('qtone-capture', CaptureProcessor);
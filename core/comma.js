@@ -0,0 +1,98 @@
+/**
+ * 53-comma division of the octave (Holdrian commas, "koma") for Turkish makam.
+ *
+ * Steps count commas above Do (0–52). Naturals sit on Pythagorean positions —
+ * whole tones of 9 commas, limmas of 4 — and every step is spelled from the
+ * nearest natural with a comma count: Re♭⁴ is 4 commas below Re. The
+ * Arel-Ezgi-Uzdilek (AEU) system uses 24 of the 53 steps, reached with
+ * accidentals of 1, 4, 5 and 8 commas.
+ *
+ * Sets are 'all' (every step) or 'aeu' (the AEU subset).
+ */
+export const Comma = (() => {
+  const STEPS = 53;
+  const KOMA = 1200 / STEPS;
+
+  // Naturals: comma step and the matching 24-grid position (for their names)
+  const NATURALS = [
+    { step: 0, gridPos: 0 },    // Do
+    { step: 9, gridPos: 4 },    // Re
+    { step: 18, gridPos: 8 },   // Mi
+    { step: 22, gridPos: 10 },  // Fa
+    { step: 31, gridPos: 14 },  // Sol
+    { step: 40, gridPos: 18 },  // La
+    { step: 49, gridPos: 22 }   // Si
+  ];
+
+  // The 24 AEU pitches of the octave, in commas above Do (Rast = Sol = 31)
+  const AEU = [0, 4, 5, 8, 9, 13, 14, 17, 18, 22, 23, 26, 27, 30, 31, 35, 36, 39, 40, 44, 45, 48, 49, 50];
+
+  const ALL = Array.from({ length: STEPS }, (_, i) => i);
+  const SUPERSCRIPT = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+
+  /** Target steps of a set, ascending. */
+  function targets(set) {
+    return set === 'aeu' ? AEU : ALL;
+  }
+
+  function isNatural(step) {
+    return NATURALS.some(n => n.step === step);
+  }
+
+  /**
+   * Nearest target to a pitch in cents above Do4: { step, octave, commas,
+   * deviation } — octave as in Do4, deviation from the step in commas and cents.
+   */
+  function nearest(centsFromDo, set) {
+    const list = targets(set);
+    const position = centsFromDo / KOMA;
+    const octave = Math.floor(position / STEPS);
+    const within = position - octave * STEPS;
+    let best = list[0];
+    for (const step of list.concat(list[0] + STEPS)) {
+      if (Math.abs(within - step) < Math.abs(within - best)) best = step;
+    }
+    const commas = within - best;
+    return {
+      step: best % STEPS,
+      octave: octave + 4 + Math.floor(best / STEPS),
+      commas,
+      deviation: commas * KOMA
+    };
+  }
+
+  /**
+   * Spelling of a step: { natural, komas, octave } — index into NATURALS,
+   * the signed comma count from it, and 1 when the natural is the next
+   * octave's Do (Do♭¹ for 52). Ties between two naturals take the sharp.
+   */
+  function spell(step) {
+    let best = null;
+    NATURALS.concat({ step: STEPS }).forEach((n, i) => {
+      const komas = step - n.step;
+      if (!best || Math.abs(komas) < Math.abs(best.komas)) {
+        best = { natural: i % NATURALS.length, komas, octave: Math.floor(i / NATURALS.length) };
+      }
+    });
+    return best;
+  }
+
+  /** Accidental for a signed comma count: '♯⁴', '♭¹', '' for none. */
+  function accidental(komas) {
+    if (!komas) return '';
+    const count = String(Math.abs(komas)).replace(/[0-9]/g, d => SUPERSCRIPT[d]);
+    return (komas > 0 ? '♯' : '♭') + count;
+  }
+
+  return {
+    STEPS,
+    KOMA,
+    NATURALS,
+    AEU,
+    targets,
+    isNatural,
+    nearest,
+    spell,
+    accidental
+  };
+})();
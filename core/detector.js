@@ -0,0 +1,282 @@
+/**
+ * Streaming detection: the sliding analysis window, noise gate and pitch
+ * tracking behind the live tuner, for samples from any source.
+ *
+ * createDetector() takes mono audio (Float32Array, -1..1) in chunks of any
+ * length and analyzes the latest windowSize samples every hopSize samples:
+ *
+ *   const detector = createDetector({ sampleRate: 44100, algorithm: 'mpm' });
+ *   const tracker = createTracker();
+ *   for (const frame of detector.push(samples)) {
+ *     const { pitch } = tracker.update(frame);
+ *     if (pitch > 0) console.log(frame.time.toFixed(2), pitch);
+ *   }
+ *
+ * Frames are { time, frequency, confidence, amplitude, peak, voices }, like
+ * analyzeFrames() output: time in seconds at the window's center (counted
+ * from the first sample pushed), frequency -1 when gated or unclear, peak
+ * the largest sample of the newest hop, voices the polyphonic pitches
+ * (empty unless voices > 1).
+ *
+ * createTracker() smooths successive frames into the pitch the tuner shows:
+ * octave leaps must persist for jumpConfirm frames, the rest is smoothed
+ * exponentially. The app runs the detector in a worker and the tracker on
+ * the main thread.
+ *
+ * createDroneFilter() tells a drone (or any known steady tones) leaking
+ * from the speakers into the mic apart from the player.
+ *
+ * Options: analyzePitch() options plus the keys of DETECTION_DEFAULTS;
+ * createDetector() also takes sampleRate (44100).
+ */
+import { PITCH_DEFAULTS, analyzeFrame, signalRms, signalPeak } from './pitch-detect.js';
+
+export const DETECTION_DEFAULTS = Object.assign({}, PITCH_DEFAULTS, {
+  windowSize: 8192,
+  hopSize: 1024,
+  amplitudeThreshold: 0.005, // noise gate (RMS)
+  pitchSmoothing: 0.7,
+  centsSmoothing: 0.88,
+  jumpConfirm: 3,            // frames a >jumpRatio leap must persist
+  jumpRatio: 1.8,
+  voices: 1                  // >1: also report up to this many simultaneous pitches
+});
+
+const MAX_PITCH = 5000;         // estimates above this are noise
+const CENTS_DEADZONE = 1.5;
+const VOICE_MATCH_CENTS = 60;   // a voice within this of one in the last frame continues it
+const DRONE_SETTLE_MS = 600;    // after the drone starts, how long its level is learned
+const DRONE_HEADROOM = 1.25;    // ≈2 dB over the drone counts as the player
+const DRONE_REJECT_CENTS = 25;
+
+export function createDetector(options = {}) {
+  let sampleRate = 44100;
+  let settings = Object.assign({}, DETECTION_DEFAULTS);
+  let analysisWindow = null;
+  let filled = 0;     // samples of the window holding audio
+  let sinceHop = 0;   // samples since the last analysis
+  let position = 0;   // samples pushed in all
+
+  /** Change settings; a new window size starts the window afresh. */
+  function configure(changes) {
+    if (changes.sampleRate) sampleRate = changes.sampleRate;
+    const next = Object.assign({}, settings, changes);
+    delete next.sampleRate;
+    if (!analysisWindow || next.windowSize !== analysisWindow.length) {
+      analysisWindow = new Float32Array(next.windowSize);
+      filled = 0;
+      sinceHop = 0;
+    }
+    settings = next;
+  }
+
+  /** Gate and analyze one whole frame (any length) on its own. */
+  function analyze(frame, peak = signalPeak(frame)) {
+    const amplitude = signalRms(frame);
+    if (amplitude < settings.amplitudeThreshold) {
+      return { frequency: -1, confidence: 0, amplitude, peak, voices: [] };
+    }
+    const result = analyzeFrame(frame, sampleRate, settings);
+    return { frequency: result.frequency, confidence: result.confidence, amplitude, peak, voices: result.voices || [] };
+  }
+
+  function append(chunk) {
+    const size = analysisWindow.length;
+    if (chunk.length >= size) {
+      analysisWindow.set(chunk.subarray(chunk.length - size));
+    } else {
+      analysisWindow.copyWithin(0, chunk.length);
+      analysisWindow.set(chunk, size - chunk.length);
+    }
+    filled = Math.min(size, filled + chunk.length);
+  }
+
+  /** Add samples; returns the frames completed by them, oldest first. */
+  function push(samples) {
+    const frames = [];
+    const { hopSize } = settings;
+    for (let i = 0; i < samples.length;) {
+      const n = Math.min(samples.length - i, hopSize - sinceHop);
+      append(samples.subarray(i, i + n));
+      i += n;
+      sinceHop += n;
+      position += n;
+      if (sinceHop < hopSize) break;
+      sinceHop = 0;
+      if (filled < analysisWindow.length) continue;
+      const size = analysisWindow.length;
+      const frame = analyze(analysisWindow, signalPeak(analysisWindow.subarray(size - hopSize)));
+      frames.push(Object.assign({ time: (position - size / 2) / sampleRate }, frame));
+    }
+    return frames;
+  }
+
+  /** Forget buffered audio; times count from zero again. */
+  function reset() {
+    analysisWindow.fill(0);
+    filled = 0;
+    sinceHop = 0;
+    position = 0;
+  }
+
+  configure(options);
+
+  return {
+    configure,
+    analyze,
+    push,
+    reset,
+    get sampleRate() { return sampleRate; },
+    get settings() { return Object.assign({}, settings); }
+  };
+}
+
+export function createTracker(options = {}) {
+  let settings = Object.assign({}, DETECTION_DEFAULTS, options);
+  let pitch = 0;
+  let jumpCount = 0;
+  let jumpCandidate = 0;
+  let voices = [];      // smoothed voice frequencies, ascending
+  let centsKey = null;
+  let cents = 0;
+
+  function configure(changes) {
+    settings = Object.assign({}, settings, changes);
+  }
+
+  /** Back to silence: the next pitch is taken as it comes. */
+  function reset() {
+    pitch = 0;
+    jumpCount = 0;
+    jumpCandidate = 0;
+    voices = [];
+    centsKey = null;
+  }
+
+  /**
+   * Polyphonic voices, smoothed like the pitch: a voice close to one of the
+   * previous frame continues it, others start fresh.
+   */
+  function trackVoices(next) {
+    const k = settings.pitchSmoothing;
+    voices = (next || []).map(f => {
+      const prev = voices.find(p => Math.abs(1200 * Math.log2(f / p)) < VOICE_MATCH_CENTS);
+      return prev ? k * prev + (1 - k) * f : f;
+    });
+    return voices;
+  }
+
+  /**
+   * Track one frame ({ frequency, amplitude, voices }, as the detector's).
+   * Returns { pitch, voices }: pitch 0 for silence or a gated frame.
+   */
+  function update(frame) {
+    const f = frame.frequency;
+    if (frame.amplitude < settings.amplitudeThreshold || !(f > 0 && f < MAX_PITCH)) {
+      reset();
+      return { pitch: 0, voices: [] };
+    }
+
+    if (pitch > 0) {
+      const ratio = f / pitch;
+      const isJump = ratio > settings.jumpRatio || ratio < 1 / settings.jumpRatio;
+      if (isJump) {
+        const candRatio = jumpCandidate > 0 ? f / jumpCandidate : 0;
+        if (candRatio > 0.9 && candRatio < 1.1) {
+          jumpCount++;
+        } else {
+          jumpCandidate = f;
+          jumpCount = 1;
+        }
+        // Hold the current pitch until the leap is confirmed
+        if (jumpCount >= settings.jumpConfirm) {
+          pitch = f;
+          jumpCount = 0;
+          jumpCandidate = 0;
+        }
+      } else {
+        jumpCount = 0;
+        jumpCandidate = 0;
+        const k = settings.pitchSmoothing;
+        pitch = k * pitch + (1 - k) * f;
+      }
+    } else {
+      pitch = f;
+    }
+    return { pitch, voices: trackVoices(frame.voices) };
+  }
+
+  /**
+   * Smooth the cents shown for a target (key: any value naming it, e.g. a
+   * note index): a new target starts fresh, small wobbles are held.
+   */
+  function smoothCents(key, rawCents) {
+    if (key !== centsKey) {
+      centsKey = key;
+      cents = rawCents;
+    } else if (Math.abs(rawCents - cents) >= CENTS_DEADZONE) {
+      const k = settings.centsSmoothing;
+      cents = k * cents + (1 - k) * rawCents;
+    }
+    return cents;
+  }
+
+  return {
+    configure,
+    update,
+    reset,
+    smoothCents,
+    get pitch() { return pitch; }
+  };
+}
+
+/**
+ * Recognise the drone in the mic signal. start(frequencies, now) with the
+ * sounding voices and a clock in ms; for the first DRONE_SETTLE_MS, frames
+ * at a drone pitch (or an octave of one, a common detector slip) are the
+ * drone alone and set its level at the mic. After that such frames are the
+ * drone unless clearly louder. A drone that never reached the mic (through
+ * headphones, or too quiet for the gate) leaves the level at 0 and nothing
+ * is rejected; so does start() with { audible: false }.
+ */
+export function createDroneFilter() {
+  let frequencies = [];
+  let level = 0;
+  let settleUntil = 0;
+  let audible = false;
+
+  function start(droneFrequencies, now, options = {}) {
+    frequencies = droneFrequencies.slice();
+    level = 0;
+    settleUntil = now + DRONE_SETTLE_MS;
+    audible = options.audible !== false;
+  }
+
+  function stop() {
+    frequencies = [];
+    level = 0;
+  }
+
+  function matches(pitch) {
+    return frequencies.some(f => [0.5, 1, 2].some(k => {
+      return Math.abs(1200 * Math.log2(pitch / (f * k))) < DRONE_REJECT_CENTS;
+    }));
+  }
+
+  /** True if a gated frame ({ frequency, amplitude }) at time now is the drone. */
+  function isDrone(frame, now) {
+    if (!audible || !(frame.frequency > 0) || !matches(frame.frequency)) return false;
+    if (now < settleUntil) {
+      level = Math.max(level, frame.amplitude);
+      return true;
+    }
+    return level > 0 && frame.amplitude <= level * DRONE_HEADROOM;
+  }
+
+  return {
+    start,
+    stop,
+    isDrone,
+    get level() { return level; }
+  };
+}
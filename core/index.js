@@ -0,0 +1,32 @@
+/**
+ * Qtone core: the theory and detection layers of the tuner, free of the
+ * DOM and Web Audio, so they run in browsers, workers and Node alike.
+ *
+ *   tuning.js        createTuning(): frequency ↔ note / quarter-tone / cents
+ *   detector.js      createDetector(), createTracker(), createDroneFilter(): streaming detection
+ *   pitch-detect.js  analyzePitch() and friends: one frame or a recording
+ *   naming.js        Naming: display names in other note-naming systems
+ *   comma.js         Comma: the 53-comma division
+ *   scales.js        Scales: maqam, dastgah and makam library
+ *   scala.js         Scala: .scl / .kbm tuning files
+ *
+ * See the README's API section for a walkthrough.
+ */
+export { createTuning, TUNING_DEFAULTS, NOTE_NAMES, GRID_NAMES } from './tuning.js';
+export { createDetector, createTracker, createDroneFilter, DETECTION_DEFAULTS } from './detector.js';
+export {
+  PITCH_ALGORITHMS,
+  PITCH_DEFAULTS,
+  analyzePitch,
+  analyzeFrame,
+  analyzeFrames,
+  analyzeVoices,
+  detectPitch,
+  frameCount,
+  signalRms,
+  signalPeak
+} from './pitch-detect.js';
+export { Naming } from './naming.js';
+export { Comma } from './comma.js';
+export { Scales } from './scales.js';
+export { Scala } from './scala.js';
@@ -0,0 +1,140 @@
+/**
+ * Note naming systems for the 24 grid positions.
+ *
+ * The app keeps solfège ids internally ('Do', 'Re-', 'Mib'…); the selected
+ * system only changes what is shown and exported. Each system lists the 24
+ * display names from Do upward, except Turkish AEU, whose names depend on
+ * where the quarter-tones actually sit: each position is spelled as the
+ * nearest AEU pitch, a Pythagorean natural raised or lowered by 1, 4, 5 or
+ * 8 komas (1/53 octave).
+ *
+ * Persian is written right to left (rtl: true) and uses the Unicode sori
+ * and koron signs; digits() converts octave numbers to its numerals.
+ */
+export const Naming = (() => {
+  const KOMA = 1200 / 53;
+
+  const SOLFEGE = [
+    'Do', 'Do+', 'Do#', 'Re-', 'Re', 'Re+', 'Mib', 'Mi-',
+    'Mi', 'Mi+', 'Fa', 'Fa+', 'Fa#', 'Sol-', 'Sol', 'Sol+',
+    'Lab', 'La-', 'La', 'La+', 'Sib', 'Si-', 'Si', 'Si+'
+  ];
+
+  /** Respell the solfège names with other note names and accidental signs. */
+  function respell(bases, accidentals) {
+    return SOLFEGE.map(id => {
+      const [, base, acc] = id.match(/^([A-Z][a-z]*?)([#b+-]?)$/);
+      return bases[base] + (acc ? accidentals[acc] : '');
+    });
+  }
+
+  const SORI = '\u{1D1E9}';
+  const KORON = '\u{1D1EA}';
+
+  const SYSTEMS = {
+    solfege: { label: 'Solfège (Do Re Mi)', names: SOLFEGE },
+    letters: {
+      label: 'Letters (C D E)',
+      names: respell(
+        { Do: 'C', Re: 'D', Mi: 'E', Fa: 'F', Sol: 'G', La: 'A', Si: 'B' },
+        { '#': '♯', b: '♭', '+': '𝄲', '-': '𝄳' }
+      )
+    },
+    persian: {
+      label: 'Persian (دو ر می)',
+      rtl: true,
+      numerals: '۰۱۲۳۴۵۶۷۸۹',
+      names: respell(
+        { Do: 'دو', Re: 'ر', Mi: 'می', Fa: 'فا', Sol: 'سل', La: 'لا', Si: 'سی' },
+        { '#': '♯', b: '♭', '+': SORI, '-': KORON }
+      )
+    },
+    // Degree names of the Arabic tone system, in the Rast octave
+    arabic: {
+      label: 'Arabic (Rast, Dukah…)',
+      names: [
+        'Rast', 'Nim Zirkulah', 'Zirkulah', 'Tik Zirkulah', 'Dukah', 'Nim Kurd', 'Kurd', 'Sikah',
+        'Buselik', 'Tik Buselik', 'Jaharkah', 'Nim Hijaz', 'Hijaz', 'Tik Hijaz', 'Nawa', 'Nim Hisar',
+        'Hisar', 'Tik Hisar', 'Husayni', 'Nim Ajam', 'Ajam', 'Awj', 'Mahur', 'Tik Mahur'
+      ]
+    },
+    turkish: { label: 'Turkish AEU (koma)', names: null }
+  };
+
+  // AEU naturals in komas above Do, and the accidental sizes in use
+  const AEU_NATURALS = [['Do', 0], ['Re', 9], ['Mi', 18], ['Fa', 22], ['Sol', 31], ['La', 40], ['Si', 49], ['Do', 53]];
+  const AEU_STEPS = [1, 4, 5, 8];
+  const SUPERSCRIPT = { 1: '¹', 4: '⁴', 5: '⁵', 8: '⁸' };
+
+  /**
+   * Nearest AEU spelling of a pitch in cents above Do. Between spellings of
+   * the same koma, the one on the `letter` natural wins, then fewer komas.
+   */
+  function aeuName(cents, letter) {
+    const komas = cents / KOMA;
+    let best = null;
+    for (const [name, pos] of AEU_NATURALS) {
+      const options = [[name, pos, 0]];
+      AEU_STEPS.forEach(k => {
+        options.push([`${name}♯${SUPERSCRIPT[k]}`, pos + k, k]);
+        options.push([`${name}♭${SUPERSCRIPT[k]}`, pos - k, k]);
+      });
+      for (const [label, at, step] of options) {
+        const miss = Math.abs(komas - at);
+        const other = name === letter ? 0 : 1;
+        const better = !best || miss < best.miss - 1e-9 || (miss < best.miss + 1e-9 &&
+          (other < best.other || (other === best.other && step < best.step)));
+        if (better) best = { label, miss, other, step };
+      }
+    }
+    return best.label;
+  }
+
+  let current = 'solfege';
+
+  function set(id) {
+    if (SYSTEMS[id]) current = id;
+  }
+
+  function list() {
+    return Object.keys(SYSTEMS).map(id => ({ id, label: SYSTEMS[id].label }));
+  }
+
+  /**
+   * The 24 display names in the current system. gridCents (cents above Do
+   * of each position) places the quarter-tones for Turkish AEU spelling.
+   */
+  function labels(gridCents) {
+    const system = SYSTEMS[current];
+    if (system.names) return system.names.slice();
+    return gridCents.map((cents, q) => aeuName(cents, SOLFEGE[q].replace(/[#b+-]$/, '')));
+  }
+
+  /** An octave or other number in the system's numerals. */
+  function digits(n) {
+    const numerals = SYSTEMS[current].numerals;
+    const text = String(n);
+    return numerals ? text.replace(/[0-9]/g, d => numerals[d]) : text;
+  }
+
+  /**
+   * Split a name into its base and a trailing accidental (which the rings
+   * draw smaller and raised); accidental is '' for names without one.
+   */
+  function split(name) {
+    const match = name.match(/^(.+?)([#b+\-♯♭𝄲𝄳\u{1D1E9}\u{1D1EA}][⁰¹²³⁴-⁹]*)$/u);
+    return match ? { base: match[1], accidental: match[2] } : { base: name, accidental: '' };
+  }
+
+  return {
+    KOMA,
+    list,
+    set,
+    labels,
+    digits,
+    split,
+    aeuName,
+    get current() { return current; },
+    get rtl() { return !!SYSTEMS[current].rtl; }
+  };
+})();
@@ -0,0 +1,647 @@
+/**
+ * Pitch detection: YIN (default), McLeod MPM and harmonic product spectrum.
+ *
+ * All three use FFTs for the expensive part (difference function,
+ * autocorrelation, spectrum), so cost grows as N log N and larger analysis
+ * windows stay affordable. analyzePitch() returns { frequency, confidence };
+ * detectPitch() is the original frequency-only entry point (YIN defaults);
+ * analyzeFrames() runs analyzePitch across a whole recording.
+ * analyzeVoices() finds several simultaneous pitches (double-stops, chords);
+ * analyzeFrame() is analyzePitch plus those voices when options.voices > 1.
+ *
+ * Options (all optional):
+ *   algorithm  'yin' | 'mpm' | 'hps'
+ *   minFreq    lowest frequency to report, Hz
+ *   maxFreq    highest frequency to report, Hz
+ *   threshold  algorithm-specific, see PITCH_ALGORITHMS
+ *   voices     most simultaneous pitches to look for (1 = single pitch)
+ */
+
+/**
+ * Algorithm metadata. `threshold` describes each algorithm's own knob:
+ *   yin — CMNDF dip threshold: lower is stricter
+ *   mpm — key-maximum cutoff relative to the highest NSDF peak: higher prefers
+ *         stronger peaks, lower prefers the first (lowest-tau) peak
+ *   hps — minimum share of spectral energy on the harmonic series
+ */
+export const PITCH_ALGORITHMS = {
+  yin: { label: 'YIN',               threshold: { min: 0.05, max: 0.5, step: 0.01, value: 0.20 } },
+  mpm: { label: 'McLeod MPM',        threshold: { min: 0.5,  max: 1.0, step: 0.01, value: 0.93 } },
+  hps: { label: 'Harmonic Spectrum', threshold: { min: 0.05, max: 0.9, step: 0.01, value: 0.40 } }
+};
+
+export const PITCH_DEFAULTS = {
+  algorithm: 'yin',
+  minFreq: 60,   // ~B1
+  maxFreq: 2000  // well above highest tuner note
+};
+
+// ══════════════════════════════════════════════════════
+// FFT (radix-2, in place)
+// ══════════════════════════════════════════════════════
+
+const fftTableCache = {};
+
+function fftTables(n) {
+  if (fftTableCache[n]) return fftTableCache[n];
+  const cos = new Float64Array(n / 2);
+  const sin = new Float64Array(n / 2);
+  for (let k = 0; k < n / 2; k++) {
+    cos[k] = Math.cos(2 * Math.PI * k / n);
+    sin[k] = Math.sin(2 * Math.PI * k / n);
+  }
+  const bits = Math.log2(n);
+  const rev = new Uint32Array(n);
+  for (let i = 0; i < n; i++) {
+    let r = 0;
+    for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+    rev[i] = r;
+  }
+  fftTableCache[n] = { cos, sin, rev };
+  return fftTableCache[n];
+}
+
+/** In-place complex FFT; re/im length must be a power of two. */
+function fft(re, im, inverse) {
+  const n = re.length;
+  const { cos, sin, rev } = fftTables(n);
+
+  for (let i = 0; i < n; i++) {
+    const j = rev[i];
+    if (j > i) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const wRe = cos[k * step];
+        const wIm = inverse ? sin[k * step] : -sin[k * step];
+        const a = start + k;
+        const b = a + half;
+        const xr = re[b] * wRe - im[b] * wIm;
+        const xi = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - xr;
+        im[b] = im[a] - xi;
+        re[a] += xr;
+        im[a] += xi;
+      }
+    }
+  }
+
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
+
+function nextPow2(n) {
+  return Math.pow(2, Math.ceil(Math.log2(n)));
+}
+
+/**
+ * Cross-correlation c[tau] = Σ_{i<lenA} a[i]·b[i+tau] for tau < maxLag,
+ * via IFFT(conj(A)·B). Zero padding to ≥ lenB keeps it free of wrap-around.
+ */
+function crossCorrelate(a, lenA, b, lenB, maxLag) {
+  const n = nextPow2(lenB);
+  const aRe = new Float64Array(n), aIm = new Float64Array(n);
+  const bRe = new Float64Array(n), bIm = new Float64Array(n);
+  for (let i = 0; i < lenA; i++) aRe[i] = a[i];
+  for (let i = 0; i < lenB; i++) bRe[i] = b[i];
+  fft(aRe, aIm, false);
+  fft(bRe, bIm, false);
+  for (let k = 0; k < n; k++) {
+    // conj(A) * B
+    const re = aRe[k] * bRe[k] + aIm[k] * bIm[k];
+    const im = aRe[k] * bIm[k] - aIm[k] * bRe[k];
+    aRe[k] = re;
+    aIm[k] = im;
+  }
+  fft(aRe, aIm, true);
+  return aRe.subarray(0, maxLag);
+}
+
+/**
+ * Vertex of the parabola through (-1, s0), (0, s1), (1, s2): the sub-sample
+ * offset of a peak or trough at the middle value.
+ */
+function parabolicOffset(s0, s1, s2) {
+  const denom = 2 * (s0 - 2 * s1 + s2);
+  return denom !== 0 ? (s0 - s2) / denom : 0;
+}
+
+// ══════════════════════════════════════════════════════
+// YIN
+// ══════════════════════════════════════════════════════
+
+const YIN_SUBMULTIPLE_RATIO = 2;     // a dip at tau/k this close to the deepest one…
+const YIN_SUBMULTIPLE_MARGIN = 0.05; // …(ratio × depth + margin) is the true period
+
+/**
+ * YIN-based pitch detection algorithm (improved).
+ * Instead of taking the first dip below threshold, collects all candidate
+ * local minima and picks the deepest, then checks whether it is a multiple
+ * of the true period — more robust against harmonic confusion that causes
+ * wrong-octave or wrong-note detection on noisy mic signals.
+ */
+function yin(buffer, sampleRate, minFreq, maxFreq, threshold) {
+  const bufferSize = buffer.length;
+  const halfSize = Math.floor(bufferSize / 2);
+  const yinBuffer = new Float32Array(halfSize);
+
+  // Frequency range limits (tau = sampleRate / freq)
+  const minTau = Math.max(2, Math.floor(sampleRate / maxFreq)); // ~24 at 48kHz
+  // ~800 at 48kHz, plus room to interpolate a dip at the lowest frequency
+  const maxTau = Math.min(Math.ceil(sampleRate / minFreq) + 2, halfSize);
+
+  // Step 1: Squared difference function
+  //   d(tau) = Σ x[i]² + Σ x[i+tau]² − 2·Σ x[i]·x[i+tau]   (i < halfSize)
+  // The energy terms come from a running sum, the cross term from an FFT.
+  const cumSq = new Float64Array(bufferSize + 1);
+  for (let i = 0; i < bufferSize; i++) cumSq[i + 1] = cumSq[i] + buffer[i] * buffer[i];
+  const cross = crossCorrelate(buffer, halfSize, buffer, halfSize + maxTau, maxTau);
+  const diff = new Float64Array(maxTau);
+  for (let tau = 0; tau < maxTau; tau++) {
+    const energy = cumSq[halfSize] + (cumSq[tau + halfSize] - cumSq[tau]);
+    diff[tau] = yinBuffer[tau] = Math.max(0, energy - 2 * cross[tau]);
+  }
+
+  // Step 2: Cumulative mean normalized difference (CMNDF)
+  yinBuffer[0] = 1;
+  let runningSum = 0;
+  for (let tau = 1; tau < maxTau; tau++) {
+    runningSum += yinBuffer[tau];
+    yinBuffer[tau] = runningSum > 0 ? yinBuffer[tau] * tau / runningSum : 1;
+  }
+
+  // Step 3: Collect all local minima below threshold
+  const candidates = []; // { tau, value }
+
+  for (let tau = minTau; tau < maxTau - 1; tau++) {
+    if (yinBuffer[tau] < threshold) {
+      // Walk to the bottom of this dip
+      while (tau + 1 < maxTau && yinBuffer[tau + 1] < yinBuffer[tau]) {
+        tau++;
+      }
+      candidates.push({ tau: tau, value: yinBuffer[tau] });
+    }
+  }
+
+  if (candidates.length === 0) return { frequency: -1, confidence: 0 };
+
+  // Step 4: Pick the best candidate.
+  // The deepest dip (strongest periodicity) is the period or a multiple of
+  // it: a periodic signal repeats at every multiple of its period, so those
+  // dips are about as deep and noise can tip the balance to any of them.
+  // Take the shortest tau dividing it whose dip is nearly as deep. A harmonic
+  // (tau of half the period) dips far less unless the fundamental and odd
+  // partials are almost absent.
+  let best = candidates[0];
+  for (const c of candidates) {
+    if (c.value < best.value) best = c;
+  }
+  const limit = best.value * YIN_SUBMULTIPLE_RATIO + YIN_SUBMULTIPLE_MARGIN;
+  for (let k = Math.floor(best.tau / minTau); k >= 2; k--) {
+    const tau = dipNear(yinBuffer, best.tau / k, minTau, maxTau);
+    if (tau !== -1 && dipDepth(yinBuffer, tau) <= limit) {
+      best = { tau, value: yinBuffer[tau] };
+      break;
+    }
+  }
+
+  const tauEstimate = best.tau;
+
+  // Step 5: Parabolic interpolation for sub-sample precision, on the raw
+  // difference function (the normalization skews the dip's shape)
+  let betterTau = tauEstimate;
+  if (tauEstimate > 0 && tauEstimate + 1 < maxTau) {
+    betterTau += parabolicOffset(diff[tauEstimate - 1], diff[tauEstimate], diff[tauEstimate + 1]);
+  }
+
+  return {
+    frequency: sampleRate / betterTau,
+    confidence: Math.max(0, Math.min(1, 1 - best.value))
+  };
+}
+
+/**
+ * Depth of a CMNDF dip at the vertex of the parabola through it: short
+ * periods fall between samples, where the samples either side read shallow.
+ */
+function dipDepth(yinBuffer, tau) {
+  const s0 = yinBuffer[tau - 1], s1 = yinBuffer[tau], s2 = yinBuffer[tau + 1];
+  return Math.max(0, s1 - (s0 - s2) * parabolicOffset(s0, s1, s2) / 4);
+}
+
+/**
+ * The local minimum of the CMNDF within a sample (and 3%) of a fractional
+ * tau, or -1 if there is none in [minTau, maxTau).
+ */
+function dipNear(yinBuffer, center, minTau, maxTau) {
+  const reach = Math.max(1, Math.ceil(center * 0.03));
+  let best = -1;
+  for (let tau = Math.max(minTau, Math.floor(center) - reach); tau <= Math.ceil(center) + reach && tau < maxTau - 1; tau++) {
+    const isDip = yinBuffer[tau] <= yinBuffer[tau - 1] && yinBuffer[tau] <= yinBuffer[tau + 1];
+    if (isDip && (best === -1 || yinBuffer[tau] < yinBuffer[best])) best = tau;
+  }
+  return best;
+}
+
+// ══════════════════════════════════════════════════════
+// McLeod Pitch Method
+// ══════════════════════════════════════════════════════
+
+const MPM_MIN_CLARITY = 0.5; // below this the frame is treated as unpitched
+
+/**
+ * McLeod Pitch Method: normalized square difference function (NSDF), then
+ * the first "key maximum" that reaches `cutoff` × the highest one.
+ * The NSDF peak height doubles as the confidence ("clarity").
+ */
+function mpm(buffer, sampleRate, minFreq, maxFreq, cutoff) {
+  const size = buffer.length;
+  const minTau = Math.max(2, Math.floor(sampleRate / maxFreq));
+  const maxTau = Math.min(Math.ceil(sampleRate / minFreq), size - 1);
+
+  // Autocorrelation r(tau) = Σ_{i<size-tau} x[i]·x[i+tau]; zero padding to
+  // 2·size makes the circular correlation linear.
+  const n = nextPow2(size * 2);
+  const re = new Float64Array(n), im = new Float64Array(n);
+  for (let i = 0; i < size; i++) re[i] = buffer[i];
+  fft(re, im, false);
+  for (let k = 0; k < n; k++) {
+    re[k] = re[k] * re[k] + im[k] * im[k];
+    im[k] = 0;
+  }
+  fft(re, im, true);
+
+  // m(tau) = Σ (x[i]² + x[i+tau]²) over the same range, updated incrementally
+  const nsdf = new Float64Array(maxTau + 1);
+  let m = 2 * re[0];
+  for (let tau = 0; tau <= maxTau; tau++) {
+    if (tau > 0) m -= buffer[tau - 1] * buffer[tau - 1] + buffer[size - tau] * buffer[size - tau];
+    nsdf[tau] = m > 0 ? 2 * re[tau] / m : 0;
+  }
+
+  // Key maxima: the highest point between each positive-going zero crossing
+  // and the following negative-going one (the lobe around tau 0 is skipped).
+  const peaks = [];
+  let tau = 1;
+  while (tau < maxTau && nsdf[tau] > 0) tau++;
+  while (tau < maxTau) {
+    while (tau < maxTau && nsdf[tau] <= 0) tau++;
+    let peak = -1;
+    while (tau < maxTau && nsdf[tau] > 0) {
+      if (tau >= minTau && (peak === -1 || nsdf[tau] > nsdf[peak])) peak = tau;
+      tau++;
+    }
+    if (peak > 0 && peak < maxTau) peaks.push(peak);
+  }
+  if (!peaks.length) return { frequency: -1, confidence: 0 };
+
+  let highest = 0;
+  for (const p of peaks) highest = Math.max(highest, nsdf[p]);
+  const chosen = peaks.find(p => nsdf[p] >= cutoff * highest);
+
+  const delta = parabolicOffset(nsdf[chosen - 1], nsdf[chosen], nsdf[chosen + 1]);
+  const clarity = nsdf[chosen] - 0.25 * (nsdf[chosen - 1] - nsdf[chosen + 1]) * delta;
+  if (clarity < MPM_MIN_CLARITY) return { frequency: -1, confidence: clarity };
+
+  return {
+    frequency: sampleRate / (chosen + delta),
+    confidence: Math.max(0, Math.min(1, clarity))
+  };
+}
+
+// ══════════════════════════════════════════════════════
+// Harmonic product spectrum
+// ══════════════════════════════════════════════════════
+
+const HPS_HARMONICS = 5;
+
+/**
+ * Harmonic product spectrum: multiply the magnitude spectrum by its own
+ * downsampled copies so only the fundamental lines up with every harmonic.
+ * Suits bright plucked tones (tar, oud, santur) whose upper partials are
+ * strong. The estimate is refined from the interpolated harmonic peaks,
+ * which have finer relative resolution than the fundamental's bin.
+ */
+function hps(buffer, sampleRate, minFreq, maxFreq, minHarmonicShare) {
+  const size = buffer.length;
+  const n = nextPow2(size) * 2; // zero padding halves the bin width
+  const re = new Float64Array(n), im = new Float64Array(n);
+  for (let i = 0; i < size; i++) {
+    re[i] = buffer[i] * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (size - 1)));
+  }
+  fft(re, im, false);
+
+  const half = n / 2;
+  const mag = new Float64Array(half);
+  for (let k = 0; k < half; k++) mag[k] = Math.hypot(re[k], im[k]);
+
+  const binHz = sampleRate / n;
+  const kMin = Math.max(1, Math.ceil(minFreq / binHz));
+  const kMax = Math.min(Math.floor(maxFreq / binHz), Math.floor((half - 1) / HPS_HARMONICS) - HPS_HARMONICS);
+  if (kMax <= kMin) return { frequency: -1, confidence: 0 };
+
+  // Strongest bin near h·k — the window's main lobe spans several bins
+  const near = (k, h) => {
+    let best = 0;
+    const r = Math.floor(h / 2);
+    for (let j = h * k - r; j <= h * k + r; j++) best = Math.max(best, mag[j]);
+    return best;
+  };
+  const logProduct = (k) => {
+    let sum = 0;
+    for (let h = 1; h <= HPS_HARMONICS; h++) sum += Math.log(near(k, h) + 1e-12);
+    return sum;
+  };
+
+  let k0 = kMin;
+  let bestLog = -Infinity;
+  for (let k = kMin; k <= kMax; k++) {
+    const v = logProduct(k);
+    if (v > bestLog) {
+      bestLog = v;
+      k0 = k;
+    }
+  }
+
+  // Sparse spectra (pure or nearly pure tones) let a sub-multiple win: if
+  // every strong harmonic of k0 is a multiple of g, the fundamental is g·k0.
+  let peakMag = 0;
+  for (let k = kMin; k < half; k++) peakMag = Math.max(peakMag, mag[k]);
+  const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+  let g = 0;
+  for (let h = 1; h <= HPS_HARMONICS; h++) {
+    if (near(k0, h) > 0.05 * peakMag) g = gcd(h, g);
+  }
+  if (g > 1 && k0 * g <= kMax) k0 *= g;
+
+  // Octave correction: HPS tends to land an octave high; take the
+  // sub-octave if its product is within a factor of 5 of the peak and it
+  // has a real odd harmonic (a pure tone has none, so it stays put).
+  const sub = Math.round(k0 / 2);
+  if (sub >= kMin && near(sub, 3) > 0.1 * near(k0, 1) && logProduct(sub) > bestLog + Math.log(0.2)) {
+    k0 = sub;
+  }
+
+  // Refine from each harmonic's interpolated peak, weighted by magnitude
+  let weighted = 0;
+  let weights = 0;
+  let harmonicEnergy = 0;
+  for (let h = 1; h * k0 < half - 1; h++) {
+    let p = h * k0;
+    const r = Math.max(2, h);
+    for (let j = Math.max(1, h * k0 - r); j <= Math.min(half - 2, h * k0 + r); j++) {
+      if (mag[j] > mag[p]) p = j;
+    }
+    for (let j = Math.max(0, p - 3); j <= Math.min(half - 1, p + 3); j++) harmonicEnergy += mag[j] * mag[j];
+    if (h <= HPS_HARMONICS * 2) {
+      const lp = Math.log(mag[p - 1] + 1e-12), l0 = Math.log(mag[p] + 1e-12), ln = Math.log(mag[p + 1] + 1e-12);
+      const freq = (p + parabolicOffset(lp, l0, ln)) * binHz / h;
+      weighted += freq * mag[p];
+      weights += mag[p];
+    }
+  }
+
+  let totalEnergy = 0;
+  for (let k = Math.max(1, Math.floor(kMin / 2)); k < half; k++) totalEnergy += mag[k] * mag[k];
+  const share = totalEnergy > 0 ? harmonicEnergy / totalEnergy : 0;
+  if (share < minHarmonicShare || weights === 0) return { frequency: -1, confidence: share };
+
+  return {
+    frequency: weighted / weights,
+    confidence: Math.max(0, Math.min(1, share))
+  };
+}
+
+// ══════════════════════════════════════════════════════
+// Polyphonic analysis
+// ══════════════════════════════════════════════════════
+
+const POLY_HARMONICS = 8;       // partials scored per candidate voice
+const POLY_PEAK_FLOOR = 0.01;   // peaks under this share of the strongest are ignored (−40 dB)
+const POLY_NOISE_RATIO = 10;    // …and peaks less than this far above the median (noise) level
+const POLY_MIN_SALIENCE = 0.2;  // a further voice needs this share of the first one's salience
+const POLY_TOLERANCE = 0.015;   // relative mistuning allowed for a partial (about a quarter-tone's half)
+const POLY_SUBHARMONICS = 3;    // weak fundamentals looked for below a winning partial
+const POLY_WEAK_FUNDAMENTAL = 0.1; // …down to this share of the partial's magnitude
+
+/**
+ * Local maxima of the windowed magnitude spectrum up to maxFreq:
+ * [{ frequency, magnitude }] with frequencies interpolated on log magnitude.
+ */
+function spectralPeaks(buffer, sampleRate, maxFreq) {
+  const size = buffer.length;
+  const n = nextPow2(size) * 2;
+  const re = new Float64Array(n), im = new Float64Array(n);
+  for (let i = 0; i < size; i++) {
+    re[i] = buffer[i] * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (size - 1)));
+  }
+  fft(re, im, false);
+
+  const binHz = sampleRate / n;
+  const kMax = Math.min(n / 2 - 2, Math.floor(maxFreq / binHz));
+  const mag = new Float64Array(kMax + 2);
+  for (let k = 0; k < mag.length; k++) mag[k] = Math.hypot(re[k], im[k]);
+  const sorted = mag.slice(1, kMax + 1).sort();
+  const floor = Math.max(POLY_PEAK_FLOOR * sorted[sorted.length - 1], POLY_NOISE_RATIO * sorted[sorted.length >> 1]);
+
+  const peaks = [];
+  for (let k = 2; k <= kMax; k++) {
+    if (mag[k] < floor || mag[k] <= mag[k - 1] || mag[k] < mag[k + 1]) continue;
+    const lp = Math.log(mag[k - 1] + 1e-12), l0 = Math.log(mag[k]), ln = Math.log(mag[k + 1] + 1e-12);
+    peaks.push({ frequency: (k + parabolicOffset(lp, l0, ln)) * binHz, magnitude: mag[k] });
+  }
+  return peaks;
+}
+
+/** The unused peak closest to a frequency, within POLY_TOLERANCE, or null. */
+function nearestPartial(peaks, frequency) {
+  let best = null;
+  let bestMiss = POLY_TOLERANCE;
+  for (const p of peaks) {
+    const miss = Math.abs(p.frequency / frequency - 1);
+    if (p.magnitude > 0 && miss <= bestMiss) {
+      best = p;
+      bestMiss = miss;
+    }
+  }
+  return best;
+}
+
+/**
+ * Several simultaneous pitches by harmonic grouping. Every spectral peak in
+ * [minFreq, maxFreq] is a candidate fundamental, scored by the magnitudes of
+ * the peaks on its harmonic series (1/h weighted, so a partial rarely
+ * outscores its own fundamental; when it does, a peak at a subharmonic that
+ * scores half as much takes over). The best candidate becomes a voice and its
+ * partials are used up; repeat while a candidate keeps POLY_MIN_SALIENCE of
+ * the first voice's score, up to options.voices.
+ *
+ * Voices need their fundamental present, and a voice an octave or a twelfth
+ * above another hides in its partials. Returns { voices: [{ frequency, strength }] in
+ * ascending pitch, confidence: share of the peak energy the voices explain }.
+ */
+export function analyzeVoices(buffer, sampleRate, options) {
+  const opts = Object.assign({}, PITCH_DEFAULTS, options);
+  const maxVoices = Math.max(1, opts.voices || 1);
+  const peaks = spectralPeaks(buffer, sampleRate, Math.min(sampleRate / 2, opts.maxFreq * POLY_HARMONICS))
+    .map(p => Object.assign({ original: p.magnitude }, p));
+  const totalEnergy = peaks.reduce((sum, p) => sum + p.magnitude * p.magnitude, 0);
+
+  const voices = [];
+  let explained = 0;
+  let firstSalience = 0;
+  const inRange = p => p.magnitude > 0 && p.frequency >= opts.minFreq && p.frequency <= opts.maxFreq;
+  const score = candidate => {
+    const partials = [];
+    let salience = 0;
+    for (let h = 1; h <= POLY_HARMONICS; h++) {
+      const p = h === 1 ? candidate : nearestPartial(peaks, candidate.frequency * h);
+      if (!p) continue;
+      partials.push({ h, peak: p });
+      salience += p.magnitude / h;
+    }
+    return { candidate, salience, partials };
+  };
+
+  while (voices.length < maxVoices) {
+    let best = null;
+    for (const candidate of peaks) {
+      if (!inRange(candidate)) continue;
+      const s = score(candidate);
+      if (!best || s.salience > best.salience) best = s;
+    }
+    if (!best || best.salience < POLY_MIN_SALIENCE * firstSalience) break;
+    for (let k = POLY_SUBHARMONICS; k >= 2; k--) {
+      const sub = nearestPartial(peaks, best.candidate.frequency / k);
+      if (!sub || !inRange(sub) || sub.magnitude < POLY_WEAK_FUNDAMENTAL * best.candidate.magnitude) continue;
+      const s = score(sub);
+      if (s.salience >= best.salience / 2) {
+        best = s;
+        break;
+      }
+    }
+    if (!firstSalience) firstSalience = best.salience;
+
+    // Fundamental from the interpolated partials, weighted by magnitude
+    let weighted = 0;
+    let weights = 0;
+    for (const { h, peak } of best.partials) {
+      if (h <= POLY_HARMONICS / 2) {
+        weighted += peak.frequency / h * peak.magnitude;
+        weights += peak.magnitude;
+      }
+      explained += peak.original * peak.original;
+      peak.magnitude = 0;
+    }
+    voices.push({ frequency: weighted / weights, strength: best.salience / firstSalience });
+  }
+
+  voices.sort((a, b) => a.frequency - b.frequency);
+  return { voices, confidence: totalEnergy > 0 ? Math.min(1, explained / totalEnergy) : 0 };
+}
+
+// ══════════════════════════════════════════════════════
+// Entry points
+// ══════════════════════════════════════════════════════
+
+/**
+ * Detect the pitch of one frame.
+ * Returns { frequency, confidence } — frequency in Hz (-1 if no clear pitch),
+ * confidence 0–1 in the chosen algorithm's own measure.
+ */
+export function analyzePitch(buffer, sampleRate, options) {
+  const opts = Object.assign({}, PITCH_DEFAULTS, options);
+  const algo = PITCH_ALGORITHMS[opts.algorithm] ? opts.algorithm : PITCH_DEFAULTS.algorithm;
+  const threshold = opts.threshold === undefined ? PITCH_ALGORITHMS[algo].threshold.value : opts.threshold;
+  switch (algo) {
+    case 'mpm': return mpm(buffer, sampleRate, opts.minFreq, opts.maxFreq, threshold);
+    case 'hps': return hps(buffer, sampleRate, opts.minFreq, opts.maxFreq, threshold);
+    default:    return yin(buffer, sampleRate, opts.minFreq, opts.maxFreq, threshold);
+  }
+}
+
+/**
+ * analyzePitch(), plus `voices` (frequencies of analyzeVoices(), ascending)
+ * when options.voices > 1. A chord can defeat the single-pitch detectors;
+ * the strongest voice then stands in for the pitch.
+ */
+export function analyzeFrame(buffer, sampleRate, options) {
+  const result = analyzePitch(buffer, sampleRate, options);
+  if (!options || !(options.voices > 1)) return result;
+  const poly = analyzeVoices(buffer, sampleRate, options);
+  const voices = poly.voices.map(v => v.frequency);
+  if (result.frequency <= 0 && voices.length) {
+    const strongest = poly.voices.find(v => v.strength === 1);
+    return { frequency: strongest.frequency, confidence: poly.confidence, voices };
+  }
+  return Object.assign(result, { voices });
+}
+
+/**
+ * Returns detected frequency in Hz, or -1 if no clear pitch found.
+ */
+export function detectPitch(buffer, sampleRate, options) {
+  return analyzePitch(buffer, sampleRate, options).frequency;
+}
+
+/** Root-mean-square amplitude of a sample buffer. */
+export function signalRms(buffer) {
+  let sumSq = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    sumSq += buffer[i] * buffer[i];
+  }
+  return Math.sqrt(sumSq / buffer.length);
+}
+
+/** Largest absolute sample of a buffer. */
+export function signalPeak(buffer) {
+  let peak = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    const v = Math.abs(buffer[i]);
+    if (v > peak) peak = v;
+  }
+  return peak;
+}
+
+/** Number of analysis frames analyzeFrames() yields for a signal. */
+export function frameCount(length, windowSize, hopSize) {
+  return length < windowSize ? 0 : Math.floor((length - windowSize) / hopSize) + 1;
+}
+
+/**
+ * Detect frames [from, to) of a whole recording, one window every hopSize
+ * samples, gated like the live pipeline.
+ * options: analyzePitch options plus windowSize, hopSize, amplitudeThreshold.
+ * Returns [{ time, frequency, confidence, amplitude }] with time in seconds
+ * at the window's center; frequency is -1 for gated or unclear frames.
+ */
+export function analyzeFrames(samples, sampleRate, options, from, to) {
+  const { windowSize, hopSize, amplitudeThreshold } = options;
+  const frames = [];
+  for (let i = from; i < to; i++) {
+    const start = i * hopSize;
+    const frame = samples.subarray(start, start + windowSize);
+    const amplitude = signalRms(frame);
+    const result = amplitude < amplitudeThreshold
+      ? { frequency: -1, confidence: 0 }
+      : analyzePitch(frame, sampleRate, options);
+    frames.push({
+      time: (start + windowSize / 2) / sampleRate,
+      frequency: result.frequency,
+      confidence: result.confidence,
+      amplitude
+    });
+  }
+  return frames;
+}
@@ -0,0 +1,211 @@
+/**
+ * Scala tuning files: .scl scales and .kbm keyboard mappings.
+ * Format reference: https://www.huygens-fokker.org/scala/scl_format.html
+ *
+ * Parsers throw an Error whose message names the file and line, so the UI
+ * can show it as-is.
+ */
+export const Scala = (() => {
+  /** Non-comment lines with their 1-based line numbers. */
+  function contentLines(text) {
+    const out = [];
+    text.split(/\r\n|\r|\n/).forEach((line, i) => {
+      if (!line.startsWith('!')) out.push({ text: line, line: i + 1 });
+    });
+    return out;
+  }
+
+  function fail(fileName, line, msg) {
+    return new Error(line ? `${fileName} line ${line}: ${msg}` : `${fileName}: ${msg}`);
+  }
+
+  /**
+   * Parse one pitch line: cents if it contains a period, otherwise a ratio
+   * ("3/2") or an integer ("2" = 2/1). Text after the first token is ignored.
+   */
+  function parsePitch(token) {
+    if (token.includes('.')) {
+      const cents = Number(token);
+      return Number.isFinite(cents) ? cents : NaN;
+    }
+    const m = token.match(/^(\d+)(?:\/(\d+))?$/);
+    if (!m) return NaN;
+    const num = parseInt(m[1], 10);
+    const den = m[2] === undefined ? 1 : parseInt(m[2], 10);
+    if (num <= 0 || den <= 0) return NaN;
+    return 1200 * Math.log2(num / den);
+  }
+
+  /**
+   * Parse a .scl file.
+   * Returns { description, cents, period } where cents starts with the
+   * implicit 0 (1/1) and period is the last listed pitch (usually 2/1).
+   */
+  function parseScl(text, fileName = 'scale.scl') {
+    const lines = contentLines(text);
+    // The description may be blank; any other blank line is padding
+    const body = lines.slice(1).filter(l => l.text.trim() !== '');
+    if (!lines.length || !body.length) throw fail(fileName, 0, 'missing description or note count');
+
+    const description = lines[0].text.trim();
+    const countLine = body[0];
+    const count = Number(countLine.text.trim().split(/\s+/)[0]);
+    if (!Number.isInteger(count) || count < 1) {
+      throw fail(fileName, countLine.line, `expected a positive note count, got "${countLine.text.trim()}"`);
+    }
+
+    const pitches = [];
+    for (let i = 0; i < count; i++) {
+      const entry = body[1 + i];
+      if (!entry) {
+        throw fail(fileName, 0, `declares ${count} notes but only ${pitches.length} are listed`);
+      }
+      const token = entry.text.trim().split(/\s+/)[0];
+      const cents = parsePitch(token);
+      if (Number.isNaN(cents)) {
+        throw fail(fileName, entry.line, `expected cents (e.g. 150.0) or a ratio (e.g. 3/2), got "${token}"`);
+      }
+      pitches.push(cents);
+    }
+
+    const period = pitches[pitches.length - 1];
+    if (period <= 0) throw fail(fileName, body[count].line, 'the last pitch (the period) must be above 1/1');
+    return {
+      description,
+      cents: [0].concat(pitches.slice(0, -1)),
+      period
+    };
+  }
+
+  /**
+   * What the 24-label tuner cannot show faithfully for a parsed .scl: degrees
+   * rounding to the same quarter-tone label (more than 24 notes, or degrees
+   * under 50 cents apart) and a period other than the octave, for which the
+   * display's octave numbers do not count periods. Returns messages, empty
+   * when the scale fits.
+   */
+  function warnings(scl) {
+    const out = [];
+    const byLabel = new Map();
+    scl.cents.forEach((c, degree) => {
+      const label = ((Math.round(c / 50) % 24) + 24) % 24;
+      if (!byLabel.has(label)) byLabel.set(label, []);
+      byLabel.get(label).push(degree);
+    });
+    const shared = [...byLabel.values()].filter(d => d.length > 1);
+    if (shared.length) {
+      const example = shared[0].slice(0, -1).join(', ') + ' and ' + shared[0][shared[0].length - 1];
+      const labels = shared.length > 1 ? `${shared.length} quarter-tone labels are` : 'a quarter-tone label is';
+      out.push(`${labels} shared by several degrees (e.g. degrees ${example}), so names repeat`);
+    }
+    if (Math.abs(scl.period - 1200) > 0.01) {
+      out.push(`the period is ${scl.period.toFixed(1)} cents, not an octave, so octave numbers do not count periods`);
+    }
+    return out;
+  }
+
+  /**
+   * Parse a .kbm keyboard mapping.
+   * Returns { size, first, last, middle, reference, frequency, octaveDegree, mapping }
+   * where mapping holds a degree number or null ("x", unmapped) per key.
+   */
+  function parseKbm(text, fileName = 'mapping.kbm') {
+    const lines = contentLines(text).filter(l => l.text.trim() !== '');
+    const FIELDS = ['map size', 'first note', 'last note', 'middle note', 'reference note', 'reference frequency', 'formal octave degree'];
+    if (lines.length < FIELDS.length) {
+      throw fail(fileName, 0, `expected ${FIELDS.length} header values, found ${lines.length}`);
+    }
+
+    const values = FIELDS.map((label, i) => {
+      const token = lines[i].text.trim().split(/\s+/)[0];
+      const v = Number(token);
+      const isFreq = label === 'reference frequency';
+      if (!Number.isFinite(v) || (!isFreq && !Number.isInteger(v)) || v < 0 || (isFreq && v === 0)) {
+        throw fail(fileName, lines[i].line, `invalid ${label} "${token}"`);
+      }
+      return v;
+    });
+    const [size, first, last, middle, reference, frequency, octaveDegree] = values;
+
+    const mapping = [];
+    for (let i = 0; i < size; i++) {
+      const entry = lines[FIELDS.length + i];
+      // Missing trailing entries are unmapped, as in Scala itself
+      const token = entry ? entry.text.trim().split(/\s+/)[0] : 'x';
+      if (token === 'x') {
+        mapping.push(null);
+        continue;
+      }
+      const deg = Number(token);
+      if (!Number.isInteger(deg) || deg < 0) {
+        throw fail(fileName, entry.line, `expected a scale degree or "x", got "${token}"`);
+      }
+      mapping.push(deg);
+    }
+
+    return { size, first, last, middle, reference, frequency, octaveDegree, mapping };
+  }
+
+  /** Cents of any scale degree, continuing through further periods. */
+  function degreeCents(scl, degree) {
+    const n = scl.cents.length;
+    const periods = Math.floor(degree / n);
+    return periods * scl.period + scl.cents[((degree % n) + n) % n];
+  }
+
+  /**
+   * Frequency of degree 0 at the mapping's middle note, from the mapping's
+   * reference note and frequency. Throws if the reference key is unmapped
+   * or maps past the end of the scale.
+   */
+  function tonicFrequency(scl, kbm, fileName = 'mapping.kbm') {
+    const n = scl.cents.length;
+    const keyOffset = kbm.reference - kbm.middle;
+    let refCents;
+    if (kbm.size === 0) {
+      // Linear mapping: every key is the next degree
+      refCents = degreeCents(scl, keyOffset);
+    } else {
+      const idx = ((keyOffset % kbm.size) + kbm.size) % kbm.size;
+      const repeats = Math.floor(keyOffset / kbm.size);
+      const deg = kbm.mapping[idx];
+      if (deg === null) throw fail(fileName, 0, `reference note ${kbm.reference} is unmapped`);
+      if (deg > n) throw fail(fileName, 0, `maps to degree ${deg} but the scale has ${n} notes`);
+      const octaveCents = kbm.octaveDegree > 0 ? degreeCents(scl, kbm.octaveDegree) : scl.period;
+      refCents = repeats * octaveCents + degreeCents(scl, deg);
+    }
+    return kbm.frequency / Math.pow(2, refCents / 1200);
+  }
+
+  /** Format cents for a .scl line: always with a period so it reads as cents. */
+  function formatCents(c) {
+    return c.toFixed(5);
+  }
+
+  /**
+   * Serialize a scale to .scl text.
+   * cents: degrees above the tonic, starting with 0; period in cents.
+   */
+  function toScl(description, cents, period, fileName) {
+    const degrees = cents.slice(1);
+    const periodLine = Math.abs(period - 1200) < 1e-9 ? '2/1' : formatCents(period);
+    return [
+      `! ${fileName}`,
+      '!',
+      description,
+      ` ${degrees.length + 1}`,
+      '!',
+      ...degrees.map(c => ' ' + formatCents(c)),
+      ' ' + periodLine,
+      ''
+    ].join('\n');
+  }
+
+  return {
+    parseScl,
+    warnings,
+    parseKbm,
+    tonicFrequency,
+    toScl
+  };
+})();
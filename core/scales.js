@@ -0,0 +1,128 @@
+/**
+ * Scale library: Arabic maqams, Persian dastgahs and Turkish makams.
+ *
+ * Positions use the 24-step quarter-tone grid (Do = 0, Do+ = 1, … Si+ = 23).
+ * Each scale has a default tonic on that grid and one octave of degrees given
+ * in cents above the tonic. A degree's name comes from the nearest grid step;
+ * its offset is the distance from that step, which is where maqams differ
+ * (a Bayati second is not a Rast third, a Turkish segah is not a koron).
+ *
+ * Imported tunings (Scala files) are registered as 'custom' scales. They may
+ * add `period` (cents, default 1200) and `tonicOffset` (cents from the tonic's
+ * grid position, for tonics that fall between grid steps).
+ */
+export const Scales = (() => {
+  const GRID_STEP = 50; // cents per quarter-tone grid step
+  const KOMA = 1200 / 53; // Holdrian comma
+
+  /** Turkish degrees are defined in commas of the 53-tone octave. */
+  function komas(...positions) {
+    return positions.map(k => k * KOMA);
+  }
+
+  const LIBRARY = [
+    // ── Arabic maqam ──
+    { id: 'rast',     name: 'Rast',      family: 'maqam',   tonic: 0,  cents: [0, 200, 355, 500, 700, 900, 1055] },
+    { id: 'bayati',   name: 'Bayati',    family: 'maqam',   tonic: 4,  cents: [0, 145, 300, 500, 700, 800, 1000] },
+    { id: 'saba',     name: 'Saba',      family: 'maqam',   tonic: 4,  cents: [0, 145, 300, 400, 700, 800, 1000] },
+    { id: 'hijaz',    name: 'Hijaz',     family: 'maqam',   tonic: 4,  cents: [0, 110, 390, 500, 700, 800, 1000] },
+
+    // ── Persian dastgah ──
+    { id: 'shur',      name: 'Shur',      family: 'dastgah', tonic: 4,  cents: [0, 140, 300, 500, 640, 800, 1000] },
+    { id: 'segah',     name: 'Segah',     family: 'dastgah', tonic: 7,  cents: [0, 160, 350, 500, 700, 850, 1050] },
+    { id: 'chahargah', name: 'Chahargah', family: 'dastgah', tonic: 0,  cents: [0, 140, 400, 500, 700, 840, 1100] },
+    { id: 'homayun',   name: 'Homayun',   family: 'dastgah', tonic: 14, cents: [0, 140, 400, 500, 700, 800, 1000] },
+
+    // ── Turkish makam (AEU, 53-comma positions) ──
+    { id: 'tr-rast',  name: 'Rast (TR)', family: 'makam',   tonic: 14, cents: komas(0, 9, 17, 22, 31, 40, 48) },
+    { id: 'ussak',    name: 'Uşşak',     family: 'makam',   tonic: 18, cents: komas(0, 8, 13, 22, 31, 35, 44) },
+    { id: 'hicaz',    name: 'Hicaz',     family: 'makam',   tonic: 18, cents: komas(0, 5, 17, 22, 31, 39, 44) }
+  ];
+
+  const FAMILIES = [
+    { id: 'maqam',   label: 'Arabic Maqam' },
+    { id: 'dastgah', label: 'Persian Dastgah' },
+    { id: 'makam',   label: 'Turkish Makam' },
+    { id: 'custom',  label: 'Imported' }
+  ];
+
+  const custom = [];
+
+  function list() {
+    return LIBRARY.concat(custom);
+  }
+
+  function get(id) {
+    return list().find(sc => sc.id === id) || null;
+  }
+
+  /** Add or replace an imported scale (matched by id). */
+  function register(scale) {
+    const i = custom.findIndex(sc => sc.id === scale.id);
+    const entry = Object.assign({ family: 'custom' }, scale);
+    if (i === -1) custom.push(entry);
+    else custom[i] = entry;
+    return entry;
+  }
+
+  /**
+   * Resolve a scale against a tonic (grid position, defaults to the scale's own).
+   * Returns [{ index, cents, step, offset, gridPos }] in scale order, where
+   * gridPos is the absolute grid position of the degree's label and offset
+   * is the distance from that label (including any tonicOffset).
+   */
+  function degrees(scale, tonic) {
+    const t = tonic === undefined ? scale.tonic : tonic;
+    const tonicOffset = scale.tonicOffset || 0;
+    return scale.cents.map((c, index) => {
+      const step = Math.round((c + tonicOffset) / GRID_STEP);
+      return {
+        index,
+        cents: c,
+        step,
+        offset: c + tonicOffset - step * GRID_STEP,
+        gridPos: (((t + step) % 24) + 24) % 24
+      };
+    });
+  }
+
+  /**
+   * Snap a pitch (cents above the tonic, any octave) to the nearest degree.
+   * The tonic one octave up is a candidate too, so pitches just under the
+   * octave resolve to the tonic rather than the seventh.
+   * Returns { degree, deviation, octave } where octave counts whole periods
+   * above the tonic of the matched degree.
+   */
+  function nearestDegree(degreeList, centsFromTonic, period = 1200) {
+    const octave = Math.floor(centsFromTonic / period);
+    const within = centsFromTonic - octave * period;
+
+    let best = degreeList[0];
+    let bestDev = within - best.cents;
+    let bestOctave = octave;
+    for (let i = 0; i < degreeList.length; i++) {
+      const dev = within - degreeList[i].cents;
+      if (Math.abs(dev) < Math.abs(bestDev)) {
+        best = degreeList[i];
+        bestDev = dev;
+        bestOctave = octave;
+      }
+    }
+    const wrapDev = within - period - degreeList[0].cents;
+    if (Math.abs(wrapDev) < Math.abs(bestDev)) {
+      best = degreeList[0];
+      bestDev = wrapDev;
+      bestOctave = octave + 1;
+    }
+    return { degree: best, deviation: bestDev, octave: bestOctave };
+  }
+
+  return {
+    FAMILIES,
+    list,
+    get,
+    register,
+    degrees,
+    nearestDegree
+  };
+})();
@@ -0,0 +1,223 @@
+/**
+ * Tunings: conversion between frequencies and notes of the 24-step
+ * quarter-tone grid, the 53-comma division or a scale.
+ *
+ * createTuning() fixes the reference pitch, the quarter-tone sizes and
+ * optionally a scale or comma division; the result converts both ways:
+ *
+ *   const tuning = createTuning({ a4: 442, sori: 50, koron: 42 });
+ *   tuning.frequency(3, 4)   // Re-4 (koron Re) in Hz
+ *   tuning.describe(330)     // { note: 'Mi', octave: 4, cents, quarter: 'Mi', … }
+ *   tuning.classify(330)     // nearest target and the cents from it
+ *
+ * Notes are the solfège ids of GRID_NAMES ('Do', 'Re-', 'Mib'…), which
+ * Naming turns into other systems. Grid positions count quarter-tones above
+ * Do (0–23); octaves are numbered from Do4, middle C.
+ *
+ * Options (all optional):
+ *   a4        reference La4 in Hz (440)
+ *   sori      size of the raised (+) quarter-tones in cents (42)
+ *   koron     size of the lowered (-) quarter-tones in cents (42)
+ *   measured  { [odd grid position]: cents }, overriding sori/koron per degree
+ *   division  '24' (the grid), '53' (every comma) or 'aeu' (the AEU commas)
+ *   scale     a Scales entry or id: pitches snap to its degrees (overrides division)
+ *   tonic     grid position of the scale's tonic (default: the scale's own)
+ */
+import { Comma } from './comma.js';
+import { Scales } from './scales.js';
+
+/** The 12 semitones from Do, as solfège ids. */
+export const NOTE_NAMES = ['Do', 'Do#', 'Re', 'Mib', 'Mi', 'Fa', 'Fa#', 'Sol', 'Lab', 'La', 'Sib', 'Si'];
+
+/** The 24 grid positions from Do, as solfège ids. */
+export const GRID_NAMES = [
+  'Do', 'Do+', 'Do#', 'Re-', 'Re', 'Re+', 'Mib', 'Mi-',
+  'Mi', 'Mi+', 'Fa', 'Fa+', 'Fa#', 'Sol-', 'Sol', 'Sol+',
+  'Lab', 'La-', 'La', 'La+', 'Sib', 'Si-', 'Si', 'Si+'
+];
+
+export const TUNING_DEFAULTS = {
+  a4: 440,
+  sori: 42,
+  koron: 42,
+  measured: null,
+  division: '24',
+  scale: null,
+  tonic: undefined
+};
+
+export function createTuning(options = {}) {
+  const opts = Object.assign({}, TUNING_DEFAULTS, options);
+  const scale = typeof opts.scale === 'string' ? Scales.get(opts.scale) : opts.scale;
+  const tonic = scale ? (opts.tonic === undefined ? scale.tonic : opts.tonic) : 0;
+  const degrees = scale ? Scales.degrees(scale, tonic) : [];
+  const commaMode = opts.division !== '24' && !scale;
+
+  /** Do4 derived from the A4 reference (La is 9 semitones above Do). */
+  const middleC = opts.a4 * Math.pow(2, -9 / 12);
+
+  /** Cents above Do4 of a frequency. */
+  function centsOf(frequency) {
+    return 1200 * Math.log2(frequency / middleC);
+  }
+
+  /** Frequency of a pitch given in cents above Do4. */
+  function frequencyOf(cents) {
+    return middleC * Math.pow(2, cents / 1200);
+  }
+
+  /**
+   * Size in cents of the quarter-tone at odd grid position q: its distance
+   * from the semitone it modifies (up for sori "+", down for koron "-").
+   */
+  function quarterSize(q) {
+    const pos = q % 24;
+    if (opts.measured && opts.measured[pos] !== undefined) return opts.measured[pos];
+    return GRID_NAMES[pos].endsWith('+') ? opts.sori : opts.koron;
+  }
+
+  /** Cents above Do of the 24 grid positions under the quarter-tone sizes. */
+  function gridCents() {
+    return GRID_NAMES.map((name, q) => {
+      if (q % 2 === 0) return q * 50;
+      return name.endsWith('+') ? (q - 1) * 50 + quarterSize(q) : (q + 1) * 50 - quarterSize(q);
+    });
+  }
+
+  /**
+   * Distances in cents from semitone noteIndex (0–11) to the grid positions
+   * just above and below it: { up, down }. The neighbour is a sori or a
+   * koron, whichever sits there, so the midpoints agree with classify().
+   */
+  function neighbours(noteIndex) {
+    const grid = gridCents();
+    const q = noteIndex * 2;
+    return {
+      up: grid[q + 1] - q * 50,
+      down: q * 50 - (q === 0 ? grid[23] - 1200 : grid[q - 1])
+    };
+  }
+
+  /** Scale degree whose label sits at a grid position, or null. */
+  function degreeAt(gridPos) {
+    return degrees.find(d => d.gridPos === gridPos) || null;
+  }
+
+  /** Frequency of grid position q: a scale degree's exact pitch, else the sori/koron grid. */
+  function frequency(q, octave) {
+    const degree = degreeAt(q);
+    const cents = degree ? q * 50 + degree.offset : gridCents()[q];
+    return frequencyOf((octave - 4) * 1200 + cents);
+  }
+
+  function commaFrequency(step, octave) {
+    return middleC * Math.pow(2, octave - 4 + step / Comma.STEPS);
+  }
+
+  /** Nearest step of the comma division (all 53 unless 'aeu'), as Comma.nearest. */
+  function nearestComma(freq) {
+    return Comma.nearest(centsOf(freq), opts.division);
+  }
+
+  /**
+   * Name a frequency: { note, octave, cents, quarter, degree } — note the
+   * nearest semitone, quarter the nearest grid position (or scale degree's
+   * label), cents the deviation from it. In comma mode cents and octave are
+   * those of the nearest comma step, given as comma.
+   * smooth(key, cents) may filter the cents per target (see createTracker):
+   * key is the note index 0–11 on the grid, 'd<octave>:<degree>' for a scale
+   * degree and 'k<octave>:<step>' for a comma step.
+   */
+  function describe(freq, smooth = (key, cents) => cents) {
+    const noteNumber = 12 * Math.log2(freq / middleC) + 60;
+    const roundedNote = Math.round(noteNumber);
+    const octave = Math.floor(roundedNote / 12) - 1;
+    const noteIndex = ((roundedNote % 12) + 12) % 12;
+    const note = NOTE_NAMES[noteIndex];
+    let cents = (noteNumber - roundedNote) * 100;
+    if (cents > 50) cents -= 100;
+
+    if (scale) {
+      // Snap to the nearest scale degree and show deviation from it
+      const tonicCents = tonic * 50 + (scale.tonicOffset || 0);
+      const centsFromTonic = (noteNumber - 60) * 100 - tonicCents;
+      const match = Scales.nearestDegree(degrees, centsFromTonic, scale.period);
+      return {
+        note,
+        octave,
+        cents: smooth(`d${match.octave}:${match.degree.index}`, match.deviation),
+        quarter: GRID_NAMES[match.degree.gridPos],
+        degree: match.degree
+      };
+    }
+
+    if (commaMode) {
+      const k = nearestComma(freq);
+      const deviation = smooth(`k${k.octave}:${k.step}`, k.deviation);
+      return {
+        note,
+        octave: k.octave,
+        cents: deviation,
+        quarter: GRID_NAMES[Comma.NATURALS[Comma.spell(k.step).natural].gridPos],
+        degree: null,
+        comma: Object.assign(k, { deviation, commas: deviation / Comma.KOMA })
+      };
+    }
+
+    // Smooth the cents first so the quarter-tone name follows the stable value
+    // and name the quarter-tone past the midpoint to it
+    const smoothed = smooth(noteIndex, cents);
+    const { up, down } = neighbours(noteIndex);
+    let totalQ = noteIndex * 2;
+    if (smoothed >= up / 2) totalQ += 1;
+    else if (smoothed <= -down / 2) totalQ -= 1;
+    const qIdx = ((totalQ % 24) + 24) % 24;
+    return { note, octave, cents: smoothed, quarter: GRID_NAMES[qIdx], degree: null };
+  }
+
+  /**
+   * Nearest target of a frequency — a scale degree, a comma step or a grid
+   * position at the current sizes: { key, deviation } with deviation in
+   * cents, plus gridPos (grid and scale) or step (comma mode). key tells
+   * targets apart within an octave.
+   */
+  function classify(freq) {
+    const centsFromC = centsOf(freq);
+    if (scale) {
+      const tonicCents = tonic * 50 + (scale.tonicOffset || 0);
+      const match = Scales.nearestDegree(degrees, centsFromC - tonicCents, scale.period);
+      return { key: match.degree.index, gridPos: match.degree.gridPos, deviation: match.deviation };
+    }
+    if (commaMode) {
+      const k = nearestComma(freq);
+      return { key: k.step, step: k.step, deviation: k.deviation };
+    }
+    const targets = gridCents().map((cents, q) => ({ index: q, cents, gridPos: q }));
+    const match = Scales.nearestDegree(targets, centsFromC);
+    return { key: match.degree.gridPos, gridPos: match.degree.gridPos, deviation: match.deviation };
+  }
+
+  return {
+    a4: opts.a4,
+    sori: opts.sori,
+    koron: opts.koron,
+    measured: opts.measured,
+    division: opts.division,
+    scale,
+    tonic,
+    degrees,
+    middleC,
+    commaMode,
+    centsOf,
+    frequencyOf,
+    quarterSize,
+    gridCents,
+    neighbours,
+    degreeAt,
+    frequency,
+    commaFrequency,
+    nearestComma,
+    describe,
+    classify
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * Batch analysis in Node: detect the pitch of a WAV file and name it on the
+ * quarter-tone grid, one CSV row per analysis frame.
+ *
+ *   node examples/analyze-wav.js take.wav [a4] > take.csv
+ *
+ * Columns: time (s), frequency (Hz, smoothed), the nearest of the 24 grid
+ * positions (42-cent quarter-tones) with its octave, and the cents from it.
+ * Reads PCM (8–32 bit) and 32-bit float WAV; channels are mixed to mono.
+ */
+import { readFileSync } from 'node:fs';
+import { createDetector, createTracker, createTuning, GRID_NAMES } from '../core/index.js';
+
+/** Decode a WAV file to { samples: Float32Array (mono), sampleRate }. */
+function readWav(path) {
+  const buf = readFileSync(path);
+  const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  if (buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error(`${path}: not a WAV file`);
+  }
+  let format = null;
+  for (let offset = 12; offset + 8 <= buf.length;) {
+    const id = buf.toString('ascii', offset, offset + 4);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      format = {
+        float: view.getUint16(body, true) === 3,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bits: view.getUint16(body + 14, true)
+      };
+    } else if (id === 'data' && format) {
+      return { samples: decode(view, body, Math.min(size, buf.length - body), format), sampleRate: format.sampleRate };
+    }
+    offset = body + size + (size % 2);
+  }
+  throw new Error(`${path}: no audio data`);
+}
+
+function decode(view, start, size, { float, channels, bits }) {
+  const bytes = bits / 8;
+  const length = Math.floor(size / (bytes * channels));
+  const samples = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    let sum = 0;
+    for (let ch = 0; ch < channels; ch++) {
+      const at = start + (i * channels + ch) * bytes;
+      if (float) sum += view.getFloat32(at, true);
+      else if (bits === 8) sum += (view.getUint8(at) - 128) / 128;
+      else if (bits === 16) sum += view.getInt16(at, true) / 0x8000;
+      else if (bits === 24) sum += ((view.getUint8(at) | view.getUint8(at + 1) << 8 | view.getInt8(at + 2) << 16)) / 0x800000;
+      else sum += view.getInt32(at, true) / 0x80000000;
+    }
+    samples[i] = sum / channels;
+  }
+  return samples;
+}
+
+const [path, a4 = '440'] = process.argv.slice(2);
+if (!path) {
+  console.error('usage: node examples/analyze-wav.js file.wav [a4]');
+  process.exit(1);
+}
+
+const { samples, sampleRate } = readWav(path);
+const detector = createDetector({ sampleRate });
+const tracker = createTracker();
+const tuning = createTuning({ a4: Number(a4) });
+
+console.log('time,frequency,note,octave,cents');
+for (const frame of detector.push(samples)) {
+  const { pitch } = tracker.update(frame);
+  if (pitch <= 0) continue;
+  const { gridPos, deviation } = tuning.classify(pitch);
+  const octave = 4 + Math.floor(Math.round(tuning.centsOf(pitch) - deviation) / 1200);
+  console.log([frame.time.toFixed(3), pitch.toFixed(2), GRID_NAMES[gridPos], octave, deviation.toFixed(1)].join(','));
+}
@@ -0,0 +1,288 @@
+/**
+ * Pitch history: a scrolling time-vs-pitch trace on its own canvas.
+ *
+ * Stores raw frequencies in a ring buffer (HISTORY_SECONDS long) and maps
+ * them to cents at draw time, so an A4 change relabels the whole trace.
+ * The app supplies the mapping and the guide lines (quarter-tone grid or
+ * scale degrees). Live, the view follows the newest pitch; paused, it can
+ * be dragged back through the history. Zoom sets the cents shown top to
+ * bottom. A recorded take can be replayed in place of the live trace, with
+ * the view driven by the playback clock; live recording continues meanwhile.
+ */
+export const PitchHistory = (() => {
+  const HISTORY_SECONDS = 120;
+  const CAPACITY = HISTORY_SECONDS * 60; // frames: worklet ≈47/s, rAF ≤60/s
+  const VIEW_SECONDS = 8;
+  const ZOOM_LEVELS = [1200, 600, 300, 150, 75]; // cents spanned by the view
+  const FOLLOW = 0.15; // vertical follow rate per frame while live
+
+  // Ring buffer: time (ms) and frequency (Hz, 0 = silence)
+  function makeBuffer(capacity) {
+    return {
+      times: new Float64Array(capacity),
+      freqs: new Float32Array(capacity),
+      capacity,
+      head: 0,   // next write index
+      count: 0
+    };
+  }
+
+  const live = makeBuffer(CAPACITY);
+  let replaying = null; // { buf, clock } while a take is replayed
+
+  let canvas = null;
+  let ctx = null;
+  let width = 0;
+  let height = 0;
+  let dpr = 1;
+  let centsOf = hz => 1200 * Math.log2(hz / 261.63);
+  let guides = () => [];
+  let onChange = null;
+
+  let paused = false;
+  let zoomIndex = 2;
+  let viewEnd = 0;     // ms at the right edge when paused
+  let viewCenter = 0;  // cents at the vertical middle
+  let drag = null;     // { x, y, viewEnd, viewCenter }
+
+  /**
+   * options: { canvas, centsOf(hz), guides(lo, hi) → [{ cents, label, strong }],
+   *            onChange() — called when paused/zoom state changes }
+   */
+  function init(options) {
+    canvas = options.canvas;
+    ctx = canvas.getContext('2d');
+    if (options.centsOf) centsOf = options.centsOf;
+    if (options.guides) guides = options.guides;
+    onChange = options.onChange || null;
+    resize();
+    bindPointer();
+    requestAnimationFrame(draw);
+  }
+
+  function resize() {
+    dpr = window.devicePixelRatio || 1;
+    width = canvas.clientWidth;
+    height = canvas.clientHeight;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }
+
+  /** Record one analysis frame; pitch 0 marks silence (a gap in the trace). */
+  function push(pitch, time = performance.now()) {
+    write(live, pitch, time);
+  }
+
+  function write(buf, pitch, time) {
+    buf.times[buf.head] = time;
+    buf.freqs[buf.head] = pitch > 0 ? pitch : 0;
+    buf.head = (buf.head + 1) % buf.capacity;
+    if (buf.count < buf.capacity) buf.count++;
+  }
+
+  function clear() {
+    live.head = 0;
+    live.count = 0;
+  }
+
+  /**
+   * Show a recorded take instead of the live trace.
+   * frames: [{ time (ms), freq }] in time order; clock() → playback time in ms.
+   */
+  function replay(frames, clock) {
+    const buf = makeBuffer(Math.max(1, frames.length));
+    frames.forEach(f => write(buf, f.freq, f.time));
+    replaying = { buf, clock };
+    paused = false;
+    notify();
+  }
+
+  function endReplay() {
+    replaying = null;
+    notify();
+  }
+
+  function shown() {
+    return replaying ? replaying.buf : live;
+  }
+
+  /** Entry i of the shown buffer, 0 = oldest. */
+  function at(i) {
+    const buf = shown();
+    const idx = (buf.head - buf.count + i + buf.capacity) % buf.capacity;
+    return { time: buf.times[idx], freq: buf.freqs[idx] };
+  }
+
+  /** Index of the newest entry at or before time t, or -1. */
+  function indexAt(t) {
+    let lo = 0;
+    let hi = shown().count - 1;
+    let found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (at(mid).time <= t) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return found;
+  }
+
+  function latestTime() {
+    const count = shown().count;
+    return count ? at(count - 1).time : performance.now();
+  }
+
+  function notify() {
+    if (onChange) onChange();
+  }
+
+  function setPaused(p) {
+    paused = p;
+    if (paused) viewEnd = performance.now();
+    notify();
+  }
+
+  function zoom(delta) {
+    zoomIndex = Math.max(0, Math.min(ZOOM_LEVELS.length - 1, zoomIndex + delta));
+    notify();
+  }
+
+  // ── Pointer: drag pans time (pausing the trace) and pitch ──
+
+  function bindPointer() {
+    canvas.addEventListener('pointerdown', (e) => {
+      if (replaying) return; // the playback clock drives the view
+      if (!paused) setPaused(true);
+      drag = { x: e.clientX, y: e.clientY, viewEnd, viewCenter };
+      canvas.setPointerCapture(e.pointerId);
+    });
+    canvas.addEventListener('pointermove', (e) => {
+      if (!drag) return;
+      const msPerPx = VIEW_SECONDS * 1000 / width;
+      const centsPerPx = ZOOM_LEVELS[zoomIndex] / height;
+      viewEnd = clampViewEnd(drag.viewEnd - (e.clientX - drag.x) * msPerPx);
+      viewCenter = drag.viewCenter + (e.clientY - drag.y) * centsPerPx;
+    });
+    const end = () => { drag = null; };
+    canvas.addEventListener('pointerup', end);
+    canvas.addEventListener('pointercancel', end);
+    canvas.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      if (replaying) return;
+      if (!paused) setPaused(true);
+      const msPerPx = VIEW_SECONDS * 1000 / width;
+      viewEnd = clampViewEnd(viewEnd + (e.deltaX || e.deltaY) * msPerPx);
+    }, { passive: false });
+  }
+
+  /** Keep the view within recorded history (the newest frame at most). */
+  function clampViewEnd(t) {
+    if (!shown().count) return t;
+    const oldest = at(0).time + VIEW_SECONDS * 1000;
+    return Math.max(Math.min(oldest, latestTime()), Math.min(latestTime(), t));
+  }
+
+  // ── Drawing ──
+
+  function draw() {
+    requestAnimationFrame(draw);
+    if (!width || !height) return;
+
+    const end = replaying ? replaying.clock() : paused ? viewEnd : performance.now();
+    const start = end - VIEW_SECONDS * 1000;
+    const span = ZOOM_LEVELS[zoomIndex];
+    const count = shown().count;
+
+    const currentIndex = replaying ? indexAt(end) : paused ? -1 : count - 1;
+    if (currentIndex >= 0) {
+      const last = at(currentIndex);
+      if (last.freq > 0) {
+        const c = centsOf(last.freq);
+        // Jump on large leaps, glide otherwise so vibrato stays readable
+        viewCenter = Math.abs(c - viewCenter) > span / 2 ? c : viewCenter + FOLLOW * (c - viewCenter);
+      }
+    }
+
+    const lo = viewCenter - span / 2;
+    const hi = viewCenter + span / 2;
+    const x = t => (t - start) / (end - start) * width;
+    const y = c => height - (c - lo) / span * height;
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Guides, top to bottom; labels closer than a line of text are skipped
+    ctx.font = `10px 'Audiowide', sans-serif`;
+    ctx.textBaseline = 'middle';
+    let lastLabelY = -Infinity;
+    const lines = guides(lo, hi).sort((a, b) => b.cents - a.cents || b.strong - a.strong);
+    for (const g of lines) {
+      const gy = Math.round(y(g.cents)) + 0.5;
+      ctx.strokeStyle = g.strong ? 'rgba(127,95,255,0.6)' : 'rgba(127,95,255,0.22)';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(0, gy);
+      ctx.lineTo(width, gy);
+      ctx.stroke();
+      if (g.label && gy - lastLabelY >= 12) {
+        lastLabelY = gy;
+        ctx.fillStyle = g.strong ? 'rgba(224,224,224,0.9)' : 'rgba(224,224,224,0.5)';
+        ctx.fillText(g.label, 4, gy - 6);
+      }
+    }
+
+    // Trace: gaps at silence and at frames more than 0.25 s apart
+    ctx.strokeStyle = '#00FFC6';
+    ctx.lineWidth = 2;
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    let penDown = false;
+    let prevTime = 0;
+    for (let i = 0; i < count; i++) {
+      const { time, freq } = at(i);
+      if (time < start - 250) continue;
+      if (time > end) break;
+      if (freq <= 0 || time - prevTime > 250) penDown = false;
+      prevTime = time;
+      if (freq <= 0) continue;
+      const px = x(time);
+      const py = y(centsOf(freq));
+      if (penDown) ctx.lineTo(px, py);
+      else ctx.moveTo(px, py);
+      penDown = true;
+    }
+    ctx.stroke();
+
+    if (replaying) {
+      ctx.fillStyle = 'rgba(224,224,224,0.6)';
+      ctx.textAlign = 'right';
+      ctx.fillText(`Playback  ${(end / 1000).toFixed(1)} s`, width - 4, 10);
+      ctx.textAlign = 'left';
+    } else if (paused) {
+      ctx.fillStyle = 'rgba(224,224,224,0.6)';
+      ctx.textAlign = 'right';
+      const behind = (latestTime() - end) / 1000;
+      ctx.fillText(behind > 0.05 ? `Paused  −${behind.toFixed(1)} s` : 'Paused', width - 4, 10);
+      ctx.textAlign = 'left';
+    }
+  }
+
+  return {
+    init,
+    resize,
+    push,
+    clear,
+    setPaused,
+    zoom,
+    replay,
+    endReplay,
+    get replaying() { return !!replaying; },
+    get paused() { return paused; },
+    get zoomCents() { return ZOOM_LEVELS[zoomIndex]; },
+    get canZoomIn() { return zoomIndex < ZOOM_LEVELS.length - 1; },
+    get canZoomOut() { return zoomIndex > 0; }
+  };
+})();
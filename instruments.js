@@ -0,0 +1,111 @@
+/**
+ * Instrument profiles: detection settings tuned per instrument, plus open
+ * string targets for string instruments.
+ *
+ * `detection` overrides AudioEngine.DETECTION_DEFAULTS (keys not listed keep
+ * their defaults). `strings` are MIDI note numbers (La4 = 69), lowest first;
+ * instruments tuned string-by-string across a whole scale (santur) or
+ * without strings (ney, voice) leave it empty.
+ *
+ * The plucked and struck profiles use the harmonic spectrum: their notes
+ * are rich in partials, which it needs, and it holds the pitch through the
+ * decay. It misses nearly pure tones under ~250 Hz (see the README), so the
+ * breath, bowed and sung profiles use MPM.
+ */
+export const Instruments = (() => {
+  const PROFILES = [
+    {
+      id: 'general',
+      name: 'General',
+      detection: {},
+      strings: []
+    },
+    {
+      // Low C2 course needs a long window; plucked attack → firmer jump check
+      id: 'oud',
+      name: 'Oud',
+      detection: { algorithm: 'hps', minFreq: 55, maxFreq: 1100, windowSize: 16384,
+                   amplitudeThreshold: 0.004, pitchSmoothing: 0.75, centsSmoothing: 0.9, jumpConfirm: 4 },
+      strings: [36, 41, 45, 50, 55, 60] // Do2 Fa2 La2 Re3 Sol3 Do4 (Arabic)
+    },
+    {
+      // Breath noise: higher gate and heavier smoothing; octave overblowing is
+      // intended, so leaps are confirmed rather than suppressed
+      id: 'ney',
+      name: 'Ney',
+      detection: { algorithm: 'mpm', minFreq: 200, maxFreq: 1500, windowSize: 4096,
+                   amplitudeThreshold: 0.01, pitchSmoothing: 0.8, centsSmoothing: 0.92, jumpConfirm: 4 },
+      strings: []
+    },
+    {
+      id: 'tar',
+      name: 'Tar',
+      detection: { algorithm: 'hps', minFreq: 110, maxFreq: 1400, windowSize: 8192,
+                   amplitudeThreshold: 0.004, pitchSmoothing: 0.65, centsSmoothing: 0.88, jumpConfirm: 3 },
+      strings: [48, 55, 60] // courses: Do3 (bass), Sol3, Do4
+    },
+    {
+      // Hammered, fast-decaying notes: low gate to follow the ring-out,
+      // light smoothing and quick jumps for running passages
+      id: 'santur',
+      name: 'Santur',
+      detection: { algorithm: 'hps', minFreq: 150, maxFreq: 2000, windowSize: 8192,
+                   amplitudeThreshold: 0.003, pitchSmoothing: 0.6, centsSmoothing: 0.85, jumpConfirm: 2 },
+      strings: []
+    },
+    {
+      id: 'kamancheh',
+      name: 'Kamancheh',
+      detection: { algorithm: 'mpm', minFreq: 180, maxFreq: 2000, windowSize: 8192,
+                   amplitudeThreshold: 0.005, pitchSmoothing: 0.7, centsSmoothing: 0.88, jumpConfirm: 3 },
+      strings: [57, 64, 69, 76] // La3 Mi4 La4 Mi5
+    },
+    {
+      // Vibrato and glides: heavier smoothing so the display settles
+      id: 'voice',
+      name: 'Voice',
+      detection: { algorithm: 'mpm', minFreq: 70, maxFreq: 1100, windowSize: 8192,
+                   amplitudeThreshold: 0.006, pitchSmoothing: 0.8, centsSmoothing: 0.92, jumpConfirm: 4 },
+      strings: []
+    }
+  ];
+
+  function list() {
+    return PROFILES;
+  }
+
+  function get(id) {
+    return PROFILES.find(p => p.id === id) || PROFILES[0];
+  }
+
+  /** Full detection settings for a profile, on top of the engine defaults. */
+  function detectionSettings(profile, defaults) {
+    return Object.assign({}, defaults, profile.detection);
+  }
+
+  function stringFrequency(midi, a4) {
+    return a4 * Math.pow(2, (midi - 69) / 12);
+  }
+
+  /**
+   * Closest open string to a pitch.
+   * Returns { index, cents } (cents from that string's target), or null if
+   * the profile has no strings.
+   */
+  function nearestString(profile, pitch, a4) {
+    let best = null;
+    profile.strings.forEach((midi, index) => {
+      const cents = 1200 * Math.log2(pitch / stringFrequency(midi, a4));
+      if (!best || Math.abs(cents) < Math.abs(best.cents)) best = { index, cents };
+    });
+    return best;
+  }
+
+  return {
+    list,
+    get,
+    detectionSettings,
+    stringFrequency,
+    nearestString
+  };
+})();
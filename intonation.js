@@ -0,0 +1,157 @@
+/**
+ * Intonation statistics over a pitch track.
+ *
+ * summarize() works on a finished track whose frames the caller has
+ * classified (nearest grid position or scale degree) as { time, key, label,
+ * deviation }, deviation in cents from that degree's target. An accumulator
+ * collects a live session instead: pitch classes go into a histogram and
+ * per-position statistics on the plain 50-cent grid, independent of the
+ * current koron/sori sizes, so the player's own sizes can be measured.
+ *
+ * Only steady stretches count: glides and attacks would otherwise smear
+ * every degree they pass through.
+ */
+export const Intonation = (() => {
+  const STABLE_CENTS = 20; // max change between neighbouring frames
+  const MAX_SPAN = 50;     // cents a live steady stretch may cover in all
+  const MIN_RUN = 3;       // frames a steady stretch must last
+  const HIST_BIN = 5;      // cents per histogram bin
+  const MAX_FRAME_GAP = 0.1; // s; longer gaps count as this much time
+
+  /** Frames inside steady runs of one degree. */
+  function stableFrames(frames) {
+    const out = [];
+    let run = [];
+    const flush = () => {
+      if (run.length >= MIN_RUN) out.push(...run);
+      run = [];
+    };
+    for (const f of frames) {
+      const prev = run[run.length - 1];
+      if (prev && (f.key !== prev.key || Math.abs(f.deviation - prev.deviation) > STABLE_CENTS)) flush();
+      run.push(f);
+    }
+    flush();
+    return out;
+  }
+
+  /**
+   * Per-degree summary of a classified track (voiced frames only, in time
+   * order). frameSeconds is the spacing between frames.
+   * Returns [{ key, label, count, seconds, mean, spread }] sorted by key,
+   * where spread is the standard deviation in cents.
+   */
+  function summarize(frames, frameSeconds) {
+    const groups = new Map();
+    for (const f of stableFrames(frames)) {
+      if (!groups.has(f.key)) groups.set(f.key, { key: f.key, label: f.label, values: [] });
+      groups.get(f.key).values.push(f.deviation);
+    }
+    return Array.from(groups.values())
+      .map(g => {
+        const n = g.values.length;
+        const mean = g.values.reduce((a, b) => a + b, 0) / n;
+        const variance = g.values.reduce((a, v) => a + (v - mean) * (v - mean), 0) / n;
+        return { key: g.key, label: g.label, count: n, seconds: n * frameSeconds, mean, spread: Math.sqrt(variance) };
+      })
+      .sort((a, b) => a.key - b.key);
+  }
+
+  /**
+   * Live session accumulator. Feed it add(time, pitchClass) for voiced
+   * frames (time in seconds, pitchClass in cents above Do, 0–1200) and
+   * gap() at silences.
+   */
+  function createAccumulator() {
+    const hist = new Float64Array(1200 / HIST_BIN);
+    const grid = Array.from({ length: 24 }, () => ({ seconds: 0, sum: 0, sumSq: 0 }));
+    let run = [];
+    let runLow = 0;  // lowest and highest cents of the run
+    let runHigh = 0;
+    let total = 0;
+
+    /** Nearest 50-cent grid position and its cents (in the same octave as the input). */
+    function place(cents) {
+      const step = Math.round(cents / 50);
+      return { gridPos: ((step % 24) + 24) % 24, target: step * 50 };
+    }
+
+    /**
+     * Count a steady run under the grid position of its mean pitch, so a
+     * degree near the edge between two positions (a koron played 60 ¢ or
+     * more flat, with vibrato) is not split between them. Every frame counts the time to its
+     * neighbour; the first has none before it and takes the hop after it.
+     */
+    function flush() {
+      if (run.length >= MIN_RUN) {
+        const mean = run.reduce((a, f) => a + f.cents, 0) / run.length;
+        const { gridPos, target } = place(mean);
+        const g = grid[gridPos];
+        run.forEach((f, i) => {
+          const dt = Math.min(MAX_FRAME_GAP, Math.max(0, i ? f.time - run[i - 1].time : run[1].time - f.time));
+          const deviation = f.cents - target;
+          const pc = ((f.cents % 1200) + 1200) % 1200;
+          hist[Math.min(hist.length - 1, Math.floor(pc / HIST_BIN))] += dt;
+          g.seconds += dt;
+          g.sum += deviation * dt;
+          g.sumSq += deviation * deviation * dt;
+          total += dt;
+        });
+      }
+      run = [];
+    }
+
+    function add(time, pitchClass) {
+      const pc = ((pitchClass % 1200) + 1200) % 1200;
+      const prev = run[run.length - 1];
+      // Cents continue from the previous frame across the octave wrap
+      let cents = prev ? prev.cents + ((pc - prev.cents) % 1200 + 1800) % 1200 - 600 : pc;
+      if (prev && (Math.abs(cents - prev.cents) > STABLE_CENTS ||
+          Math.max(cents, runHigh) - Math.min(cents, runLow) > MAX_SPAN)) {
+        flush();
+        cents = pc;
+      }
+      if (!run.length) runLow = runHigh = cents;
+      runLow = Math.min(runLow, cents);
+      runHigh = Math.max(runHigh, cents);
+      run.push({ time, cents });
+    }
+
+    function clear() {
+      hist.fill(0);
+      grid.forEach(g => { g.seconds = g.sum = g.sumSq = 0; });
+      run = [];
+      total = 0;
+    }
+
+    /**
+     * Per grid position: { gridPos, seconds, mean, spread } where mean is
+     * the average deviation from gridPos × 50 cents (null with no data).
+     */
+    function positions() {
+      return grid.map((g, gridPos) => {
+        if (!g.seconds) return { gridPos, seconds: 0, mean: null, spread: null };
+        const mean = g.sum / g.seconds;
+        const variance = Math.max(0, g.sumSq / g.seconds - mean * mean);
+        return { gridPos, seconds: g.seconds, mean, spread: Math.sqrt(variance) };
+      });
+    }
+
+    return {
+      add,
+      gap: flush,
+      clear,
+      positions,
+      /** Seconds per HIST_BIN-cent pitch-class bin. */
+      histogram: () => hist,
+      get seconds() { return total; },
+      HIST_BIN
+    };
+  }
+
+  return {
+    stableFrames,
+    summarize,
+    createAccumulator
+  };
+})();
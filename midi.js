@@ -0,0 +1,202 @@
+/**
+ * Web MIDI: detected pitch out as note-on + pitch bend, keyboard notes in.
+ *
+ * Output is one voice. Pitches are fractional MIDI note numbers (69 = 440 Hz);
+ * the nearest key sounds and pitch bend carries the rest, so quarter-tones
+ * arrive exactly at any bend range. While the pitch stays within `glide`
+ * cents of the sounding key only the bend moves; further away the note is
+ * retriggered. In single-channel mode every note shares one channel; in MPE
+ * mode (lower zone) each note takes the next member channel (2–16), so a
+ * release tail keeps its own bend.
+ *
+ * The bend range is announced with RPN 0 (and the MPE zone with the MPE
+ * Configuration Message) whenever a port or setting changes. The receiving
+ * synth must honour it — or be set to the same range by hand.
+ */
+export const Midi = (() => {
+  const MPE_MEMBERS = 15;
+  const CC_RPN_MSB = 101;
+  const CC_RPN_LSB = 100;
+  const CC_DATA_MSB = 6;
+  const CC_DATA_LSB = 38;
+
+  let access = null;
+  let output = null;
+  let input = null;
+  let onInput = null;   // ({ type: 'on'|'off'|'bend', note, velocity, channel, cents })
+  let onPorts = null;   // () — ports connected or disconnected
+
+  const config = {
+    mode: 'single',     // 'single' | 'mpe'
+    channel: 1,         // 1–16, single mode
+    bendRange: 2        // semitones, both directions; also used for input bends
+  };
+
+  let voice = null;     // { note, channel, bend } — the sounding output note
+  let nextMember = 0;
+
+  // ── Access + ports ──
+
+  /** Ask for MIDI access; rejects with a readable Error. */
+  async function connect() {
+    if (access) return;
+    if (!navigator.requestMIDIAccess) throw new Error('Web MIDI is not supported in this browser');
+    try {
+      access = await navigator.requestMIDIAccess();
+    } catch (e) {
+      throw new Error('MIDI access was denied');
+    }
+    access.onstatechange = () => {
+      // A port that went away is dropped; the list is refreshed either way
+      if (output && output.state === 'disconnected') setOutput('');
+      if (input && input.state === 'disconnected') setInput('');
+      if (onPorts) onPorts();
+    };
+  }
+
+  function portList(map) {
+    if (!access) return [];
+    return Array.from(map.values())
+      .filter(p => p.state !== 'disconnected')
+      .map(p => ({ id: p.id, name: p.name || p.id }));
+  }
+
+  function outputs() {
+    return portList(access ? access.outputs : null);
+  }
+
+  function inputs() {
+    return portList(access ? access.inputs : null);
+  }
+
+  function setOutput(id) {
+    release();
+    output = id && access ? access.outputs.get(id) || null : null;
+    announce();
+  }
+
+  function setInput(id) {
+    if (input) input.onmidimessage = null;
+    input = id && access ? access.inputs.get(id) || null : null;
+    if (input) input.onmidimessage = handleMessage;
+  }
+
+  /** Update { mode, channel, bendRange }; the sounding note is released. */
+  function configure(changes) {
+    release();
+    Object.assign(config, changes);
+    announce();
+  }
+
+  // ── Output ──
+
+  function send(bytes) {
+    if (output) output.send(bytes);
+  }
+
+  function rpn(channel, number, msb, lsb) {
+    send([0xB0 | channel, CC_RPN_MSB, 0]);
+    send([0xB0 | channel, CC_RPN_LSB, number]);
+    send([0xB0 | channel, CC_DATA_MSB, msb]);
+    if (lsb !== undefined) send([0xB0 | channel, CC_DATA_LSB, lsb]);
+    // Null RPN, so stray data entry changes nothing
+    send([0xB0 | channel, CC_RPN_MSB, 127]);
+    send([0xB0 | channel, CC_RPN_LSB, 127]);
+  }
+
+  /** Tell the receiver the zone layout and bend range. */
+  function announce() {
+    if (!output) return;
+    if (config.mode === 'mpe') {
+      rpn(0, 6, MPE_MEMBERS); // MCM: lower zone, 15 member channels (resets their range to 48)
+      for (let ch = 1; ch <= MPE_MEMBERS; ch++) rpn(ch, 0, config.bendRange, 0);
+    } else {
+      rpn(config.channel - 1, 0, config.bendRange, 0);
+    }
+  }
+
+  /** 14-bit pitch bend value for an offset in cents (8192 = none). */
+  function bendValue(cents, range) {
+    const v = Math.round(8192 + cents / (range * 100) * 8192);
+    return Math.max(0, Math.min(16383, v));
+  }
+
+  function sendBend(channel, cents) {
+    const v = bendValue(cents, config.bendRange);
+    if (voice && voice.channel === channel && voice.bend === v) return;
+    send([0xE0 | channel, v & 0x7F, v >> 7]);
+    if (voice && voice.channel === channel) voice.bend = v;
+  }
+
+  /**
+   * Sound a pitch (fractional MIDI note). glide: cents from the sounding
+   * key that bend instead of retriggering (0 retriggers on any change).
+   */
+  function play(pitch, velocity, glide = 0) {
+    if (!output) return;
+    if (voice) {
+      const offset = (pitch - voice.note) * 100;
+      if (Math.abs(offset) <= Math.min(glide, config.bendRange * 100)) {
+        sendBend(voice.channel, offset);
+        return;
+      }
+      release();
+    }
+    const note = Math.max(0, Math.min(127, Math.round(pitch)));
+    let channel = config.channel - 1;
+    if (config.mode === 'mpe') {
+      channel = 1 + nextMember;
+      nextMember = (nextMember + 1) % MPE_MEMBERS;
+    }
+    voice = { note, channel, bend: -1 };
+    sendBend(channel, (pitch - note) * 100);
+    send([0x90 | channel, note, Math.max(1, Math.min(127, Math.round(velocity)))]);
+  }
+
+  function release() {
+    if (!voice) return;
+    send([0x80 | voice.channel, voice.note, 0]);
+    voice = null;
+  }
+
+  // ── Input ──
+
+  function handleMessage(e) {
+    if (!onInput) return;
+    const [status, d1, d2] = e.data;
+    const type = status & 0xF0;
+    const channel = status & 0x0F;
+    if (type === 0x90 && d2 > 0) {
+      onInput({ type: 'on', note: d1, velocity: d2, channel });
+    } else if (type === 0x80 || type === 0x90) {
+      onInput({ type: 'off', note: d1, channel });
+    } else if (type === 0xE0) {
+      const value = (d2 << 7) | d1;
+      onInput({ type: 'bend', channel, cents: (value - 8192) / 8192 * config.bendRange * 100 });
+    }
+  }
+
+  /** Fractional MIDI note of a frequency (A4 = 440 Hz = 69). */
+  function noteOf(frequency) {
+    return 69 + 12 * Math.log2(frequency / 440);
+  }
+
+  return {
+    connect,
+    outputs,
+    inputs,
+    setOutput,
+    setInput,
+    configure,
+    play,
+    release,
+    bendValue,
+    noteOf,
+    set onInput(fn) { onInput = fn; },
+    set onPorts(fn) { onPorts = fn; },
+    get connected() { return !!access; },
+    get output() { return output ? output.id : ''; },
+    get input() { return input ? input.id : ''; },
+    get config() { return Object.assign({}, config); }
+  };
+})();
@@ -0,0 +1,44 @@
+/**
+ * Pitch worker (module worker): runs a core detector on the chunks the
+ * capture worklet posts, off the main thread. A separate instance analyzes
+ * decoded audio files.
+ *
+ * Live:  in   { type: 'init', port, sampleRate, detection }
+ *             { type: 'config', detection }
+ *        out  a detector frame per hop: { time, frequency, confidence,
+ *             amplitude, peak, voices } (see core/detector.js)
+ * File:  in   { type: 'analyze', samples, sampleRate, detection } (detection.hopSize set)
+ *        out  { type: 'progress', done, total } … then { type: 'track', frames }
+ *
+ * `detection` is AudioEngine's settings object: the core DETECTION_DEFAULTS
+ * keys.
+ */
+import { analyzeFrames, frameCount } from './core/pitch-detect.js';
+import { createDetector } from './core/detector.js';
+
+let detector = null;
+
+const ANALYZE_BATCH = 64; // frames between progress reports
+
+function analyzeFile(samples, rate, options) {
+  const total = frameCount(samples.length, options.windowSize, options.hopSize);
+  const frames = [];
+  for (let from = 0; from < total; from += ANALYZE_BATCH) {
+    const to = Math.min(total, from + ANALYZE_BATCH);
+    frames.push(...analyzeFrames(samples, rate, options, from, to));
+    self.postMessage({ type: 'progress', done: to, total });
+  }
+  self.postMessage({ type: 'track', frames });
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === 'init') {
+    detector = createDetector(Object.assign({ sampleRate: msg.sampleRate }, msg.detection));
+    msg.port.onmessage = (ev) => detector.push(ev.data).forEach(frame => self.postMessage(frame));
+  } else if (msg.type === 'config') {
+    detector.configure(msg.detection);
+  } else if (msg.type === 'analyze') {
+    analyzeFile(msg.samples, msg.sampleRate, msg.detection);
+  }
+};
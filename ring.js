@@ -0,0 +1,46 @@
+/**
+ * Touch geometry of the tuner rings (matching iOS): which grid position a
+ * tap at a given angle names.
+ *
+ * Angles are screen degrees from 3 o'clock, clockwise (atan2 with y down).
+ * Both rings are cut into 12 touch segments counted from 3 o'clock, while
+ * their labels count from 12 o'clock, so a segment's label is three
+ * segments on: the "+3 shift". The inner ring's segments start 15° above
+ * 3 o'clock, centred on the semitone labels; the outer ring's start at
+ * 3 o'clock, between semitones, and hold the quarter-tones.
+ */
+export const Ring = (() => {
+  const SEGMENTS = 12;
+  const SEGMENT_DEG = 360 / SEGMENTS;
+  const LABEL_SHIFT = 3; // segments from 3 o'clock round to 12 o'clock
+
+  /** Inner ring segment (0–11) at an angle. iOS: (angle < -15 ? angle + 360 : angle) + 15 */
+  function semitoneSegment(angleDeg) {
+    const norm = (angleDeg < -SEGMENT_DEG / 2 ? angleDeg + 360 : angleDeg) + SEGMENT_DEG / 2;
+    return Math.floor(norm / SEGMENT_DEG) % SEGMENTS;
+  }
+
+  /** Outer ring segment (0–11) at an angle, normalized to 0–360°. */
+  function quarterSegment(angleDeg) {
+    const norm = angleDeg < 0 ? angleDeg + 360 : angleDeg;
+    return Math.floor(norm / SEGMENT_DEG) % SEGMENTS;
+  }
+
+  /** Grid position (even: a semitone) named by an inner ring segment. */
+  function semitonePosition(segment) {
+    return ((segment + LABEL_SHIFT) % SEGMENTS) * 2;
+  }
+
+  /** Grid position (odd: a quarter-tone) named by an outer ring segment. */
+  function quarterPosition(segment) {
+    return ((segment + LABEL_SHIFT) % SEGMENTS) * 2 + 1;
+  }
+
+  return {
+    SEGMENTS,
+    semitoneSegment,
+    quarterSegment,
+    semitonePosition,
+    quarterPosition
+  };
+})();
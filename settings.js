@@ -0,0 +1,377 @@
+/**
+ * Settings persistence: the current configuration and named presets in
+ * localStorage, JSON preset files, and shareable URL query strings.
+ *
+ * A settings object looks like:
+ *   { view, naming, division, transpose, tonicMode, octave, waveform, sori, koron, measured, a4, instrument, scale, tonic, scaleDef,
+ *     drone: { tonic, octave, voices, timbre, volume },
+ *     midi: { mode, channel, bendRange, snap, map },
+ *     input: { device, gain },
+ *     access: { announce, cue },
+ *     detection: { algorithm, windowSize, minFreq, maxFreq, threshold, amplitudeThreshold, voices } }
+ * measured maps odd grid positions to measured quarter-tone sizes (or is
+ * null for the sori/koron presets). division is '24' (quarter-tone grid),
+ * '53' (commas) or 'aeu' (the AEU subset of the commas). transpose shifts
+ * the names shown by grid steps (quarter-tones); tonicMode names them from
+ * the tonic instead. scale is a Scales id or '' for the
+ * chromatic grid. input is the microphone ('' for the default) and its gain
+ * in dB; being specific to this device, it stays out of shared links, as does
+ * access (screen-reader announcements on/off and the in-tune cue).
+ * amplitudeThreshold is the noise gate (RMS). scaleDef carries an
+ * imported scale's definition so presets and links work on other devices.
+ * Every field is optional; sanitize() drops anything out of range.
+ */
+export const Settings = (() => {
+  const CURRENT_KEY = 'qtone.settings';
+  const PRESETS_KEY = 'qtone.presets';
+  const FILE_VERSION = 1;
+
+  const VIEWS = ['circle', 'strobe'];
+  const NAMINGS = ['solfege', 'letters', 'persian', 'arabic', 'turkish'];
+  const DIVISIONS = ['24', '53', 'aeu'];
+  const WAVEFORMS = ['sine', 'triangle', 'square'];
+  const TIMBRES = WAVEFORMS.concat(['pluck', 'ney', 'reed']); // reference tones (Synth)
+  const QT_SIZES = [42, 50, 58];
+  const DRONE_VOICES = ['fourth', 'fifth', 'octave'];
+  const CUES = ['off', 'tone', 'vibrate', 'both'];
+
+  // ── Validation ──
+
+  // Accept numbers or numeric strings (query values), but not '' or null
+  function numIn(v, min, max) {
+    const n = Number(v);
+    return v !== '' && v !== null && Number.isFinite(n) && n >= min && n <= max ? n : undefined;
+  }
+
+  function intIn(v, min, max) {
+    const n = numIn(v, min, max);
+    return Number.isInteger(n) ? n : undefined;
+  }
+
+  function oneOf(v, options) {
+    return options.includes(v) ? v : undefined;
+  }
+
+  // Booleans, or their query-string forms
+  function flag(v) {
+    if (v === true || v === 'true') return true;
+    if (v === false || v === 'false') return false;
+    return undefined;
+  }
+
+  function idString(v) {
+    return typeof v === 'string' && v.length <= 200 ? v : undefined;
+  }
+
+  function sanitizeScaleDef(def) {
+    if (!def || typeof def !== 'object' || !Array.isArray(def.cents)) return undefined;
+    const cents = def.cents.map(Number);
+    if (!cents.length || cents.length > 256 || !cents.every(Number.isFinite)) return undefined;
+    const id = idString(def.id);
+    if (!id) return undefined;
+    return {
+      id,
+      name: idString(def.name) || id,
+      tonic: intIn(def.tonic, 0, 23) || 0,
+      tonicOffset: numIn(def.tonicOffset, -50, 50) || 0,
+      period: numIn(def.period, 1, 4800) || 1200,
+      cents
+    };
+  }
+
+  function sanitizeDrone(dr) {
+    if (!dr || typeof dr !== 'object') return undefined;
+    const out = {
+      tonic: intIn(dr.tonic, 0, 23),
+      octave: intIn(dr.octave, 1, 5),
+      voices: Array.isArray(dr.voices) ? dr.voices.filter(v => DRONE_VOICES.includes(v)) : undefined,
+      timbre: oneOf(dr.timbre, WAVEFORMS),
+      volume: numIn(dr.volume, 0, 1)
+    };
+    for (const k in out) if (out[k] === undefined) delete out[k];
+    return Object.keys(out).length ? out : undefined;
+  }
+
+  function sanitizeMidi(m) {
+    if (!m || typeof m !== 'object') return undefined;
+    const out = {
+      mode: oneOf(m.mode, ['single', 'mpe']),
+      channel: intIn(m.channel, 1, 16),
+      bendRange: intIn(m.bendRange, 1, 96),
+      snap: typeof m.snap === 'boolean' ? m.snap : undefined,
+      map: oneOf(m.map, ['12', '24'])
+    };
+    for (const k in out) if (out[k] === undefined) delete out[k];
+    return Object.keys(out).length ? out : undefined;
+  }
+
+  function sanitizeInput(i) {
+    if (!i || typeof i !== 'object') return undefined;
+    const out = {
+      device: idString(i.device),
+      gain: numIn(i.gain, 0, 30)
+    };
+    for (const k in out) if (out[k] === undefined) delete out[k];
+    return Object.keys(out).length ? out : undefined;
+  }
+
+  function sanitizeAccess(a) {
+    if (!a || typeof a !== 'object') return undefined;
+    const out = {
+      announce: typeof a.announce === 'boolean' ? a.announce : undefined,
+      cue: oneOf(a.cue, CUES)
+    };
+    for (const k in out) if (out[k] === undefined) delete out[k];
+    return Object.keys(out).length ? out : undefined;
+  }
+
+  function sanitizeMeasured(m) {
+    if (m === null) return null;
+    if (!m || typeof m !== 'object') return undefined;
+    const out = {};
+    for (const key in m) {
+      const q = intIn(key, 1, 23);
+      const size = numIn(m[key], 10, 90);
+      if (q !== undefined && q % 2 === 1 && size !== undefined) out[q] = size;
+    }
+    return Object.keys(out).length ? out : null;
+  }
+
+  /** Copy of s with unknown or out-of-range fields removed. */
+  function sanitize(s) {
+    if (!s || typeof s !== 'object') return {};
+    const d = s.detection && typeof s.detection === 'object' ? s.detection : {};
+    const out = {
+      view: oneOf(s.view, VIEWS),
+      naming: oneOf(s.naming, NAMINGS),
+      division: oneOf(String(s.division), DIVISIONS),
+      transpose: intIn(s.transpose, -48, 48),
+      tonicMode: flag(s.tonicMode),
+      octave: intIn(s.octave, 0, 8),
+      waveform: oneOf(s.waveform, TIMBRES),
+      sori: oneOf(Number(s.sori), QT_SIZES),
+      koron: oneOf(Number(s.koron), QT_SIZES),
+      measured: sanitizeMeasured(s.measured),
+      a4: numIn(s.a4, 415, 466),
+      instrument: idString(s.instrument),
+      scale: idString(s.scale),
+      tonic: intIn(s.tonic, 0, 23),
+      scaleDef: sanitizeScaleDef(s.scaleDef),
+      drone: sanitizeDrone(s.drone),
+      midi: sanitizeMidi(s.midi),
+      input: sanitizeInput(s.input),
+      access: sanitizeAccess(s.access),
+      detection: {
+        algorithm: idString(d.algorithm),
+        windowSize: intIn(d.windowSize, 256, 65536),
+        minFreq: numIn(d.minFreq, 20, 5000),
+        maxFreq: numIn(d.maxFreq, 20, 5000),
+        threshold: numIn(d.threshold, 0, 1),
+        amplitudeThreshold: numIn(d.amplitudeThreshold, 0.0003, 0.1),
+        voices: intIn(d.voices, 1, 4)
+      }
+    };
+    const prune = obj => {
+      for (const k in obj) if (obj[k] === undefined) delete obj[k];
+      return obj;
+    };
+    prune(out.detection);
+    if (!Object.keys(out.detection).length) delete out.detection;
+    return prune(out);
+  }
+
+  // ── localStorage ──
+  // Storage can throw (private browsing, quota); settings then last the session only
+
+  function read(key) {
+    try {
+      const raw = localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function write(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function load() {
+    return sanitize(read(CURRENT_KEY));
+  }
+
+  function save(settings) {
+    return write(CURRENT_KEY, settings);
+  }
+
+  // ── Presets ──
+
+  /** Saved presets as [{ name, settings }], in save order. */
+  function presets() {
+    const list = read(PRESETS_KEY);
+    if (!Array.isArray(list)) return [];
+    return list
+      .filter(p => p && typeof p.name === 'string' && p.name.trim())
+      .map(p => ({ name: p.name, settings: sanitize(p.settings) }));
+  }
+
+  function cleanName(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new Error('Preset name cannot be empty');
+    return trimmed.slice(0, 60);
+  }
+
+  /** Save under a name, replacing any preset with the same name. */
+  function savePreset(name, settings) {
+    const n = cleanName(name);
+    const list = presets();
+    const i = list.findIndex(p => p.name === n);
+    const entry = { name: n, settings: sanitize(settings) };
+    if (i === -1) list.push(entry);
+    else list[i] = entry;
+    write(PRESETS_KEY, list);
+    return n;
+  }
+
+  function renamePreset(oldName, newName) {
+    const n = cleanName(newName);
+    const list = presets();
+    const entry = list.find(p => p.name === oldName);
+    if (!entry) throw new Error(`No preset named "${oldName}"`);
+    if (n !== oldName && list.some(p => p.name === n)) throw new Error(`A preset named "${n}" already exists`);
+    entry.name = n;
+    write(PRESETS_KEY, list);
+    return n;
+  }
+
+  function deletePreset(name) {
+    write(PRESETS_KEY, presets().filter(p => p.name !== name));
+  }
+
+  function getPreset(name) {
+    const entry = presets().find(p => p.name === name);
+    return entry ? entry.settings : null;
+  }
+
+  // ── JSON files ──
+
+  function exportPresets(names) {
+    const list = presets().filter(p => !names || names.includes(p.name));
+    return JSON.stringify({ app: 'qtone', version: FILE_VERSION, presets: list }, null, 2);
+  }
+
+  /**
+   * Merge presets from exported JSON; same-named presets are replaced.
+   * Returns the imported names. Throws with a readable message on bad input.
+   */
+  function importPresets(text, fileName = 'presets.json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`${fileName}: not valid JSON`);
+    }
+    if (!data || data.app !== 'qtone' || !Array.isArray(data.presets)) {
+      throw new Error(`${fileName}: not a Qtone preset file`);
+    }
+    if (data.version > FILE_VERSION) {
+      throw new Error(`${fileName}: made by a newer version of Qtone`);
+    }
+    const names = [];
+    data.presets.forEach(p => {
+      if (!p || typeof p.name !== 'string' || !p.name.trim()) return;
+      names.push(savePreset(p.name, p.settings));
+    });
+    if (!names.length) throw new Error(`${fileName}: contains no presets`);
+    return names;
+  }
+
+  // ── URL query ──
+  // Short keys keep shared links readable; detection fields are prefixed "d"
+
+  const QUERY_KEYS = {
+    view: 'view', naming: 'names', division: 'div', octave: 'oct', waveform: 'wave', sori: 'sori', koron: 'koron', a4: 'a4',
+    instrument: 'inst', scale: 'scale', tonic: 'tonic', transpose: 'tr', tonicMode: 'mtonic'
+  };
+  const DETECTION_KEYS = {
+    algorithm: 'dalgo', windowSize: 'dwin', minFreq: 'dmin', maxFreq: 'dmax', threshold: 'dthr', amplitudeThreshold: 'dgate',
+    voices: 'dvoc'
+  };
+
+  function toQuery(settings) {
+    const s = sanitize(settings);
+    const params = new URLSearchParams();
+    for (const k in QUERY_KEYS) if (s[k] !== undefined) params.set(QUERY_KEYS[k], s[k]);
+    if (s.scaleDef) {
+      params.set('sname', s.scaleDef.name);
+      params.set('scents', s.scaleDef.cents.map(c => +c.toFixed(3)).join(','));
+      if (s.scaleDef.period !== 1200) params.set('speriod', +s.scaleDef.period.toFixed(3));
+      if (s.scaleDef.tonicOffset) params.set('soffset', +s.scaleDef.tonicOffset.toFixed(3));
+    }
+    if (s.measured) {
+      params.set('msizes', Object.keys(s.measured).map(q => `${q}:${+s.measured[q].toFixed(1)}`).join(','));
+    }
+    const d = s.detection || {};
+    for (const k in DETECTION_KEYS) if (d[k] !== undefined) params.set(DETECTION_KEYS[k], d[k]);
+    return params.toString();
+  }
+
+  /** Settings from a query string, or null if it carries none. */
+  function fromQuery(search) {
+    const params = new URLSearchParams(search);
+    const raw = { detection: {} };
+    let found = false;
+    for (const k in QUERY_KEYS) {
+      if (params.has(QUERY_KEYS[k])) {
+        raw[k] = params.get(QUERY_KEYS[k]);
+        found = true;
+      }
+    }
+    for (const k in DETECTION_KEYS) {
+      if (params.has(DETECTION_KEYS[k])) {
+        raw.detection[k] = params.get(DETECTION_KEYS[k]);
+        found = true;
+      }
+    }
+    if (params.has('msizes')) {
+      raw.measured = {};
+      params.get('msizes').split(',').forEach(pair => {
+        const [q, size] = pair.split(':');
+        raw.measured[q] = size;
+      });
+      found = true;
+    }
+    if (params.has('scents') && raw.scale) {
+      raw.scaleDef = {
+        id: raw.scale,
+        name: params.get('sname'),
+        tonic: raw.tonic,
+        cents: params.get('scents').split(','),
+        period: params.get('speriod') || 1200,
+        tonicOffset: params.get('soffset') || 0
+      };
+    }
+    // Query values are strings; sanitize coerces the numeric fields
+    return found ? sanitize(raw) : null;
+  }
+
+  return {
+    sanitize,
+    load,
+    save,
+    presets,
+    getPreset,
+    savePreset,
+    renamePreset,
+    deletePreset,
+    exportPresets,
+    importPresets,
+    toQuery,
+    fromQuery
+  };
+})();
@@ -0,0 +1,172 @@
+/**
+ * Service worker: precaches the whole app so it loads and runs offline.
+ *
+ * Files are served from the cache. On opening the app, and on a page's
+ * { type: 'check' } when it comes back into view, the cached files are
+ * compared with the server's in the background, at most once per
+ * CHECK_INTERVAL. When one has changed, the whole app is fetched afresh
+ * into a staging cache and the pages get { type: 'updated' }; on
+ * { type: 'applyUpdate' } (a page's reload), or when the app next opens
+ * with no window left running, the staged files replace the cached ones
+ * together, so a session never mixes versions, and every page gets
+ * { type: 'applied' }. Nothing needs bumping.
+ *
+ * VERSION only matters for changes to this worker itself: bumping it
+ * installs the worker alongside the running one, the page offers a reload,
+ * and on { type: 'skipWaiting' } the new version takes over and the old
+ * caches are deleted.
+ */
+const VERSION = 4;
+const CACHE = `qtone-v${VERSION}`;
+const STAGED = 'qtone-staged';
+const STAGED_COMPLETE = '.staged-complete'; // marker entry: staging finished
+const CHECK_INTERVAL = 10 * 60 * 1000; // ms between checks with the server
+
+const FILES = [
+  './',
+  'index.html',
+  'style.css',
+  'manifest.webmanifest',
+  'fonts/Audiowide-Regular.ttf',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'icons/maskable-192.png',
+  'icons/maskable-512.png',
+  'core/pitch-detect.js',
+  'core/detector.js',
+  'core/tuning.js',
+  'core/naming.js',
+  'core/comma.js',
+  'core/scales.js',
+  'core/scala.js',
+  'instruments.js',
+  'settings.js',
+  'history.js',
+  'intonation.js',
+  'training.js',
+  'midi.js',
+  'synth.js',
+  'audio.js',
+  'ring.js',
+  'app.js',
+  'pitch-worker.js',
+  'capture-worklet.js'
+];
+
+self.addEventListener('install', (e) => {
+  // Bypass the HTTP cache so a new version never precaches stale files
+  e.waitUntil(caches.open(CACHE).then(cache => cache.addAll(FILES.map(f => new Request(f, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', (e) => {
+  e.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith('qtone-') && k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (e) => {
+  if (!e.data) return;
+  if (e.data.type === 'skipWaiting') self.skipWaiting();
+  if (e.data.type === 'check') e.waitUntil(checkForUpdate());
+  if (e.data.type === 'applyUpdate') {
+    // Every page: the one that asked reloads, the others offer to
+    e.waitUntil(applyStaged()
+      .then(() => self.clients.matchAll({ type: 'window' }))
+      .then(windows => windows.forEach(client => client.postMessage({ type: 'applied' }))));
+  }
+});
+
+self.addEventListener('fetch', (e) => {
+  const request = e.request;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== location.origin) return;
+  // Shared links carry settings in the query; the page is the same
+  if (request.mode === 'navigate') url.search = '';
+  const navigate = request.mode === 'navigate';
+  const ready = navigate ? applyStagedIfClosed() : Promise.resolve();
+  const cached = ready.then(() => caches.open(CACHE)).then(cache => cache.match(url.href));
+  e.respondWith(cached.then(response => response || fetchAndStore(request, url.href)));
+  if (navigate) e.waitUntil(cached.then(checkForUpdate));
+});
+
+/** A file missing from the cache (added since the last install): fetch and keep it. */
+async function fetchAndStore(request, key) {
+  const response = await fetch(request);
+  if (response.ok && response.type === 'basic') await (await caches.open(CACHE)).put(key, response.clone());
+  return response;
+}
+
+let lastCheck = 0;
+
+/**
+ * Compare the cached files with the server's copies, one at a time, and
+ * stage an update at the first that changed. Runs at most once per
+ * CHECK_INTERVAL (a restarted worker may check again sooner).
+ */
+async function checkForUpdate() {
+  const now = Date.now();
+  if (now - lastCheck < CHECK_INTERVAL || staging || await caches.has(STAGED)) return;
+  lastCheck = now;
+  try {
+    const cache = await caches.open(CACHE);
+    for (const file of FILES) {
+      const url = new URL(file, location).href;
+      const cached = await cache.match(url);
+      if (!cached) continue;
+      const response = await fetch(url, { cache: 'no-cache' });
+      if (response.ok && response.type === 'basic' && !(await sameBody(cached, response))) {
+        await stageUpdate();
+        return;
+      }
+    }
+  } catch (e) {
+    // Offline: try again on a later check
+    lastCheck = 0;
+  }
+}
+
+async function sameBody(a, b) {
+  const [x, y] = await Promise.all([a.arrayBuffer(), b.arrayBuffer()]);
+  if (x.byteLength !== y.byteLength) return false;
+  const u = new Uint8Array(x), v = new Uint8Array(y);
+  for (let i = 0; i < u.length; i++) if (u[i] !== v[i]) return false;
+  return true;
+}
+
+let staging = null;
+
+/** Fetch every file into the staging cache once, then tell the pages. */
+function stageUpdate() {
+  if (!staging) {
+    staging = (async () => {
+      await caches.delete(STAGED);
+      const cache = await caches.open(STAGED);
+      await cache.addAll(FILES.map(f => new Request(f, { cache: 'reload' })));
+      await cache.put(STAGED_COMPLETE, new Response(''));
+      for (const client of await self.clients.matchAll({ type: 'window' })) client.postMessage({ type: 'updated' });
+    })().catch(() => { staging = null; });
+  }
+  return staging;
+}
+
+/** Move a completely staged update into the live cache. */
+async function applyStaged() {
+  if (!(await caches.has(STAGED))) return;
+  const staged = await caches.open(STAGED);
+  if (await staged.match(STAGED_COMPLETE)) {
+    const cache = await caches.open(CACHE);
+    for (const request of await staged.keys()) {
+      if (!request.url.endsWith(STAGED_COMPLETE)) await cache.put(request, await staged.match(request));
+    }
+  }
+  await caches.delete(STAGED);
+  staging = null;
+}
+
+/** On opening the app with no window running, take a staged update. */
+async function applyStagedIfClosed() {
+  const windows = await self.clients.matchAll({ type: 'window' });
+  if (windows.length === 0) await applyStaged();
+}
@@ -0,0 +1,158 @@
+/**
+ * Reference-tone synthesis: additive timbres rendered to sample buffers.
+ *
+ * Every timbre is a sum of sine partials starting at phase 0, so a tone
+ * begins at a zero crossing, and partials above 90% of Nyquist are left
+ * out (no aliasing on high notes). Sustained timbres render a loop of whole
+ * cycles; pluck renders a decaying note that is played once.
+ *
+ * attack / release (seconds) are the envelope: baked into renderNote()
+ * buffers, and applied by AudioEngine around looped tones. AudioEngine
+ * encodes and caches the buffers; this module has no browser dependencies.
+ */
+export const Synth = (() => {
+  const SAMPLE_RATE = 44100;
+  const LOOP_SECONDS = 2;     // looped tones: long enough that breath noise doesn't audibly repeat
+  const PLUCK_SECONDS = 3;
+  const BREATH_FADE = 0.05;   // s of breath noise crossfaded across a loop's seam
+  const PEAK = 0.95;
+
+  // Band-limited classic waveforms: [harmonic, amplitude]
+  function oddHarmonics(count, amp) {
+    const out = [];
+    for (let k = 0; k < count; k++) out.push([2 * k + 1, amp(2 * k + 1, k)]);
+    return out;
+  }
+
+  const TIMBRES = {
+    // Fundamental plus a little 3rd and 5th, so phone speakers can reproduce it
+    sine: { label: 'Sine', partials: [[1, 0.85], [3, 0.10], [5, 0.05]], attack: 0.02, release: 0.05 },
+    triangle: {
+      label: 'Triangle',
+      partials: oddHarmonics(8, (n, k) => (k % 2 ? -1 : 1) / (n * n)),
+      attack: 0.02,
+      release: 0.06
+    },
+    square: { label: 'Square', partials: oddHarmonics(13, n => 1 / n), attack: 0.01, release: 0.05 },
+    // Plucked string (oud, tar, santur): 1/n spectrum shaped by the pluck
+    // point, upper partials dying away faster
+    pluck: {
+      label: 'Pluck',
+      partials: Array.from({ length: 16 }, (_, i) => [i + 1, Math.abs(Math.sin((i + 1) * Math.PI * 0.14)) / (i + 1)]),
+      decay: [1.6, 0.9], // per second: base + per harmonic number
+      attack: 0.003,
+      release: 0.08
+    },
+    // Ney: strong fundamental, weak overtones, breath noise
+    ney: {
+      label: 'Ney',
+      partials: [[1, 1], [2, 0.28], [3, 0.16], [4, 0.05], [5, 0.03]],
+      breath: 0.05,
+      attack: 0.12,
+      release: 0.15
+    },
+    // Double reed (mey, zurna): bright, with a nasal 3rd–5th harmonic hump
+    reed: {
+      label: 'Reed',
+      partials: [[1, 0.6], [2, 0.35], [3, 0.55], [4, 0.32], [5, 0.4], [6, 0.18], [7, 0.2], [8, 0.08], [9, 0.07], [10, 0.04]],
+      attack: 0.05,
+      release: 0.08
+    }
+  };
+
+  function timbre(id) {
+    return TIMBRES[id] || TIMBRES.sine;
+  }
+
+  /** True for timbres that decay on their own and are played once. */
+  function isDecaying(id) {
+    return !!timbre(id).decay;
+  }
+
+  /** Partials below 90% of Nyquist at this frequency. */
+  function audiblePartials(t, frequency, sampleRate) {
+    return t.partials.filter(([n]) => n * frequency < sampleRate * 0.45);
+  }
+
+  /**
+   * Filtered white noise. For a looped buffer the noise runs BREATH_FADE
+   * past the end, and that overrun is crossfaded into the start, so the
+   * last sample leads smoothly into the first.
+   */
+  function addBreath(buffer, level, looped, sampleRate) {
+    const fade = looped ? Math.min(buffer.length, Math.round(BREATH_FADE * sampleRate)) : 0;
+    const noise = new Float32Array(buffer.length + fade);
+    let lp = 0;
+    let hp = 0;
+    for (let i = 0; i < noise.length; i++) {
+      const white = Math.random() * 2 - 1;
+      lp += 0.2 * (white - lp);   // soften the hiss
+      hp += 0.02 * (lp - hp);     // and drop the rumble
+      noise[i] = level * (lp - hp) * 4;
+    }
+    // Equal-power fade: the two stretches of noise are unrelated
+    for (let i = 0; i < fade; i++) {
+      const x = Math.PI / 2 * i / fade;
+      noise[i] = noise[i] * Math.sin(x) + noise[buffer.length + i] * Math.cos(x);
+    }
+    for (let i = 0; i < buffer.length; i++) buffer[i] += noise[i];
+  }
+
+  function normalize(buffer) {
+    let peak = 0;
+    for (let i = 0; i < buffer.length; i++) peak = Math.max(peak, Math.abs(buffer[i]));
+    if (peak > 0) for (let i = 0; i < buffer.length; i++) buffer[i] *= PEAK / peak;
+    return buffer;
+  }
+
+  /**
+   * A seamless loop of a sustained timbre: a whole number of cycles, with
+   * the frequency nudged (by well under 0.1 cent) so the loop is exact.
+   */
+  function renderLoop(id, frequency, sampleRate = SAMPLE_RATE) {
+    const t = timbre(id);
+    const cycles = Math.max(1, Math.round(LOOP_SECONDS * frequency));
+    const numSamples = Math.round(cycles * sampleRate / frequency);
+    const f = cycles * sampleRate / numSamples;
+    const buffer = new Float32Array(numSamples);
+    for (const [n, amp] of audiblePartials(t, f, sampleRate)) {
+      const w = 2 * Math.PI * n * f / sampleRate;
+      for (let i = 0; i < numSamples; i++) buffer[i] += amp * Math.sin(w * i);
+    }
+    if (t.breath) addBreath(buffer, t.breath, true, sampleRate);
+    return normalize(buffer);
+  }
+
+  /**
+   * A single note of `duration` seconds with its envelope baked in
+   * (decaying timbres ring for their own length when duration is omitted).
+   */
+  function renderNote(id, frequency, duration, sampleRate = SAMPLE_RATE) {
+    const t = timbre(id);
+    const seconds = duration || (t.decay ? PLUCK_SECONDS : LOOP_SECONDS);
+    const numSamples = Math.round(seconds * sampleRate);
+    const buffer = new Float32Array(numSamples);
+    for (const [n, amp] of audiblePartials(t, frequency, sampleRate)) {
+      const w = 2 * Math.PI * n * frequency / sampleRate;
+      const decay = t.decay ? (t.decay[0] + t.decay[1] * n) / sampleRate : 0;
+      for (let i = 0; i < numSamples; i++) buffer[i] += amp * Math.sin(w * i) * Math.exp(-decay * i);
+    }
+    if (t.breath) addBreath(buffer, t.breath, false, sampleRate);
+    normalize(buffer);
+
+    const attack = Math.max(1, Math.round(t.attack * sampleRate));
+    const release = Math.max(1, Math.min(Math.round(t.release * sampleRate), numSamples - attack));
+    for (let i = 0; i < attack; i++) buffer[i] *= i / attack;
+    for (let i = 0; i < release; i++) buffer[numSamples - 1 - i] *= i / release;
+    return buffer;
+  }
+
+  return {
+    SAMPLE_RATE,
+    TIMBRES,
+    timbre,
+    isDecaying,
+    renderLoop,
+    renderNote
+  };
+})();
@@ -0,0 +1,137 @@
+/**
+ * Accuracy and speed benchmark of the pitch detectors on the synthetic
+ * signal families, compared with the committed baseline.
+ *
+ *   node test/benchmark.js            report, exit 1 on an accuracy regression
+ *   node test/benchmark.js --update   report and save as the new baseline
+ *
+ * Every algorithm reads each family at quarter-tone steps across the
+ * default range. Accuracy counts as regressed when octave errors, misses or
+ * noise false positives rise, or the mean or 95th percentile error grows
+ * past the tolerance. Speed depends on the machine and is only reported.
+ */
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { performance } from 'node:perf_hooks';
+import { SIGNALS, SAMPLE_RATE, WINDOW, whiteNoise, sweep, centsError } from './signals.js';
+import { PITCH_ALGORITHMS, PITCH_DEFAULTS, analyzePitch } from '../core/pitch-detect.js';
+
+const BASELINE = new URL('./benchmark-baseline.json', import.meta.url);
+const RANGE = sweep(PITCH_DEFAULTS.minFreq, PITCH_DEFAULTS.maxFreq);
+const OCTAVE_ERROR_CENTS = 600;
+const NOISE_WINDOWS = 40;
+const TOLERANCE = { ratio: 1.1, cents: 0.05 }; // mean/p95 may grow 10% + 0.05¢
+
+function percentile(sorted, p) {
+  return sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : 0;
+}
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+/** Accuracy and time per frame of one algorithm on one family. */
+function measure(algorithm, makeSignal) {
+  const errors = [];
+  let octaveErrors = 0;
+  let missed = 0;
+  let elapsed = 0;
+  for (const f of RANGE) {
+    const signal = makeSignal(f);
+    const start = performance.now();
+    const { frequency } = analyzePitch(signal, SAMPLE_RATE, { algorithm });
+    elapsed += performance.now() - start;
+    if (frequency <= 0) missed++;
+    else if (Math.abs(centsError(frequency, f)) > OCTAVE_ERROR_CENTS) octaveErrors++;
+    else errors.push(Math.abs(centsError(frequency, f)));
+  }
+  errors.sort((a, b) => a - b);
+  return {
+    mean: round(errors.reduce((sum, e) => sum + e, 0) / (errors.length || 1)),
+    p95: round(percentile(errors, 0.95)),
+    max: round(errors.length ? errors[errors.length - 1] : 0),
+    octaveErrors: round(octaveErrors / RANGE.length, 3),
+    missed: round(missed / RANGE.length, 3),
+    ms: round(elapsed / RANGE.length)
+  };
+}
+
+/** Share of white noise windows in which an algorithm reports a pitch. */
+function falsePositives(algorithm) {
+  let found = 0;
+  for (let seed = 1; seed <= NOISE_WINDOWS; seed++) {
+    if (analyzePitch(whiteNoise(WINDOW, 0.5, seed), SAMPLE_RATE, { algorithm }).frequency > 0) found++;
+  }
+  return round(found / NOISE_WINDOWS, 3);
+}
+
+function run() {
+  const results = {};
+  for (const algorithm of Object.keys(PITCH_ALGORITHMS)) {
+    results[algorithm] = { noise: falsePositives(algorithm) };
+    for (const [family, makeSignal] of Object.entries(SIGNALS)) {
+      results[algorithm][family] = measure(algorithm, makeSignal);
+    }
+  }
+  return results;
+}
+
+/** Regressions of a result against its baseline, as messages. */
+function compare(name, now, then) {
+  const problems = [];
+  for (const key of ['octaveErrors', 'missed']) {
+    if (now[key] > then[key]) problems.push(`${name}: ${key} ${then[key]} → ${now[key]}`);
+  }
+  for (const key of ['mean', 'p95']) {
+    if (now[key] > then[key] * TOLERANCE.ratio + TOLERANCE.cents) problems.push(`${name}: ${key} ${then[key]}¢ → ${now[key]}¢`);
+  }
+  return problems;
+}
+
+function delta(now, then, unit = '') {
+  if (then === undefined || now === then) return '';
+  const sign = now > then ? '+' : '';
+  return ` (${sign}${round(now - then, 3)}${unit})`;
+}
+
+const pad = (text, width) => String(text).padEnd(width);
+const percent = share => `${round(share * 100, 1)}%`;
+
+function report(results, baseline) {
+  const problems = [];
+  console.log(`Pitch detection benchmark: ${RANGE.length} tones, ${RANGE[0]}–${Math.round(RANGE[RANGE.length - 1])} Hz, ` +
+    `window ${WINDOW} at ${SAMPLE_RATE} Hz`);
+  for (const [algorithm, families] of Object.entries(results)) {
+    const old = baseline && baseline[algorithm] || {};
+    console.log(`\n${PITCH_ALGORITHMS[algorithm].label}`);
+    console.log(`  ${pad('family', 16)}${pad('mean ¢', 16)}${pad('p95 ¢', 16)}${pad('max ¢', 10)}` +
+      `${pad('octave err', 18)}${pad('missed', 18)}ms/frame`);
+    for (const [family, r] of Object.entries(families)) {
+      if (family === 'noise') continue;
+      const then = old[family] || {};
+      console.log(`  ${pad(family, 16)}${pad(r.mean + delta(r.mean, then.mean), 16)}${pad(r.p95 + delta(r.p95, then.p95), 16)}` +
+        `${pad(r.max, 10)}${pad(percent(r.octaveErrors) + delta(r.octaveErrors, then.octaveErrors), 18)}` +
+        `${pad(percent(r.missed) + delta(r.missed, then.missed), 18)}${r.ms}${delta(r.ms, then.ms, ' ms')}`);
+      if (old[family]) problems.push(...compare(`${algorithm} ${family}`, r, then));
+    }
+    console.log(`  pitch found in white noise: ${percent(families.noise)}${delta(families.noise, old.noise)}`);
+    if (old.noise !== undefined && families.noise > old.noise) {
+      problems.push(`${algorithm}: noise false positives ${old.noise} → ${families.noise}`);
+    }
+  }
+  return problems;
+}
+
+const update = process.argv.includes('--update');
+const baseline = existsSync(BASELINE) ? JSON.parse(readFileSync(BASELINE, 'utf8')) : null;
+const results = run();
+const problems = report(results, update ? null : baseline);
+
+if (update) {
+  writeFileSync(BASELINE, JSON.stringify(results, null, 2) + '\n');
+  console.log('\nBaseline updated.');
+} else if (!baseline) {
+  console.log('\nNo baseline yet: run with --update to save one.');
+} else if (problems.length) {
+  console.error(`\nAccuracy regressions against the baseline:\n  ${problems.join('\n  ')}`);
+  process.exitCode = 1;
+} else {
+  console.log('\nNo accuracy regressions against the baseline.');
+}
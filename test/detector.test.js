@@ -0,0 +1,197 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SAMPLE_RATE, tone, centsError } from './signals.js';
+import { createDetector, createTracker, createDroneFilter, DETECTION_DEFAULTS } from '../core/detector.js';
+import { analyzeFrames, frameCount } from '../core/pitch-detect.js';
+
+// A smaller window than the app's keeps these quick
+const OPTIONS = { sampleRate: SAMPLE_RATE, windowSize: 2048, hopSize: 512 };
+
+/** Two notes back to back: La3 then Mi4. */
+function melody() {
+  const a = tone(220, { length: SAMPLE_RATE / 4, harmonics: [1, 0.5, 0.3] });
+  const e = tone(330, { length: SAMPLE_RATE / 4, harmonics: [1, 0.5, 0.3] });
+  const out = new Float32Array(a.length + e.length);
+  out.set(a);
+  out.set(e, a.length);
+  return out;
+}
+
+function pushInChunks(detector, samples, size) {
+  const frames = [];
+  for (let i = 0; i < samples.length; i += size) frames.push(...detector.push(samples.subarray(i, i + size)));
+  return frames;
+}
+
+describe('createDetector', () => {
+  it('streams the frames of a whole-recording analysis', () => {
+    const samples = melody();
+    const options = Object.assign({}, DETECTION_DEFAULTS, OPTIONS);
+    const count = frameCount(samples.length, options.windowSize, options.hopSize);
+    const expected = analyzeFrames(samples, SAMPLE_RATE, options, 0, count);
+    const frames = pushInChunks(createDetector(OPTIONS), samples, 300);
+    assert.equal(frames.length, expected.length);
+    frames.forEach((frame, i) => {
+      assert.equal(frame.time, expected[i].time);
+      assert.equal(frame.frequency, expected[i].frequency);
+    });
+  });
+
+  it('gives the same frames for any chunking', () => {
+    const samples = melody();
+    const whole = createDetector(OPTIONS).push(samples);
+    for (const size of [1, 128, 777, 4096]) {
+      assert.deepEqual(pushInChunks(createDetector(OPTIONS), samples, size), whole, `chunks of ${size}`);
+    }
+  });
+
+  it('follows the notes', () => {
+    const frames = createDetector(OPTIONS).push(melody());
+    const first = frames.find(f => f.time < 0.2);
+    const last = frames[frames.length - 1];
+    assert.ok(Math.abs(centsError(first.frequency, 220)) < 1, `La3 read as ${first.frequency}`);
+    assert.ok(Math.abs(centsError(last.frequency, 330)) < 1, `Mi4 read as ${last.frequency}`);
+  });
+
+  it('gates quiet input', () => {
+    const frames = createDetector(OPTIONS).push(tone(220, { level: 0.002 }));
+    assert.ok(frames.length > 0);
+    for (const frame of frames) assert.equal(frame.frequency, -1);
+  });
+
+  it('waits for a full window after a new window size', () => {
+    const detector = createDetector(OPTIONS);
+    detector.push(tone(220));
+    detector.configure({ windowSize: 4096 });
+    assert.equal(detector.push(tone(220, { length: 3584 })).length, 0);
+    assert.equal(detector.push(tone(220, { length: 512 })).length, 1);
+  });
+
+  it('counts times from zero again after reset', () => {
+    const detector = createDetector(OPTIONS);
+    const before = detector.push(tone(220));
+    detector.reset();
+    const after = detector.push(tone(220));
+    assert.equal(after[0].time, before[0].time);
+  });
+});
+
+describe('createTracker', () => {
+  const frame = frequency => ({ frequency, amplitude: 0.1 });
+
+  it('holds the pitch through a short octave slip', () => {
+    const tracker = createTracker();
+    for (let i = 0; i < 5; i++) tracker.update(frame(220));
+    for (let i = 1; i < DETECTION_DEFAULTS.jumpConfirm; i++) {
+      assert.equal(tracker.update(frame(440)).pitch, 220, `slip frame ${i}`);
+    }
+    assert.equal(tracker.update(frame(220)).pitch, 220);
+  });
+
+  it('follows an octave leap once it persists', () => {
+    const tracker = createTracker();
+    tracker.update(frame(220));
+    let pitch;
+    for (let i = 0; i < DETECTION_DEFAULTS.jumpConfirm; i++) pitch = tracker.update(frame(440)).pitch;
+    assert.equal(pitch, 440);
+  });
+
+  it('smooths small moves', () => {
+    const tracker = createTracker();
+    tracker.update(frame(220));
+    const { pitch } = tracker.update(frame(230));
+    assert.ok(pitch > 220 && pitch < 230, `pitch ${pitch}`);
+  });
+
+  it('starts afresh after a gated frame', () => {
+    const tracker = createTracker();
+    tracker.update(frame(220));
+    assert.equal(tracker.update({ frequency: -1, amplitude: 0 }).pitch, 0);
+    assert.equal(tracker.update(frame(440)).pitch, 440);
+  });
+
+  it('holds cents within the dead zone and restarts on a new target', () => {
+    const tracker = createTracker();
+    assert.equal(tracker.smoothCents(4, 10), 10);
+    assert.equal(tracker.smoothCents(4, 11), 10);
+    const moved = tracker.smoothCents(4, 20);
+    assert.ok(moved > 10 && moved < 20, `cents ${moved}`);
+    assert.equal(tracker.smoothCents(5, -7), -7);
+  });
+});
+
+describe('createDroneFilter', () => {
+  // A Re drone with its fifth; frames come every ~21 ms (1024 samples at 48 kHz)
+  const RE = 293.66;
+  const DRONE = [RE, RE * 3 / 2];
+  const HOP_MS = 1024 / SAMPLE_RATE * 1000;
+  const frame = (frequency, amplitude) => ({ frequency, amplitude });
+
+  /** Feed frames for ms milliseconds from t; returns how many were taken as the drone. */
+  function run(filter, t, ms, f, amplitude) {
+    let rejected = 0;
+    for (let now = t; now < t + ms; now += HOP_MS) if (filter.isDrone(frame(f, amplitude), now)) rejected++;
+    return rejected;
+  }
+
+  it('learns the drone while it settles, then rejects it', () => {
+    const filter = createDroneFilter();
+    filter.start(DRONE, 0);
+    assert.ok(run(filter, 0, 600, RE, 0.02) > 0);
+    assert.equal(filter.level, 0.02);
+    assert.equal(run(filter, 600, 1000, RE, 0.02), Math.ceil(1000 / HOP_MS));
+    assert.equal(filter.isDrone(frame(RE * 3 / 2, 0.015), 2000), true);
+    assert.equal(filter.isDrone(frame(RE / 2, 0.015), 2000), true);
+  });
+
+  it('passes the player in unison once clearly louder than the drone', () => {
+    const filter = createDroneFilter();
+    filter.start(DRONE, 0);
+    run(filter, 0, 600, RE, 0.02);
+    assert.equal(filter.isDrone(frame(RE, 0.03), 1000), false);
+  });
+
+  it('passes pitches away from the drone', () => {
+    const filter = createDroneFilter();
+    filter.start(DRONE, 0);
+    assert.equal(filter.isDrone(frame(RE * Math.pow(2, 1 / 12), 0.02), 100), false);
+    run(filter, 0, 600, RE, 0.02);
+    assert.equal(filter.isDrone(frame(RE * Math.pow(2, 150 / 1200), 0.01), 1000), false);
+  });
+
+  it('rejects nothing when the drone never reaches the mic', () => {
+    // Too quiet for the gate: the mic hears only the player, who starts on Mi
+    const filter = createDroneFilter();
+    filter.start(DRONE, 0);
+    assert.equal(run(filter, 0, 600, 329.63, 0.01), 0);
+    assert.equal(filter.level, 0);
+    for (const f of [RE, RE / 2, RE * 2, RE * 3 / 2]) {
+      assert.equal(run(filter, 600, 1000, f, 0.01), 0, `${f} Hz`);
+    }
+  });
+
+  it('rejects nothing when the drone plays through headphones', () => {
+    // AudioEngine starts the filter inaudible for a headphone output; the
+    // player starts at once on the tonic, quietly, and plays its fifth
+    const filter = createDroneFilter();
+    filter.start(DRONE, 0, { audible: false });
+    assert.equal(run(filter, 0, 2000, RE, 0.01), 0);
+    assert.equal(run(filter, 2000, 500, RE * 3 / 2, 0.01), 0);
+    assert.equal(filter.level, 0);
+  });
+
+  it('settles by time, however few frames pass the gate', () => {
+    const filter = createDroneFilter();
+    filter.start(DRONE, 0);
+    assert.equal(filter.isDrone(frame(RE, 0.02), 700), false);
+    assert.equal(filter.level, 0);
+  });
+
+  it('rejects nothing after stop', () => {
+    const filter = createDroneFilter();
+    filter.start(DRONE, 0);
+    run(filter, 0, 600, RE, 0.02);
+    filter.stop();
+    assert.equal(filter.isDrone(frame(RE, 0.02), 1000), false);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Intonation } from '../intonation.js';
+
+const HOP = 1024 / 48000; // seconds between live frames
+
+const close = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, message || `${actual} ≠ ${expected}`);
+
+/** Feed a held note: cents(i) gives each frame's pitch class; returns the next free time. */
+function hold(accumulator, start, frames, cents) {
+  for (let i = 0; i < frames; i++) accumulator.add(start + i * HOP, cents(i));
+  accumulator.gap();
+  return start + frames * HOP + 1;
+}
+
+const played = accumulator => accumulator.positions().filter(p => p.seconds > 0);
+
+describe('Intonation.createAccumulator', () => {
+  it('counts every frame of a steady run, the first one included', () => {
+    const accumulator = Intonation.createAccumulator();
+    hold(accumulator, 0, 10, () => 400);
+    close(accumulator.seconds, 10 * HOP, 1e-9);
+    close(accumulator.positions()[8].seconds, 10 * HOP, 1e-9);
+    close(accumulator.histogram().reduce((a, b) => a + b, 0), 10 * HOP, 1e-9);
+  });
+
+  it('ignores runs shorter than three frames', () => {
+    const accumulator = Intonation.createAccumulator();
+    hold(accumulator, 0, 2, () => 400);
+    assert.equal(accumulator.seconds, 0);
+  });
+
+  it('keeps a koron 60 ¢ flat with vibrato under one position', () => {
+    // Mi koron at 340 ¢ with ±20 ¢ of vibrato reaches past the 325 ¢ edge to Mib
+    const accumulator = Intonation.createAccumulator();
+    hold(accumulator, 0, 100, i => 340 + 20 * Math.sin(2 * Math.PI * i / 10));
+    const positions = played(accumulator);
+    assert.deepEqual(positions.map(p => p.gridPos), [7]);
+    close(positions[0].seconds, 100 * HOP, 1e-9);
+    close(positions[0].mean, -10, 0.5);
+    // Measured from Mi, the koron is 60 ¢
+    close(400 - (7 * 50 + positions[0].mean), 60, 0.5);
+  });
+
+  it('measures a steady koron 65 ¢ flat', () => {
+    const accumulator = Intonation.createAccumulator();
+    hold(accumulator, 0, 50, () => 1100 - 65);
+    const positions = played(accumulator);
+    assert.deepEqual(positions.map(p => p.gridPos), [21]);
+    close(positions[0].mean, -15, 1e-9);
+    close(positions[0].spread, 0, 1e-6);
+  });
+
+  it('follows a note across the octave boundary', () => {
+    const accumulator = Intonation.createAccumulator();
+    hold(accumulator, 0, 40, i => (i % 2 ? 1195 : 5));
+    const positions = played(accumulator);
+    assert.deepEqual(positions.map(p => p.gridPos), [0]);
+    close(positions[0].mean, 0, 1e-9);
+    close(positions[0].spread, 5, 1e-9);
+  });
+
+  it('splits a glide into quarter-tone pieces', () => {
+    const accumulator = Intonation.createAccumulator();
+    hold(accumulator, 0, 40, i => 200 + 5 * i);
+    assert.ok(played(accumulator).length >= 3);
+    for (const p of played(accumulator)) assert.ok(Math.abs(p.mean) <= 25, `${p.gridPos}: ${p.mean}`);
+  });
+
+  it('starts a new run on a jump between notes', () => {
+    const accumulator = Intonation.createAccumulator();
+    for (let i = 0; i < 20; i++) accumulator.add(i * HOP, i < 10 ? 200 : 500);
+    accumulator.gap();
+    assert.deepEqual(played(accumulator).map(p => p.gridPos), [4, 10]);
+    close(accumulator.seconds, 20 * HOP, 1e-9);
+  });
+
+  it('forgets everything on clear', () => {
+    const accumulator = Intonation.createAccumulator();
+    hold(accumulator, 0, 10, () => 400);
+    accumulator.clear();
+    assert.equal(accumulator.seconds, 0);
+    assert.equal(played(accumulator).length, 0);
+  });
+});
+
+describe('Intonation.summarize', () => {
+  it('averages the steady frames of each degree', () => {
+    const frames = [
+      ...[2, 4, 3].map((deviation, i) => ({ time: i * HOP, key: 1, label: 'Re', deviation })),
+      { time: 3 * HOP, key: 2, label: 'Mi-', deviation: -8 }
+    ];
+    const rows = Intonation.summarize(frames, HOP);
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].label, 'Re');
+    close(rows[0].mean, 3, 1e-9);
+    close(rows[0].seconds, 3 * HOP, 1e-9);
+  });
+});
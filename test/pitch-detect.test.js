@@ -0,0 +1,183 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SIGNALS, SAMPLE_RATE, WINDOW, tone, whiteNoise, sweep, centsError } from './signals.js';
+import { PITCH_DEFAULTS, analyzePitch, detectPitch, analyzeFrame } from '../core/pitch-detect.js';
+
+// Quarter-tone steps across the default detection range
+const RANGE = sweep(PITCH_DEFAULTS.minFreq, PITCH_DEFAULTS.maxFreq);
+const OCTAVE_ERROR_CENTS = 600; // further off than a tritone counts as the wrong octave
+
+/**
+ * Detect every frequency of RANGE in one signal family: the errors (cents)
+ * of the in-octave readings, and the frequencies read in the wrong octave
+ * or not at all.
+ */
+function survey(makeSignal, detect, range = RANGE) {
+  const errors = [];
+  const octaveErrors = [];
+  const missed = [];
+  for (const f of range) {
+    const measured = detect(makeSignal(f));
+    if (measured <= 0) {
+      missed.push(f);
+      continue;
+    }
+    const error = centsError(measured, f);
+    if (Math.abs(error) > OCTAVE_ERROR_CENTS) octaveErrors.push(`${f.toFixed(1)} Hz read as ${measured.toFixed(1)}`);
+    else errors.push(error);
+  }
+  const abs = errors.map(Math.abs);
+  return {
+    octaveErrors,
+    missed,
+    mean: abs.reduce((sum, e) => sum + e, 0) / abs.length,
+    max: Math.max(...abs)
+  };
+}
+
+function assertSurvey(result, { mean, max }) {
+  assert.deepEqual(result.octaveErrors, [], 'octave errors');
+  assert.deepEqual(result.missed, [], 'no pitch found');
+  assert.ok(result.mean < mean, `mean error ${result.mean.toFixed(2)}¢ ≥ ${mean}¢`);
+  assert.ok(result.max < max, `max error ${result.max.toFixed(2)}¢ ≥ ${max}¢`);
+}
+
+// Limits in cents per signal family
+const LIMITS = {
+  pure: { mean: 0.1, max: 0.5 },
+  sawtooth: { mean: 0.5, max: 3 },
+  weakFundamental: { mean: 0.5, max: 3 },
+  noisy: { mean: 5, max: 20 }
+};
+
+// Vibrato swings ±20¢ from the middle of its rise at the window's start.
+// MPM correlates the whole window and reads close to its centre pitch. YIN
+// sums its difference function over the first half of the window only, so
+// it reads the pitch of that half-window: a steady 12–14¢ sharp on these
+// signals. Each limit sits just above what the algorithm measures.
+const VIBRATO_LIMITS = {
+  yin: { mean: 14, max: 15 },
+  mpm: { mean: 1, max: 1.5 }
+};
+
+/** LIMITS with an algorithm's vibrato limit. */
+const limitsOf = algorithm => Object.assign({}, LIMITS, { vibrato: VIBRATO_LIMITS[algorithm] });
+
+describe('detectPitch (YIN)', () => {
+  const detect = buffer => detectPitch(buffer, SAMPLE_RATE);
+
+  for (const [family, limits] of Object.entries(limitsOf('yin'))) {
+    it(`reads ${family} tones across ${RANGE[0]}–${Math.round(RANGE[RANGE.length - 1])} Hz in the right octave`, () => {
+      assertSurvey(survey(SIGNALS[family], detect), limits);
+    });
+  }
+
+  it('finds no pitch in white noise', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      assert.equal(detectPitch(whiteNoise(WINDOW, 0.5, seed), SAMPLE_RATE), -1, `seed ${seed}`);
+    }
+  });
+
+  it('finds no pitch in silence', () => {
+    assert.equal(detectPitch(new Float32Array(WINDOW), SAMPLE_RATE), -1);
+  });
+
+  it('keeps the fundamental when the second harmonic dominates', () => {
+    for (const f of [98, 147, 220, 330, 494]) {
+      const measured = detectPitch(tone(f, { harmonics: [0.3, 1, 0.3] }), SAMPLE_RATE);
+      assert.ok(Math.abs(centsError(measured, f)) < 1, `${f} Hz read as ${measured.toFixed(1)}`);
+    }
+  });
+
+  it('tells tones a quarter-tone apart', () => {
+    // Re4 and Re-4 (42¢ lower) and the detected difference between them
+    const re = 293.66;
+    const koron = re * Math.pow(2, -42 / 1200);
+    const a = detectPitch(tone(re), SAMPLE_RATE);
+    const b = detectPitch(tone(koron), SAMPLE_RATE);
+    assert.ok(Math.abs(centsError(a, b) - 42) < 0.5, `${centsError(a, b).toFixed(2)}¢ apart`);
+  });
+
+  it('respects minFreq and maxFreq', () => {
+    const high = detectPitch(tone(1500), SAMPLE_RATE, { maxFreq: 1000 });
+    assert.ok(high <= 1000, `1500 Hz over maxFreq 1000 read as ${high}`);
+    const low = detectPitch(tone(50), SAMPLE_RATE, { minFreq: 80 });
+    assert.ok(low === -1 || low >= 80, `50 Hz under minFreq 80 read as ${low}`);
+  });
+});
+
+describe('analyzePitch (McLeod MPM)', () => {
+  const detect = buffer => analyzePitch(buffer, SAMPLE_RATE, { algorithm: 'mpm' }).frequency;
+
+  for (const [family, limits] of Object.entries(limitsOf('mpm'))) {
+    it(`reads ${family} tones in the right octave`, () => {
+      assertSurvey(survey(SIGNALS[family], detect), limits);
+    });
+  }
+});
+
+describe('analyzePitch (harmonic product spectrum)', () => {
+  const detect = (buffer, options) =>
+    analyzePitch(buffer, SAMPLE_RATE, Object.assign({ algorithm: 'hps' }, options)).frequency;
+
+  for (const family of ['sawtooth', 'weakFundamental', 'noisy']) {
+    it(`reads ${family} tones in the right octave`, () => {
+      assertSurvey(survey(SIGNALS[family], detect), { mean: 1, max: 5 });
+    });
+  }
+
+  // HPS multiplies the partials together, so a nearly pure low tone leaves
+  // it little to go on. These failures are accepted (see the README's
+  // Detection section); the bounds keep them from growing.
+  const LOW = RANGE.filter(f => f < 250);
+  const HIGH = RANGE.filter(f => f >= 250);
+
+  it('reads pure tones from 250 Hz up in the right octave', () => {
+    assertSurvey(survey(SIGNALS.pure, detect, HIGH), { mean: 0.5, max: 5 });
+  });
+
+  it('misses or misreads at most 30% of pure tones under 250 Hz', () => {
+    const result = survey(SIGNALS.pure, detect, LOW);
+    const failures = result.missed.length + result.octaveErrors.length;
+    assert.ok(failures <= 0.3 * LOW.length, `${failures} of ${LOW.length} failed`);
+    assert.ok(result.max < 50, `max error ${result.max.toFixed(2)}¢`);
+  });
+
+  it('follows vibrato from 250 Hz up within the swing', () => {
+    // ±20¢ vibrato plus the spectrum's bin resolution
+    assertSurvey(survey(SIGNALS.vibrato, detect, HIGH), { mean: 10, max: 25 });
+  });
+
+  it('misses at most 20% of vibrato tones under 250 Hz, never in the wrong octave', () => {
+    const result = survey(SIGNALS.vibrato, detect, LOW);
+    assert.deepEqual(result.octaveErrors, []);
+    assert.ok(result.missed.length <= 0.2 * LOW.length, `${result.missed.length} of ${LOW.length} missed`);
+    assert.ok(result.max < 35, `max error ${result.max.toFixed(2)}¢`);
+  });
+
+  it('finds a pitch in at most 5% of white noise windows', () => {
+    let found = 0;
+    for (let seed = 1; seed <= 40; seed++) {
+      if (detect(whiteNoise(WINDOW, 0.5, seed)) > 0) found++;
+    }
+    assert.ok(found <= 2, `pitch found in ${found} of 40 windows`);
+  });
+
+  it('finds no pitch in white noise above 110 Hz (tar and santur ranges)', () => {
+    for (let seed = 1; seed <= 40; seed++) {
+      assert.equal(detect(whiteNoise(WINDOW, 0.5, seed), { minFreq: 110 }), -1, `seed ${seed}`);
+    }
+  });
+});
+
+describe('analyzeFrame (polyphonic)', () => {
+  it('separates a fifth into two voices', () => {
+    const a = tone(220, { harmonics: [1, 0.5, 0.3] });
+    const e = tone(330, { harmonics: [1, 0.5, 0.3], seed: 2 });
+    const chord = a.map((v, i) => v + e[i]);
+    const { voices } = analyzeFrame(chord, SAMPLE_RATE, { voices: 2 });
+    assert.equal(voices.length, 2);
+    assert.ok(Math.abs(centsError(voices[0], 220)) < 5, `low voice ${voices[0]}`);
+    assert.ok(Math.abs(centsError(voices[1], 330)) < 5, `high voice ${voices[1]}`);
+  });
+});
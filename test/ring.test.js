@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Ring } from '../ring.js';
+import { createTuning, NOTE_NAMES, GRID_NAMES } from '../core/tuning.js';
+
+// The iOS TunerModel mapping the ring replaced: a touch segment's note is
+// NOTE_NAMES[segment], played (segment + 3) % 12 semitones above Do.
+const QUARTER_NAMES = ['Do+', 'Re-', 'Re+', 'Mi-', 'Mi+', 'Fa+', 'Sol-', 'Sol+', 'La-', 'La+', 'Si-', 'Si+'];
+
+function iosNoteFrequency(tuning, noteName, octave) {
+  const semitonesFromC4 = ((NOTE_NAMES.indexOf(noteName) + 3) % 12) + (octave - 4) * 12;
+  return tuning.frequencyOf(semitonesFromC4 * 100);
+}
+
+function iosSemitone(tuning, segment, octave) {
+  return {
+    name: NOTE_NAMES[(segment + 3) % 12],
+    frequency: iosNoteFrequency(tuning, NOTE_NAMES[segment], octave)
+  };
+}
+
+function iosQuarter(tuning, segment, octave) {
+  const name = QUARTER_NAMES[(segment + 3) % 12];
+  const plus = name.endsWith('+');
+  const base = plus ? segment : (segment + 1) % 12;
+  const offset = (plus ? 1 : -1) * tuning.quarterSize(GRID_NAMES.indexOf(name));
+  return { name, frequency: iosNoteFrequency(tuning, NOTE_NAMES[base], octave) * Math.pow(2, offset / 1200) };
+}
+
+const close = (actual, expected, message) =>
+  assert.ok(Math.abs(actual / expected - 1) < 1e-12, `${message}: ${actual} ≠ ${expected}`);
+
+describe('Ring: angles to segments', () => {
+  // Screen angles: 0° is 3 o'clock, -90° is 12 o'clock
+  it('puts each inner label in the segment that names it', () => {
+    NOTE_NAMES.forEach((name, i) => {
+      for (const nudge of [-14.9, 0, 14.9]) {
+        const segment = Ring.semitoneSegment(i * 30 - 90 + nudge);
+        assert.equal(GRID_NAMES[Ring.semitonePosition(segment)], name, `${name} ${nudge}°`);
+      }
+    });
+  });
+
+  it('puts each outer label in the segment that names it', () => {
+    QUARTER_NAMES.forEach((name, i) => {
+      for (const nudge of [-14.9, 0, 14.9]) {
+        const segment = Ring.quarterSegment(i * 30 - 75 + nudge);
+        assert.equal(GRID_NAMES[Ring.quarterPosition(segment)], name, `${name} ${nudge}°`);
+      }
+    });
+  });
+
+  it('splits the rings at the iOS boundaries', () => {
+    assert.equal(Ring.semitoneSegment(-15.1), 11);
+    assert.equal(Ring.semitoneSegment(-15), 0);
+    assert.equal(Ring.semitoneSegment(14.9), 0);
+    assert.equal(Ring.semitoneSegment(15), 1);
+    assert.equal(Ring.quarterSegment(-0.1), 11);
+    assert.equal(Ring.quarterSegment(0), 0);
+    assert.equal(Ring.quarterSegment(180), 6);
+  });
+});
+
+describe('Ring: segments to frequencies (+3 shift)', () => {
+  it('names Do at 12 o\'clock and Mib at 3 o\'clock', () => {
+    assert.equal(Ring.semitonePosition(9), 0);
+    assert.equal(Ring.semitonePosition(0), 6);
+    assert.equal(Ring.quarterPosition(9), 1);
+    assert.equal(Ring.quarterPosition(0), 7);
+  });
+
+  it('plays inner segments as the iOS mapping', () => {
+    const tuning = createTuning();
+    close(tuning.frequency(Ring.semitonePosition(9), 4), 261.6255653005986, 'Do4');
+    for (let segment = 0; segment < Ring.SEGMENTS; segment++) {
+      for (let octave = 2; octave <= 6; octave++) {
+        const q = Ring.semitonePosition(segment);
+        const ios = iosSemitone(tuning, segment, octave);
+        assert.equal(GRID_NAMES[q], ios.name);
+        close(tuning.frequency(q, octave), ios.frequency, `segment ${segment}, octave ${octave}`);
+      }
+    }
+  });
+
+  it('plays outer segments as the iOS mapping at any sori/koron', () => {
+    for (const sizes of [{}, { a4: 442, sori: 58, koron: 42 }, { sori: 50, koron: 50, measured: { 7: 35, 21: 38 } }]) {
+      const tuning = createTuning(sizes);
+      for (let segment = 0; segment < Ring.SEGMENTS; segment++) {
+        for (let octave = 2; octave <= 6; octave++) {
+          const q = Ring.quarterPosition(segment);
+          const ios = iosQuarter(tuning, segment, octave);
+          assert.equal(GRID_NAMES[q], ios.name);
+          close(tuning.frequency(q, octave), ios.frequency, `segment ${segment}, octave ${octave}`);
+        }
+      }
+    }
+  });
+});
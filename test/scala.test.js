@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scala } from '../core/scala.js';
+
+/** .scl text of n equal steps in a period (cents). */
+function equalSteps(n, period = 1200) {
+  const lines = Array.from({ length: n }, (_, i) => ` ${(period * (i + 1) / n).toFixed(5)}`);
+  return [`${n} equal steps`, ` ${n}`, ...lines].join('\n');
+}
+
+describe('Scala.warnings', () => {
+  it('accepts scales the 24 labels name uniquely', () => {
+    assert.deepEqual(Scala.warnings(Scala.parseScl(equalSteps(24))), []);
+    assert.deepEqual(Scala.warnings(Scala.parseScl('Rast\n 7\n 204.\n 355.\n 498.\n 702.\n 853.\n 996.\n 2/1')), []);
+  });
+
+  it('warns when degrees share a quarter-tone label', () => {
+    const [message] = Scala.warnings(Scala.parseScl(equalSteps(53)));
+    assert.match(message, /^24 quarter-tone labels are shared .*degrees 0, 1 and 52/);
+    assert.equal(Scala.warnings(Scala.parseScl('close\n 2\n 20.0\n 2/1')).length, 1);
+  });
+
+  it('warns when the period is not an octave', () => {
+    const tritave = Scala.warnings(Scala.parseScl(equalSteps(13, 1200 * Math.log2(3))));
+    assert.deepEqual(tritave, ['the period is 1902.0 cents, not an octave, so octave numbers do not count periods']);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Synthetic test signals for the detector tests and benchmark.
+ *
+ * Everything is deterministic: noise comes from a seeded generator, so a
+ * failing case fails the same way on every run.
+ */
+
+export const SAMPLE_RATE = 48000;
+export const WINDOW = 8192;
+
+/** Seeded uniform generator in [0, 1) (mulberry32). */
+export function random(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * A periodic tone: harmonics lists the amplitude of partials 1, 2, 3…
+ * (a weak first entry makes a weak fundamental), scaled to peak level.
+ * vibrato: { rate (Hz), depth (cents either side) }. noise: white noise RMS
+ * relative to the tone's RMS. seed varies the partials' phases and the noise.
+ */
+export function tone(frequency, options = {}) {
+  const {
+    harmonics = [1],
+    length = WINDOW,
+    sampleRate = SAMPLE_RATE,
+    level = 0.5,
+    vibrato = null,
+    noise = 0,
+    seed = 1
+  } = options;
+  const rand = random(seed);
+  const phases = harmonics.map(() => rand() * 2 * Math.PI);
+  const out = new Float32Array(length);
+  let phase = 0;
+  for (let i = 0; i < length; i++) {
+    const f = vibrato
+      ? frequency * Math.pow(2, vibrato.depth * Math.sin(2 * Math.PI * vibrato.rate * i / sampleRate) / 1200)
+      : frequency;
+    let s = 0;
+    for (let h = 0; h < harmonics.length; h++) {
+      if (harmonics[h]) s += harmonics[h] * Math.sin((h + 1) * phase + phases[h]);
+    }
+    out[i] = s;
+    phase += 2 * Math.PI * f / sampleRate;
+  }
+  normalize(out, level);
+  if (noise > 0) {
+    const rms = Math.sqrt(out.reduce((sum, v) => sum + v * v, 0) / length);
+    const white = whiteNoise(length, 1, seed + 1);
+    const scale = noise * rms / Math.sqrt(white.reduce((sum, v) => sum + v * v, 0) / length);
+    for (let i = 0; i < length; i++) out[i] += scale * white[i];
+  }
+  return out;
+}
+
+/** Uniform white noise with the given peak level. */
+export function whiteNoise(length, level = 0.5, seed = 1) {
+  const rand = random(seed);
+  return Float32Array.from({ length }, () => level * (2 * rand() - 1));
+}
+
+function normalize(buffer, level) {
+  let peak = 0;
+  for (const v of buffer) peak = Math.max(peak, Math.abs(v));
+  if (peak > 0) for (let i = 0; i < buffer.length; i++) buffer[i] *= level / peak;
+}
+
+/** Signed error of a measured frequency in cents. */
+export function centsError(measured, actual) {
+  return 1200 * Math.log2(measured / actual);
+}
+
+/**
+ * Frequencies from low to high in steps of `step` cents (a quarter-tone by
+ * default), starting on low and never above high.
+ */
+export function sweep(low, high, step = 50) {
+  const list = [];
+  for (let f = low; f <= high; f *= Math.pow(2, step / 1200)) list.push(f);
+  return list;
+}
+
+/**
+ * The signal families of the accuracy tests and benchmark: each makes one
+ * analysis window at a frequency (seeded per frequency, so runs repeat).
+ * The harmonic spectra stand in for real timbres: a bowed/reed-like
+ * sawtooth, a ney-like breathy tone, and a weak fundamental under strong
+ * partials (low strings, small speakers).
+ */
+export const SIGNALS = {
+  pure: f => tone(f, { seed: seedOf(f) }),
+  sawtooth: f => tone(f, { harmonics: [1, 1 / 2, 1 / 3, 1 / 4, 1 / 5, 1 / 6, 1 / 7, 1 / 8], seed: seedOf(f) }),
+  weakFundamental: f => tone(f, { harmonics: [0.1, 1, 0.8, 0.6, 0.4], seed: seedOf(f) }),
+  noisy: f => tone(f, { harmonics: [1, 0.5, 0.3], noise: 0.3, seed: seedOf(f) }),
+  vibrato: f => tone(f, { harmonics: [1, 0.5, 0.3], vibrato: { rate: 5.5, depth: 20 }, seed: seedOf(f) })
+};
+
+function seedOf(frequency) {
+  return Math.round(frequency * 1000);
+}
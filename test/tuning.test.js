@@ -0,0 +1,201 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTuning, GRID_NAMES } from '../core/tuning.js';
+import { detectPitch } from '../core/pitch-detect.js';
+import { SAMPLE_RATE, tone } from './signals.js';
+
+const close = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, message || `${actual} ≠ ${expected}`);
+
+describe('createTuning: frequencies', () => {
+  it('puts La4 on the reference and Do4 nine semitones below', () => {
+    for (const a4 of [415, 440, 442.5, 466]) {
+      const tuning = createTuning({ a4 });
+      close(tuning.frequency(18, 4), a4, 1e-9);
+      close(tuning.middleC, a4 * Math.pow(2, -9 / 12), 1e-9);
+    }
+    close(createTuning().frequency(0, 4), 261.6256, 1e-4);
+  });
+
+  it('places sori above and koron below their semitones', () => {
+    const tuning = createTuning({ sori: 58, koron: 42 });
+    close(tuning.centsOf(tuning.frequency(1, 4)), 58, 1e-9, 'Do+');
+    close(tuning.centsOf(tuning.frequency(3, 4)), 200 - 42, 1e-9, 'Re-');
+    close(tuning.centsOf(tuning.frequency(23, 3)), -100 + 58, 1e-9, 'Si+3');
+  });
+
+  it('lets measured sizes override sori and koron per degree', () => {
+    const tuning = createTuning({ sori: 50, koron: 50, measured: { 7: 35 } });
+    assert.equal(tuning.quarterSize(7), 35);
+    assert.equal(tuning.quarterSize(21), 50);
+    close(tuning.gridCents()[7], 400 - 35, 1e-9);
+  });
+
+  it('converts cents and frequency both ways', () => {
+    const tuning = createTuning({ a4: 443 });
+    for (const cents of [-2400, -150, 0, 42, 1234.5]) close(tuning.centsOf(tuning.frequencyOf(cents)), cents, 1e-9);
+  });
+
+  it('plays scale degrees at their own offsets', () => {
+    // Bayati on Re: the second degree is 145¢ up, labelled Mi- (grid 7)
+    const tuning = createTuning({ scale: 'bayati' });
+    close(tuning.centsOf(tuning.frequency(7, 4)), 200 + 145, 1e-9);
+    assert.equal(tuning.degreeAt(7).index, 1);
+    assert.equal(tuning.degreeAt(8), null);
+  });
+});
+
+describe('createTuning: quarter-tone naming thresholds', () => {
+  // A pitch is named as the quarter-tone once it passes half the quarter-tone's size
+  const at = (tuning, cents) => tuning.describe(tuning.frequencyOf(cents));
+
+  it('names a semitone until half a sori above it', () => {
+    const tuning = createTuning({ sori: 42, koron: 42 });
+    assert.equal(at(tuning, 200 + 20.9).quarter, 'Re');
+    assert.equal(at(tuning, 200 + 21.1).quarter, 'Re+');
+    assert.equal(at(tuning, 200 + 49).quarter, 'Re+');
+    assert.equal(at(tuning, 200 + 49).note, 'Re');
+  });
+
+  it('names the koron from half a koron below a semitone', () => {
+    const tuning = createTuning({ sori: 42, koron: 42 });
+    assert.equal(at(tuning, 400 - 20.9).quarter, 'Mi');
+    assert.equal(at(tuning, 400 - 21.1).quarter, 'Mi-');
+    assert.equal(at(tuning, 400 - 49).note, 'Mi');
+  });
+
+  it('moves the thresholds with the sizes', () => {
+    const tuning = createTuning({ sori: 58, koron: 50 });
+    assert.equal(at(tuning, 200 + 28.9).quarter, 'Re');
+    assert.equal(at(tuning, 200 + 29.1).quarter, 'Re+');
+    assert.equal(at(tuning, 400 - 24.9).quarter, 'Mi');
+    assert.equal(at(tuning, 400 - 25.1).quarter, 'Mi-');
+  });
+
+  it('puts the boundary below Do and Fa midway to the sori beneath', () => {
+    // Si+ and Mi+ sit 100 − sori below Do and Fa
+    const narrow = createTuning({ sori: 42, koron: 42 });
+    assert.equal(at(narrow, 500 - 28.9).quarter, 'Fa');
+    assert.equal(at(narrow, 500 - 29.1).quarter, 'Mi+');
+    assert.equal(at(narrow, -28.9).quarter, 'Do');
+    assert.equal(at(narrow, -29.1).quarter, 'Si+');
+    const wide = createTuning({ sori: 58, koron: 42 });
+    assert.equal(at(wide, 500 - 20.9).quarter, 'Fa');
+    assert.equal(at(wide, 500 - 21.1).quarter, 'Mi+');
+    assert.equal(at(wide, -21.1).quarter, 'Si+');
+  });
+
+  it('puts the boundary around a sharp midway to its neighbours', () => {
+    // Re- sits 100 − koron above Do#, Do+ 100 − sori below it
+    const tuning = createTuning({ sori: 58, koron: 42 });
+    assert.equal(at(tuning, 100 + 28.9).quarter, 'Do#');
+    assert.equal(at(tuning, 100 + 29.1).quarter, 'Re-');
+    assert.equal(at(tuning, 100 - 20.9).quarter, 'Do#');
+    assert.equal(at(tuning, 100 - 21.1).quarter, 'Do+');
+  });
+
+  it('names the target classify() finds at every preset', () => {
+    for (const sori of [42, 50, 58]) {
+      for (const koron of [42, 50, 58]) {
+        const tuning = createTuning({ sori, koron });
+        for (let cents = -100.3; cents < 1300; cents += 0.7) {
+          const f = tuning.frequencyOf(cents);
+          assert.equal(at(tuning, cents).quarter, GRID_NAMES[tuning.classify(f).gridPos], `${cents}¢ at ${sori}/${koron}`);
+        }
+      }
+    }
+  });
+
+  it('takes the next semitone past 50 cents', () => {
+    const tuning = createTuning();
+    const d = at(tuning, 249);
+    assert.equal(d.note, 'Re');
+    close(d.cents, 49, 1e-6);
+    assert.equal(at(tuning, 251).note, 'Mib');
+  });
+
+  it('names every grid position at its own frequency', () => {
+    for (const sizes of [{ sori: 42, koron: 42 }, { sori: 46, koron: 54 }, { sori: 58, koron: 42 }]) {
+      const tuning = createTuning(sizes);
+      for (let octave = 2; octave <= 6; octave++) {
+        GRID_NAMES.forEach((name, q) => {
+          const d = tuning.describe(tuning.frequency(q, octave));
+          assert.equal(d.quarter, name, `${name}${octave} at ${sizes.sori}/${sizes.koron}`);
+          // The octave is the nearest semitone's: Si+ rounds up to the next Do
+          assert.equal(d.octave, name === 'Si+' && sizes.sori > 50 ? octave + 1 : octave);
+        });
+      }
+    }
+  });
+
+  it('passes the cents through smooth(key, cents) keyed by note', () => {
+    const keys = [];
+    createTuning().describe(300, (key, cents) => {
+      keys.push(key);
+      return 0;
+    });
+    assert.deepEqual(keys, [2]);
+  });
+});
+
+describe('createTuning: targets', () => {
+  it('classifies against the sori/koron grid', () => {
+    const tuning = createTuning({ sori: 42, koron: 42 });
+    const result = tuning.classify(tuning.frequencyOf(200 - 42 + 7));
+    assert.equal(result.gridPos, 3);
+    close(result.deviation, 7, 1e-6);
+  });
+
+  it('snaps to scale degrees', () => {
+    const tuning = createTuning({ scale: 'bayati', tonic: 4 });
+    const d = tuning.describe(tuning.frequencyOf(200 + 145 + 3));
+    assert.equal(d.quarter, 'Mi-');
+    assert.equal(d.degree.index, 1);
+    close(d.cents, 3, 1e-6);
+    assert.equal(tuning.classify(tuning.frequencyOf(200 + 1200 - 10)).key, 0);
+  });
+
+  it('keys the cents smoothing by degree and octave, apart from the grid notes', () => {
+    const tuning = createTuning({ scale: 'bayati', tonic: 4 });
+    const keys = new Set();
+    for (let octave = 0; octave <= 6; octave++) {
+      tuning.degrees.forEach(degree => {
+        tuning.describe(tuning.frequency(degree.gridPos, octave), key => {
+          keys.add(key);
+          return 0;
+        });
+      });
+    }
+    assert.equal(keys.size, 7 * tuning.degrees.length);
+    for (const key of keys) assert.match(key, /^d-?\d+:\d+$/);
+  });
+
+  it('finds comma steps in comma mode', () => {
+    const komas = k => k * 1200 / 53;
+    const all = createTuning({ division: '53' });
+    assert.equal(all.commaMode, true);
+    assert.equal(all.describe(all.frequencyOf(komas(7) + 2)).comma.step, 7);
+    // 7 commas is not an AEU pitch: the nearest AEU step is 8
+    const aeu = createTuning({ division: 'aeu' });
+    const d = aeu.describe(aeu.frequencyOf(komas(7)));
+    assert.equal(d.comma.step, 8);
+    close(d.comma.commas, -1, 1e-6);
+    assert.equal(createTuning({ division: '53', scale: 'rast' }).commaMode, false);
+  });
+});
+
+describe('detected quarter-tone-offset tones', () => {
+  it('are named by their grid position', () => {
+    for (const sizes of [{ sori: 42, koron: 42 }, { sori: 58, koron: 42 }]) {
+      const tuning = createTuning(sizes);
+      for (let octave = 3; octave <= 5; octave++) {
+        GRID_NAMES.forEach((name, q) => {
+          const signal = tone(tuning.frequency(q, octave), { harmonics: [1, 0.5, 0.3], seed: q + 1 });
+          const detected = detectPitch(signal, SAMPLE_RATE);
+          assert.equal(tuning.describe(detected).quarter, name, `${name}${octave} at ${sizes.sori}/${sizes.koron}`);
+          assert.ok(Math.abs(tuning.classify(detected).deviation) < 1, `${name}${octave} off its target`);
+        });
+      }
+    }
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Ear training: pitch-matching scores, interval drills and score history.
+ *
+ * Pitch matching compares sung or played frames with a target, octave-free
+ * (a singer may answer an octave away). The best steady stretch within
+ * MATCH_TOLERANCE of the target is scored on its average error (70 points)
+ * and how long it was held (30 points, full at HOLD_SECONDS).
+ *
+ * Interval drills name the distance between two rising notes; each set puts
+ * a neutral (quarter-tone) interval between its two nearest neighbours.
+ */
+export const Training = (() => {
+  const HISTORY_KEY = 'qtone.training';
+  const HISTORY_LIMIT = 200;
+
+  const MATCH_TOLERANCE = 50;  // cents from the target that still count as holding it
+  const STEADY_CENTS = 15;     // max change between neighbouring frames
+  const HOLD_SECONDS = 1.5;    // steady time for the full stability score
+  const MAX_FRAME_GAP = 0.1;   // s; longer gaps break a steady stretch
+
+  const INTERVAL_SETS = {
+    seconds: [
+      { id: 'm2', name: 'Semitone', cents: 100 },
+      { id: 'n2', name: 'Neutral 2nd (¾ tone)', cents: 150 },
+      { id: 'M2', name: 'Whole tone', cents: 200 }
+    ],
+    thirds: [
+      { id: 'm3', name: 'Minor 3rd', cents: 300 },
+      { id: 'n3', name: 'Neutral 3rd', cents: 350 },
+      { id: 'M3', name: 'Major 3rd', cents: 400 }
+    ],
+    augmented: [
+      { id: 'M2', name: 'Whole tone', cents: 200 },
+      { id: 'N2', name: '5/4 tone', cents: 250 },
+      { id: 'A2', name: 'Augmented 2nd', cents: 300 }
+    ]
+  };
+
+  function pick(list) {
+    return list[Math.floor(Math.random() * list.length)];
+  }
+
+  // ── Pitch matching ──
+
+  /** Cents from the target, folded to the nearest octave (±600). */
+  function matchError(pitch, targetHz) {
+    const cents = 1200 * Math.log2(pitch / targetHz);
+    return cents - 1200 * Math.round(cents / 1200);
+  }
+
+  /**
+   * Collects frames for one attempt. add(time, pitch) with time in seconds
+   * and pitch 0 for silence; `held` is the current steady stretch in seconds.
+   */
+  function createMatch(targetHz) {
+    const runs = [];
+    let run = null;
+
+    function add(time, pitch) {
+      const error = pitch > 0 ? matchError(pitch, targetHz) : null;
+      const ok = error !== null && Math.abs(error) <= MATCH_TOLERANCE;
+      const steady = run && ok && time - run.last.time <= MAX_FRAME_GAP &&
+        Math.abs(error - run.last.error) <= STEADY_CENTS;
+      if (!steady) {
+        run = ok ? { start: time, last: { time, error }, sum: 0, seconds: 0 } : null;
+        if (run) runs.push(run);
+        return;
+      }
+      const dt = time - run.last.time;
+      run.sum += error * dt;
+      run.seconds += dt;
+      run.last = { time, error };
+    }
+
+    /** { error, held, score }: the best stretch, or error null with score 0. */
+    function result() {
+      let best = null;
+      for (const r of runs) if (r.seconds > 0 && (!best || r.seconds > best.seconds)) best = r;
+      if (!best) return { error: null, held: 0, score: 0 };
+      const error = best.sum / best.seconds;
+      const accuracy = Math.max(0, 1 - Math.abs(error) / MATCH_TOLERANCE);
+      const stability = Math.min(1, best.seconds / HOLD_SECONDS);
+      return { error, held: best.seconds, score: Math.round(70 * accuracy + 30 * stability) };
+    }
+
+    return {
+      add,
+      result,
+      get held() { return run ? run.seconds : 0; }
+    };
+  }
+
+  // ── History ──
+
+  function history() {
+    try {
+      const list = JSON.parse(localStorage.getItem(HISTORY_KEY));
+      return Array.isArray(list) ? list : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Append a result: { mode, target, score } plus mode-specific fields
+   * (error and held for pitch matching, answer and correct for intervals).
+   */
+  function record(entry) {
+    const list = history();
+    list.push(Object.assign({ time: Date.now() }, entry));
+    try {
+      localStorage.setItem(HISTORY_KEY, JSON.stringify(list.slice(-HISTORY_LIMIT)));
+    } catch (e) {
+      // Storage unavailable — the result still shows for this session
+    }
+  }
+
+  function clearHistory() {
+    try {
+      localStorage.removeItem(HISTORY_KEY);
+    } catch (e) {
+      // nothing stored
+    }
+  }
+
+  /** { count, average, last } of scores per mode, over the stored history. */
+  function summary() {
+    const out = {};
+    for (const h of history()) {
+      if (!out[h.mode]) out[h.mode] = { count: 0, total: 0 };
+      out[h.mode].count++;
+      out[h.mode].total += h.score;
+      out[h.mode].last = h.score;
+    }
+    for (const mode in out) out[mode].average = out[mode].total / out[mode].count;
+    return out;
+  }
+
+  return {
+    INTERVAL_SETS,
+    HOLD_SECONDS,
+    MATCH_TOLERANCE,
+    pick,
+    matchError,
+    createMatch,
+    history,
+    record,
+    clearHistory,
+    summary
+  };
+})();